@@ -0,0 +1,700 @@
+// --- Block Registry ---
+// Every block type is described once, here, by a data definition; world generation, lighting, meshing,
+// collision, materials and block selection all read their per-type behaviour from the registry instead
+// of switching on block types. DOM and Three.js-free so the chunk workers share it; texture generators
+// are only called on the main thread, which hands them a canvas 2D context to draw into.
+//
+// A block definition (registerBlock()) has:
+//   name            - unique upper-case name, also the block's key in BLOCK_TYPE
+//   id              - stored block type, 0-255. Saved worlds keep these, so built-ins have fixed ids;
+//                     leave it out to take the next free one
+//   solid           - the player collides with it and torches stand on it (default true)
+//   transparent     - neighbouring faces are drawn against it and it casts no ambient occlusion (default false)
+//   selectable      - the interaction ray stops at it, so it can be broken (default: solid)
+//   shape           - 'cube' (greedy-meshed into chunks), 'fluid' (chunk water layer, drawn at its level),
+//                     'slab' and 'stairs' (partial blocks oriented by their metadata, see shapeMeta()),
+//                     'cross' (two crossed upright quads, for plants), 'model' (left out of chunk meshes and
+//                     drawn by script.js) or 'none' (default 'cube')
+//   lightOpacity    - light levels it absorbs on top of distance (default 0 if transparent or not a full
+//                     cube, else MAX_LIGHT)
+//   lightEmission   - block light level it gives off (default 0)
+//   hardness        - seconds to break it by hand; Infinity can't be broken (default 1)
+//   drop            - name of the block it leaves in the inventory when broken, or null for nothing (default itself)
+//   item            - only kept in the inventory and crafted with, never placed in the world (default false);
+//                     items use shape 'none' and their 'side' texture as the inventory icon
+//   textures        - generators (ctx, size, pixel) => void per texture slot, where pixel = size / 16 is one
+//                     texel of a 16x16 design. Slots are the faces px, nx, py, ny, pz, nz, or top, bottom and
+//                     side for several at once: a face without its own slot uses top/bottom, then side
+//   pbr             - { roughness, metalness } of its material
+//   alpha           - opacity; below 1 the block is blended (like water) instead of having cut-out holes
+//   hotbarKey       - digit key of the hotbar slot ('1'-'9') a stack of it goes into on switching to creative;
+//                     blocks whose slot is taken (or with another key) go into the main inventory
+import { MAX_LIGHT } from './light.js';
+
+export const MAX_BLOCK_TYPES = 256; // Chunk sections store block types as bytes
+export const BLOCK_FACES = ['px', 'nx', 'py', 'ny', 'pz', 'nz']; // Face order of the mesher and block materials
+export const BLOCK_TYPE = {}; // Name -> block type, filled in by registerBlock()
+export const BLOCK_NAMES = {}; // Block type -> name
+// How a block's faces are drawn: solid texels, cut-out holes (alpha test) or blended see-through colour
+export const RENDER_CLASS = { OPAQUE: 0, CUTOUT: 1, TRANSLUCENT: 2 };
+
+const DEFAULT_PBR = { roughness: 0.9, metalness: 0.05 };
+// Texture slots a face is drawn with, most specific first (indexed like BLOCK_FACES)
+const FACE_TEXTURE_SLOTS = [['px', 'side'], ['nx', 'side'], ['py', 'top', 'side'], ['ny', 'bottom', 'top', 'side'], ['pz', 'side'], ['nz', 'side']];
+
+// --- Block Shapes ---
+// Slabs and stairs keep their orientation in the block's metadata: bits 0-1 are the direction stairs climb
+// towards (an index into STAIRS_FACINGS), bit 2 flips the shape into the upper half of the block.
+// Boxes are [minX, minY, minZ, maxX, maxY, maxZ] within the block; the same ones are drawn, collided with
+// (by solid blocks) and hit by the interaction ray.
+export const STAIRS_FACINGS = [[1, 0], [-1, 0], [0, 1], [0, -1]]; // [dx, dz]: +x, -x, +z, -z
+const SHAPE_UPPER = 4;
+const FULL_BOX = [[0, 0, 0, 1, 1, 1]];
+const NO_BOXES = [];
+const SLAB_BOXES = [[[0, 0, 0, 1, 0.5, 1]], [[0, 0.5, 0, 1, 1, 1]]]; // Lower, upper
+const CROSS_BOXES = [[0.15, 0, 0.15, 0.85, 0.8, 0.85]]; // Plants are easier to hit than their leaves suggest
+// Stairs: a slab plus a quarter block on the climbing side, precomputed for every metadata value
+const STAIRS_BOXES = Array.from({ length: 8 }, (_, meta) => {
+    const [dx, dz] = STAIRS_FACINGS[meta & 3];
+    const upper = (meta & SHAPE_UPPER) !== 0;
+    const step = [dx > 0 ? 0.5 : 0, upper ? 0 : 0.5, dz > 0 ? 0.5 : 0, dx < 0 ? 0.5 : 1, upper ? 0.5 : 1, dz < 0 ? 0.5 : 1];
+    return [SLAB_BOXES[upper ? 1 : 0][0], step];
+});
+
+const definitions = []; // Block type -> frozen definition
+const registrationListeners = [];
+let registeringBuiltins = true; // Cleared once the built-in blocks below are in
+
+// Hot per-type properties as flat tables for the meshing, lighting and collision loops. Types nobody
+// registered (a world saved with an extension that isn't loaded) behave like plain opaque blocks.
+const solidFlags = new Uint8Array(MAX_BLOCK_TYPES).fill(1);
+const selectableFlags = new Uint8Array(MAX_BLOCK_TYPES).fill(1);
+const transparentFlags = new Uint8Array(MAX_BLOCK_TYPES);
+const opacities = new Uint8Array(MAX_BLOCK_TYPES).fill(MAX_LIGHT);
+const emissions = new Uint8Array(MAX_BLOCK_TYPES);
+const shapes = new Array(MAX_BLOCK_TYPES).fill('cube');
+const opaqueCubeFlags = new Uint8Array(MAX_BLOCK_TYPES).fill(1);
+const renderClasses = new Uint8Array(MAX_BLOCK_TYPES);
+
+// Adds a block type (see the definition format above) and returns its id. Listeners are told about it,
+// which is how the main thread builds its materials and passes it on to the chunk workers.
+export function registerBlock(definition) {
+    const { name } = definition;
+    if (typeof name !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(name)) throw new Error(`Invalid block name: ${name}`);
+    if (name in BLOCK_TYPE) throw new Error(`Block ${name} is already registered`);
+    let id = definition.id;
+    if (id === undefined) { // Next free type, filling gaps first
+        id = definitions.findIndex((block, type) => type > 0 && !block);
+        if (id < 0) id = definitions.length;
+    }
+    if (!Number.isInteger(id) || id < 0 || id >= MAX_BLOCK_TYPES) throw new Error(`Invalid block type for ${name}: ${id}`);
+    if (definitions[id]) throw new Error(`Block type ${id} is already taken by ${BLOCK_NAMES[id]}`);
+
+    const solid = definition.solid ?? true;
+    const transparent = definition.transparent ?? false;
+    const shape = definition.shape ?? 'cube';
+    const block = Object.freeze({
+        ...definition,
+        id,
+        name,
+        solid,
+        transparent,
+        selectable: definition.selectable ?? solid,
+        shape,
+        // Partial blocks let light into their open part, which lights the faces drawn there
+        lightOpacity: Math.min(MAX_LIGHT, definition.lightOpacity ?? (transparent || shape !== 'cube' ? 0 : MAX_LIGHT)),
+        lightEmission: Math.min(MAX_LIGHT, definition.lightEmission ?? 0),
+        hardness: definition.hardness ?? 1,
+        textures: Object.freeze({ ...definition.textures }),
+        pbr: Object.freeze({ ...DEFAULT_PBR, ...definition.pbr }),
+        alpha: definition.alpha ?? 1,
+        builtin: registeringBuiltins
+    });
+
+    definitions[id] = block;
+    BLOCK_TYPE[name] = id;
+    BLOCK_NAMES[id] = name;
+    solidFlags[id] = solid ? 1 : 0;
+    selectableFlags[id] = block.selectable ? 1 : 0;
+    transparentFlags[id] = transparent ? 1 : 0;
+    opacities[id] = block.lightOpacity;
+    emissions[id] = block.lightEmission;
+    shapes[id] = shape;
+    opaqueCubeFlags[id] = shape === 'cube' && !transparent ? 1 : 0;
+    renderClasses[id] = block.alpha < 1 ? RENDER_CLASS.TRANSLUCENT : transparent ? RENDER_CLASS.CUTOUT : RENDER_CLASS.OPAQUE;
+    for (const listener of registrationListeners) listener(block);
+    return id;
+}
+// Calls `listener(block)` for every block registered from now on
+export function onBlockRegistered(listener) {
+    registrationListeners.push(listener);
+}
+export function getBlockDefinition(blockType) {
+    return definitions[blockType] ?? null;
+}
+// All registered blocks in block type order
+export function getBlockDefinitions() {
+    return definitions.filter(Boolean);
+}
+// Copy of a definition that can be posted to a worker (texture generators and other functions stay behind)
+export function blockDefinitionData(block) {
+    return Object.fromEntries(Object.entries(block).filter(([key, value]) => key !== 'textures' && typeof value !== 'function'));
+}
+
+export function isSolid(blockType) {
+    return solidFlags[blockType] === 1;
+}
+export function isSelectable(blockType) {
+    return selectableFlags[blockType] === 1;
+}
+// See-through blocks, including air
+export function isTransparent(blockType) {
+    return transparentFlags[blockType] === 1;
+}
+export function lightOpacity(blockType) {
+    return opacities[blockType];
+}
+export function lightEmission(blockType) {
+    return emissions[blockType];
+}
+export function blockShape(blockType) {
+    return shapes[blockType];
+}
+// Fills its whole cell and can't be seen through: hides the faces of blocks next to it and shades their corners
+export function isOpaqueCube(blockType) {
+    return opaqueCubeFlags[blockType] === 1;
+}
+// Boxes a block occupies with the given metadata, used for drawing partial blocks and aiming at blocks
+export function blockBoxes(blockType, meta = 0) {
+    switch (shapes[blockType]) {
+        case 'none': case 'fluid': return NO_BOXES;
+        case 'slab': return SLAB_BOXES[meta & SHAPE_UPPER ? 1 : 0];
+        case 'stairs': return STAIRS_BOXES[meta & 7];
+        case 'cross': return CROSS_BOXES;
+        default: return FULL_BOX;
+    }
+}
+// Boxes the player collides with (none for blocks that aren't solid)
+export function collisionBoxes(blockType, meta = 0) {
+    return solidFlags[blockType] === 1 ? blockBoxes(blockType, meta) : NO_BOXES;
+}
+// Metadata of a newly placed block: stairs climb towards `facing` (index into STAIRS_FACINGS); slabs and
+// stairs sit in the upper half of the block when `upper` is set. Other shapes have no orientation.
+export function shapeMeta(blockType, facing, upper) {
+    const shape = shapes[blockType];
+    if (shape !== 'slab' && shape !== 'stairs') return 0;
+    return (shape === 'stairs' ? facing & 3 : 0) | (upper ? SHAPE_UPPER : 0);
+}
+export function blockRenderClass(blockType) {
+    return renderClasses[blockType];
+}
+export function blockHardness(blockType) {
+    return definitions[blockType]?.hardness ?? 1;
+}
+// Items (sticks) live in the inventory only
+export function isItem(blockType) {
+    return definitions[blockType]?.item === true;
+}
+// Block type breaking this block yields, or null if it yields nothing
+export function blockDrop(blockType) {
+    const block = definitions[blockType];
+    if (!block || block.drop === undefined) return blockType;
+    return block.drop === null ? null : BLOCK_TYPE[block.drop] ?? null;
+}
+// Texture slot a face (index into BLOCK_FACES) of a block is drawn with, or null if it has no texture.
+// `overrides` ({ slot: anything }, e.g. from a resource pack) adds slots to the block's own ones.
+export function faceTextureSlot(blockType, face, overrides = null) {
+    const textures = definitions[blockType]?.textures ?? {};
+    return FACE_TEXTURE_SLOTS[face].find(slot => textures[slot] || overrides?.[slot]) ?? null;
+}
+
+// --- Texture Drawing Helpers ---
+// Exported for the texture generators of blocks registered by extensions
+const lerp = (t, a, b) => a + t * (b - a); // Linear interpolation
+
+// Colour palette of the built-in textures
+const TEXTURE_COLORS = {
+    grass_top: '#78B846', grass_top_dark: '#5E9C39', grass_top_light: '#96D15F',
+    grass_side_top: '#90BB4F', grass_side_dirt: '#806044',
+    dirt: '#806044', dirt_dark: '#6A5139', dirt_light: '#9A7656', dirt_pebble: '#59442F',
+    stone: '#7F7F7F', stone_dark: '#6F6F6F', stone_light: '#999999', stone_crack: '#555555',
+    wood_top: '#6F5A3A', wood_side: '#645132', wood_dark: '#514228', wood_ring: '#4A3E26', wood_light_grain: '#7A6441',
+    leaves: '#4C7F2E', leaves_dark: '#3A6323', leaves_light: '#67A53E',
+    sand: '#DBC990', sand_dark: '#C4B077', sand_light: '#EADBA8',
+    snow: '#F2F6FA', snow_shadow: '#D8E2EC', snow_sparkle: '#FFFFFF',
+    cactus: '#4E8F3A', cactus_dark: '#3A6E2B', cactus_light: '#68AA4E', cactus_spine: '#E6E2B0',
+    water: '#2F64C8', water_dark: '#2652A8', water_light: '#5C8EE0',
+    planks: '#A2824E', planks_dark: '#7E6238', planks_light: '#B8975F', table_top: '#8A6A3E', table_grid: '#4F3A20',
+    torch_stick: '#7A5A34', torch_stick_dark: '#5C4226', torch_flame: '#FFB02E', torch_flame_core: '#FFF2A8',
+    plant_stem: '#4F8A2E', plant_stem_dark: '#3C6E22', flower_petal: '#D8322E', flower_petal_dark: '#A8221F', flower_center: '#F2D43C'
+};
+// Ore speck colours: { base, dark, light }
+const ORE_SPECKLE_COLORS = {
+    coal: { base: '#2E2E2E', dark: '#161616', light: '#4A4A4A' },
+    iron: { base: '#D2A587', dark: '#A97C62', light: '#EBC6AC' },
+    gold: { base: '#F2CF3C', dark: '#C79E1E', light: '#FFF08A' },
+    diamond: { base: '#55E0EC', dark: '#2AA9B8', light: '#B8FAFF' }
+};
+
+// Adds simple noise pixels to a canvas context
+export function addNoise(ctx, width, height, intensity = 0.08, colors = ['rgba(0,0,0,0.05)', 'rgba(255,255,255,0.04)'], xOffset = 0, yOffset = 0, drawWidth = width, drawHeight = height) {
+    const numPixels = Math.floor(drawWidth * drawHeight * intensity);
+    for (let i = 0; i < numPixels; i++) {
+        const x = xOffset + Math.random() * drawWidth;
+        const y = yOffset + Math.random() * drawHeight;
+        ctx.fillStyle = colors[Math.floor(Math.random() * colors.length)];
+        ctx.fillRect(Math.floor(x), Math.floor(y), 1, 1);
+    }
+}
+// Modifies a hex color slightly for variation
+export function varyColor(hexColor, lightnessVariation = 15, saturationVariation = 0.01) {
+    // Convert hex to RGB
+    let r = parseInt(hexColor.slice(1, 3), 16);
+    let g = parseInt(hexColor.slice(3, 5), 16);
+    let b = parseInt(hexColor.slice(5, 7), 16);
+
+    // Apply lightness variation
+    const lightAdjust = Math.floor((Math.random() - 0.5) * lightnessVariation * 2);
+    r += lightAdjust; g += lightAdjust; b += lightAdjust;
+
+    // Apply saturation variation (simplified)
+    if (saturationVariation > 0) {
+        const avg = (r + g + b) / 3;
+        const satAdjust = (Math.random() - 0.5) * saturationVariation * 2;
+        const factor = Math.abs(satAdjust);
+        if (satAdjust > 0) { // Increase saturation
+            r = lerp(factor, r, r + (r - avg));
+            g = lerp(factor, g, g + (g - avg));
+            b = lerp(factor, b, b + (b - avg));
+        } else { // Decrease saturation
+            r = lerp(factor, r, avg);
+            g = lerp(factor, g, avg);
+            b = lerp(factor, b, avg);
+        }
+    }
+
+    // Clamp values and convert back to rgb string
+    r = Math.max(0, Math.min(255, Math.round(r)));
+    g = Math.max(0, Math.min(255, Math.round(g)));
+    b = Math.max(0, Math.min(255, Math.round(b)));
+    return `rgb(${r},${g},${b})`;
+}
+
+// --- Built-in Block Textures ---
+const colors = TEXTURE_COLORS; // Short name for the drawing code
+
+// Grass top (green with variations)
+function drawGrassTop(ctx, T, P) {
+    ctx.fillStyle = colors.grass_top;
+    ctx.fillRect(0, 0, T, T);
+    // Add some blades/texture
+    for (let i = 0; i < T * T * 0.5; i++) {
+        const x = Math.random() * T; const y = Math.random() * T;
+        const w = Math.random() * P * 0.8 + P * 0.2;
+        const h = Math.random() * P * 2 + P * 0.5;
+        const angle = (Math.random() - 0.5) * Math.PI * 0.3;
+        ctx.save(); ctx.translate(x, y); ctx.rotate(angle);
+        ctx.fillStyle = Math.random() > 0.4 ? varyColor(colors.grass_top_light, 8, 0.01) : varyColor(colors.grass_top_dark, 8, 0.01);
+        ctx.fillRect(-w / 2, -h / 2, w, h); ctx.restore();
+    }
+    // Subtle patches
+    for (let i = 0; i < T * T * 0.08; i++) {
+        ctx.fillStyle = Math.random() > 0.5 ? 'rgba(0,0,0,0.04)' : 'rgba(255,255,255,0.03)';
+        ctx.fillRect(Math.random()*T, Math.random()*T, P*1.5, P*1.5);
+    }
+    addNoise(ctx, T, T, 0.08);
+}
+// Grass side (dirt with a fringe of grass hanging over the top edge)
+function drawGrassSide(ctx, T, P) {
+    const dirtHeightRatio = 0.8; // How much of the side is dirt
+    const dirtHeightPx = Math.round(T * dirtHeightRatio);
+    const grassHeightPx = T - dirtHeightPx;
+    const transitionHeightPx = Math.max(P, grassHeightPx * 0.4); // Grass transition zone
+
+    // Draw dirt bottom part
+    ctx.fillStyle = colors.grass_side_dirt; ctx.fillRect(0, grassHeightPx, T, dirtHeightPx);
+    for (let i = 0; i < T * dirtHeightPx * 0.08; i++) {
+        ctx.fillStyle = Math.random() > 0.5 ? varyColor(colors.dirt_dark, 10) : varyColor(colors.dirt_light, 10);
+        ctx.fillRect(Math.random() * T, grassHeightPx + Math.random() * dirtHeightPx, Math.random()*P*1.5+P*0.5, Math.random()*P*1.5+P*0.5);
+    }
+    addNoise(ctx, T, T, 0.12, ['rgba(0,0,0,0.06)', 'rgba(255,255,255,0.03)'], 0, grassHeightPx, T, dirtHeightPx);
+
+    // Draw grass top part
+    ctx.fillStyle = colors.grass_side_top; ctx.fillRect(0, 0, T, grassHeightPx);
+    // Draw grass blades hanging down slightly
+    for (let i = 0; i < T * 0.8; i++) {
+        const bladeStartX = Math.random() * T;
+        const bladeStartY = grassHeightPx - transitionHeightPx * Math.random() * 0.5; // Start within transition
+        const bladeLength = transitionHeightPx * (1 + Math.random() * 1.2); // Extend downwards
+        const bladeWidth = Math.max(1, P * (0.2 + Math.random() * 0.4));
+        ctx.fillStyle = varyColor(colors.grass_side_top, Math.random() > 0.3 ? -12 : 8); // Vary blade color
+        ctx.fillRect(bladeStartX - bladeWidth/2, bladeStartY, bladeWidth, bladeLength);
+        // Add highlight/shadow to blade
+        ctx.fillStyle = Math.random() > 0.5 ? 'rgba(0,0,0,0.08)' : 'rgba(255,255,255,0.06)';
+        ctx.fillRect(bladeStartX - bladeWidth/2, bladeStartY, bladeWidth * 0.5, bladeLength);
+    }
+    addNoise(ctx, T, T, 0.08, ['rgba(0,0,0,0.05)', 'rgba(255,255,255,0.04)'], 0, 0, T, grassHeightPx);
+}
+// Dirt (brown with variations and pebbles); also the underside of grass
+function drawDirt(ctx, T, P) {
+    ctx.fillStyle = colors.dirt; ctx.fillRect(0, 0, T, T);
+    // Add darker/lighter patches
+    for (let i = 0; i < T * T * 0.12; i++) {
+        ctx.fillStyle = Math.random() > 0.5 ? varyColor(colors.dirt_dark, 12) : varyColor(colors.dirt_light, 12);
+        ctx.fillRect(Math.random() * T, Math.random() * T, Math.random()*P*1.8+P*0.8, Math.random()*P*1.8+P*0.8);
+    }
+    // Add small pebbles
+    for (let i = 0; i < T * T * 0.08; i++) {
+        ctx.fillStyle = varyColor(colors.dirt_pebble, 5, 0);
+        ctx.fillRect(Math.random() * T, Math.random() * T, P*(0.5 + Math.random()*0.5), P*(0.5 + Math.random()*0.5));
+    }
+    addNoise(ctx, T, T, 0.20); // More noise for dirt
+}
+// Stone (grey variations with cracks); also the background of ores
+function drawStone(ctx, T, P) {
+    ctx.fillStyle = colors.stone_light; ctx.fillRect(0, 0, T, T);
+    // Add darker patches
+    for (let i = 0; i < T * T * 0.18; i++) {
+        ctx.fillStyle = varyColor(colors.stone_dark, 8);
+        const x = Math.random() * T; const y = Math.random() * T;
+        const size = Math.random()*P*2.0 + P*0.7;
+        ctx.fillRect(x, y, size, size);
+    }
+    // Add mid-tone patches
+    for (let i = 0; i < T * T * 0.22; i++) {
+        ctx.fillStyle = varyColor(colors.stone, 12);
+        const x = Math.random() * T; const y = Math.random() * T;
+        const size = Math.random()*P*1.8 + P*0.5;
+        ctx.fillRect(x, y, size, size);
+    }
+    // Add cracks
+    ctx.strokeStyle = colors.stone_crack; ctx.lineWidth = Math.max(1, P * 0.2);
+    for(let i=0; i < T/10; i++) { // Number of crack segments
+        ctx.beginPath();
+        const startX = Math.random()*T; const startY = Math.random()*T;
+        ctx.moveTo(startX, startY);
+        const length = P * (1.5 + Math.random() * 3);
+        const angle = Math.random() * Math.PI * 2;
+        const endX = startX + Math.cos(angle) * length;
+        const endY = startY + Math.sin(angle) * length;
+        ctx.lineTo(endX + (Math.random()-0.5)*P*0.8, endY + (Math.random()-0.5)*P*0.8); // Slight jitter
+        ctx.stroke();
+    }
+    addNoise(ctx, T, T, 0.12);
+}
+// Ore texture generator: stone with clusters of specks in the palette's colours
+function oreTexture(palette) {
+    return (ctx, T, P) => {
+        drawStone(ctx, T, P);
+        const clusterCount = 5 + Math.floor(Math.random() * 3);
+        for (let c = 0; c < clusterCount; c++) {
+            const cx = Math.random() * (T - P * 4) + P * 2; // Keep clusters off the edges
+            const cy = Math.random() * (T - P * 4) + P * 2;
+            const specks = 3 + Math.floor(Math.random() * 4);
+            for (let i = 0; i < specks; i++) {
+                const x = Math.floor(cx + (Math.random() - 0.5) * P * 3);
+                const y = Math.floor(cy + (Math.random() - 0.5) * P * 3);
+                const size = Math.max(1, Math.round(P * (0.8 + Math.random() * 0.7)));
+                ctx.fillStyle = varyColor(palette.dark, 6, 0); // Shadow edge
+                ctx.fillRect(x + 1, y + 1, size, size);
+                ctx.fillStyle = varyColor(palette.base, 10, 0.02);
+                ctx.fillRect(x, y, size, size);
+                if (Math.random() > 0.5) { // Occasional highlight
+                    ctx.fillStyle = palette.light;
+                    ctx.fillRect(x, y, Math.max(1, Math.floor(size / 2)), Math.max(1, Math.floor(size / 2)));
+                }
+            }
+        }
+        addNoise(ctx, T, T, 0.04, [palette.dark]);
+    };
+}
+// Wood top/bottom (rings)
+function drawWoodTop(ctx, T, P) {
+    ctx.fillStyle = colors.wood_top; ctx.fillRect(0, 0, T, T);
+    ctx.strokeStyle = colors.wood_ring;
+    const centerX = T / 2 + (Math.random() - 0.5) * P * 1.5; // Offset center slightly
+    const centerY = T / 2 + (Math.random() - 0.5) * P * 1.5;
+    const maxRadius = T * 0.45;
+    let ringStep = Math.max(2, P * (0.8 + Math.random()*0.4) ); // Initial ring distance
+    // Draw concentric, slightly irregular rings
+    for (let r = ringStep * (0.5 + Math.random()*0.5); r < maxRadius; r += ringStep * (0.7 + Math.random()*0.6)) {
+        ctx.lineWidth = Math.max(1, P * (0.2 + Math.random()*0.6)); // Vary ring thickness
+        ctx.beginPath();
+        const segments = 12; // Smoothness of ring
+        let firstX, firstY;
+        for(let seg=0; seg<=segments; seg++){
+            const angle = (seg/segments) * Math.PI * 2;
+            const radiusX = r * (0.95 + Math.random()*0.1); // Slightly vary radius
+            const radiusY = r * (0.95 + Math.random()*0.1);
+            const angleOffset = (Math.random()-0.5) * 0.1; // Slight angle wobble
+            const x = centerX + Math.cos(angle + angleOffset) * radiusX;
+            const y = centerY + Math.sin(angle + angleOffset) * radiusY;
+            if(seg === 0) { ctx.moveTo(x,y); firstX = x; firstY = y; }
+            else if (seg === segments) { ctx.lineTo(firstX, firstY); } // Close the loop
+            else { ctx.lineTo(x,y); }
+        }
+        ctx.stroke();
+        ringStep = Math.max(2, P * (0.8 + Math.random()*0.4) ); // Vary distance to next ring
+    }
+    addNoise(ctx, T, T, 0.08);
+}
+// Wood side (grain)
+function drawWoodSide(ctx, T, P) {
+    ctx.fillStyle = colors.wood_side; ctx.fillRect(0, 0, T, T);
+    ctx.lineWidth = Math.max(1, P * 0.3);
+    const grainLines = T/2.5; // Number of main grain lines
+    for (let i = 0; i < grainLines; i++) {
+        // Darker grain line
+        ctx.strokeStyle = varyColor(colors.wood_dark, 8, 0.02);
+        ctx.lineWidth = Math.max(1, P * (0.2 + Math.random() * 0.5));
+        ctx.beginPath();
+        let x = (i / grainLines + Math.random() * 0.2 / grainLines) * T; // Slightly randomize start x
+        ctx.moveTo(x + (Math.random()-0.5)*P*0.5, 0);
+        // Draw wiggly line downwards
+        for (let y = P; y <= T; y += P * (1.5 + Math.random())) {
+            ctx.lineTo(x + (Math.random() - 0.5) * P, y); // Horizontal wiggle
+        }
+        ctx.stroke();
+        // Add occasional lighter grain line nearby
+        if (Math.random() > 0.4) {
+            ctx.strokeStyle = varyColor(colors.wood_light_grain, 5, 0.01);
+            ctx.lineWidth = Math.max(1, P * (0.1 + Math.random() * 0.3));
+            ctx.beginPath();
+            let x2 = x + (Math.random()-0.5) * P * 0.8; // Offset from dark line
+            ctx.moveTo(x2 + (Math.random()-0.5)*P*0.3, 0);
+            for (let y = P; y <= T; y += P * (2 + Math.random())) {
+                ctx.lineTo(x2 + (Math.random() - 0.5) * P * 0.8, y);
+            }
+            ctx.stroke();
+        }
+    }
+    // Add occasional knot
+    if(Math.random() < 0.08) {
+        const knotX = Math.random() * T * 0.8 + T*0.1; // Avoid edges
+        const knotY = Math.random() * T * 0.8 + T*0.1;
+        const knotRadius = P * (0.8 + Math.random()*1.2);
+        // Outer knot color
+        ctx.fillStyle = varyColor(colors.wood_dark, -10);
+        ctx.beginPath();
+        ctx.ellipse(knotX, knotY, knotRadius, knotRadius * (0.6 + Math.random()*0.3), Math.random()*Math.PI, 0, Math.PI*2);
+        ctx.fill();
+        // Inner knot color
+        ctx.fillStyle = varyColor(colors.wood_ring, -5);
+        ctx.beginPath();
+        ctx.ellipse(knotX, knotY, knotRadius*0.4, knotRadius * 0.2, Math.random()*Math.PI, 0, Math.PI*2);
+        ctx.fill();
+    }
+    addNoise(ctx, T, T, 0.08, ['rgba(0,0,0,0.08)', 'rgba(255,255,255,0.03)']);
+}
+// Leaves (clusters of green with see-through gaps)
+function drawLeaves(ctx, T, P) {
+    ctx.fillStyle = colors.leaves; ctx.fillRect(0, 0, T, T);
+    const leafCount = T * T * 1.2; // Density of leaf blobs
+    // Draw leaf blobs
+    for (let i = 0; i < leafCount; i++) {
+        let color;
+        const randColor = Math.random();
+        if (randColor < 0.4) color = varyColor(colors.leaves_light, 8, 0.01);
+        else if (randColor < 0.75) color = varyColor(colors.leaves, 8, 0.01);
+        else color = varyColor(colors.leaves_dark, 6, 0.01);
+        ctx.fillStyle = color;
+        const x = Math.random() * T; const y = Math.random() * T;
+        const radiusX = Math.random() * (P * 0.8) + (P * 0.3);
+        const radiusY = Math.random() * (P * 0.8) + (P * 0.3);
+        const angle = Math.random() * Math.PI; // Random orientation
+        ctx.beginPath();
+        ctx.ellipse(x, y, radiusX, radiusY, angle, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    // Punch holes for transparency
+    ctx.globalCompositeOperation = 'destination-out'; // Erase mode
+    const gapCount = T * T * 0.06; // Density of gaps
+    for (let i = 0; i < gapCount; i++) {
+        const x = Math.random() * T; const y = Math.random() * T;
+        const radius = Math.random() * (P * 0.5) + (P * 0.2);
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill(); // Erase circles
+    }
+    ctx.globalCompositeOperation = 'source-over'; // Restore default drawing mode
+    // Add subtle dark noise/shadowing
+    addNoise(ctx, T, T, 0.12, [varyColor(colors.leaves_dark, -10, 0)]);
+}
+// Sand (fine light grains)
+function drawSand(ctx, T, P) {
+    ctx.fillStyle = colors.sand; ctx.fillRect(0, 0, T, T);
+    for (let i = 0; i < T * T * 0.35; i++) {
+        ctx.fillStyle = Math.random() > 0.5 ? varyColor(colors.sand_dark, 6) : varyColor(colors.sand_light, 6);
+        ctx.fillRect(Math.floor(Math.random() * T), Math.floor(Math.random() * T), Math.max(1, P * 0.5), Math.max(1, P * 0.5));
+    }
+    addNoise(ctx, T, T, 0.15, ['rgba(0,0,0,0.05)', 'rgba(255,255,255,0.05)']);
+}
+// Snow (bright white with soft blue-grey shading and sparkles)
+function drawSnow(ctx, T, P) {
+    ctx.fillStyle = colors.snow; ctx.fillRect(0, 0, T, T);
+    for (let i = 0; i < T * T * 0.06; i++) {
+        ctx.fillStyle = varyColor(colors.snow_shadow, 4, 0);
+        ctx.fillRect(Math.random() * T, Math.random() * T, Math.random() * P * 2 + P, Math.random() * P + P * 0.5);
+    }
+    for (let i = 0; i < T * T * 0.03; i++) {
+        ctx.fillStyle = colors.snow_sparkle;
+        ctx.fillRect(Math.floor(Math.random() * T), Math.floor(Math.random() * T), 1, 1);
+    }
+    addNoise(ctx, T, T, 0.05, ['rgba(120,140,170,0.05)']);
+}
+// Cactus top/bottom (darker rim, lighter flesh, center cross)
+function drawCactusTop(ctx, T, P) {
+    ctx.fillStyle = colors.cactus_dark; ctx.fillRect(0, 0, T, T);
+    ctx.fillStyle = colors.cactus; ctx.fillRect(P, P, T - P * 2, T - P * 2);
+    ctx.fillStyle = colors.cactus_light;
+    ctx.fillRect(T / 2 - P / 2, P * 3, P, T - P * 6);
+    ctx.fillRect(P * 3, T / 2 - P / 2, T - P * 6, P);
+    addNoise(ctx, T, T, 0.1);
+}
+// Cactus side (vertical ribs with spines)
+function drawCactusSide(ctx, T, P) {
+    ctx.fillStyle = colors.cactus; ctx.fillRect(0, 0, T, T);
+    const ribCount = 4;
+    for (let i = 0; i < ribCount; i++) {
+        const ribX = (i + 0.5) * T / ribCount;
+        ctx.fillStyle = varyColor(colors.cactus_light, 6, 0.01);
+        ctx.fillRect(ribX - P * 0.75, 0, P * 1.5, T); // Raised rib
+        ctx.fillStyle = varyColor(colors.cactus_dark, 6, 0.01);
+        ctx.fillRect(ribX + T / ribCount / 2 - P * 0.5, 0, P, T); // Groove between ribs
+        // Spines along the rib
+        for (let y = P * (1 + Math.random() * 2); y < T; y += P * (3 + Math.random() * 2)) {
+            ctx.fillStyle = colors.cactus_spine;
+            ctx.fillRect(Math.floor(ribX + (Math.random() > 0.5 ? P * 0.75 : -P * 1.25)), Math.floor(y), Math.max(1, P * 0.5), Math.max(1, P * 0.5));
+        }
+    }
+    addNoise(ctx, T, T, 0.08);
+}
+// Water (blue with soft ripple highlights; opacity comes from the material)
+function drawWater(ctx, T, P) {
+    ctx.fillStyle = colors.water; ctx.fillRect(0, 0, T, T);
+    for (let i = 0; i < T * T * 0.05; i++) {
+        ctx.fillStyle = varyColor(colors.water_dark, 6, 0);
+        ctx.fillRect(Math.random() * T, Math.random() * T, Math.random() * P * 3 + P, P);
+    }
+    for (let i = 0; i < T * 0.6; i++) {
+        ctx.fillStyle = varyColor(colors.water_light, 8, 0);
+        ctx.fillRect(Math.floor(Math.random() * T), Math.floor(Math.random() * T), Math.max(1, P * (1 + Math.random() * 2)), Math.max(1, P * 0.5));
+    }
+    addNoise(ctx, T, T, 0.06, ['rgba(255,255,255,0.05)', 'rgba(0,0,40,0.05)']);
+}
+// Torch icon on a transparent background (placed torches are drawn as models)
+function drawTorch(ctx, T, P) {
+    ctx.fillStyle = colors.torch_stick; ctx.fillRect(7 * P, 6 * P, 2 * P, 10 * P);
+    ctx.fillStyle = colors.torch_stick_dark; ctx.fillRect(8 * P, 6 * P, P, 10 * P);
+    ctx.fillStyle = colors.torch_flame; ctx.fillRect(7 * P, 3 * P, 2 * P, 3 * P);
+    ctx.fillStyle = colors.torch_flame_core; ctx.fillRect(7 * P, 4 * P, P, 2 * P);
+}
+// Tall grass (a tuft of blades on a transparent background)
+function drawTallGrass(ctx, T, P) {
+    for (let i = 0; i < 9; i++) {
+        const baseX = (1.5 + i * 1.5 + (Math.random() - 0.5)) * P;
+        const height = (6 + Math.random() * 9) * P;
+        const lean = (Math.random() - 0.5) * 3 * P;
+        ctx.strokeStyle = varyColor(Math.random() > 0.4 ? colors.grass_top : colors.grass_top_dark, 10, 0.01);
+        ctx.lineWidth = Math.max(1, P);
+        ctx.beginPath();
+        ctx.moveTo(baseX, T);
+        ctx.quadraticCurveTo(baseX, T - height / 2, baseX + lean, T - height);
+        ctx.stroke();
+    }
+}
+// Flower (stem with leaves and a red bloom)
+function drawFlower(ctx, T, P) {
+    ctx.fillStyle = colors.plant_stem; ctx.fillRect(7 * P, 7 * P, P, 9 * P);
+    ctx.fillStyle = colors.plant_stem_dark; ctx.fillRect(8 * P, 11 * P, 2 * P, P); ctx.fillRect(5 * P, 12 * P, 2 * P, P);
+    ctx.fillStyle = colors.flower_petal_dark; ctx.fillRect(5 * P, 3 * P, 5 * P, 5 * P);
+    ctx.fillStyle = colors.flower_petal; ctx.fillRect(6 * P, 2 * P, 3 * P, 5 * P); ctx.fillRect(5 * P, 4 * P, 5 * P, 2 * P);
+    ctx.fillStyle = colors.flower_center; ctx.fillRect(7 * P, 4 * P, P, P);
+}
+
+// Planks (four boards with seams and nail holes)
+function drawPlanks(ctx, T, P) {
+    ctx.fillStyle = colors.planks; ctx.fillRect(0, 0, T, T);
+    for (let board = 0; board < 4; board++) {
+        const y = board * 4 * P;
+        ctx.fillStyle = varyColor(colors.planks, 6, 0.01); ctx.fillRect(0, y, T, 4 * P);
+        // Grain streaks along the board
+        for (let i = 0; i < 3; i++) {
+            ctx.fillStyle = Math.random() > 0.5 ? colors.planks_light : colors.planks_dark;
+            ctx.globalAlpha = 0.4;
+            ctx.fillRect(Math.floor(Math.random() * 12) * P, y + (1 + Math.floor(Math.random() * 2)) * P, (3 + Math.floor(Math.random() * 5)) * P, P);
+            ctx.globalAlpha = 1;
+        }
+        ctx.fillStyle = colors.planks_dark; ctx.fillRect(0, y + 3 * P, T, P); // Seam
+        ctx.fillRect((board % 2 ? 4 : 12) * P, y, P, 3 * P); // Board ends, staggered
+    }
+    addNoise(ctx, T, T, 0.06);
+}
+// Crafting table top (planks with a 3x3 grid)
+function drawCraftingTableTop(ctx, T, P) {
+    drawPlanks(ctx, T, P);
+    ctx.fillStyle = colors.table_top; ctx.fillRect(P, P, 14 * P, 14 * P);
+    ctx.fillStyle = colors.table_grid;
+    for (let i = 0; i < 4; i++) {
+        ctx.fillRect((1 + i * 14 / 3) * P, P, P, 14 * P);
+        ctx.fillRect(P, (1 + i * 14 / 3) * P, 14 * P, P);
+    }
+    addNoise(ctx, T, T, 0.05);
+}
+// Crafting table side (planks with tools hanging on them)
+function drawCraftingTableSide(ctx, T, P) {
+    drawPlanks(ctx, T, P);
+    ctx.fillStyle = colors.table_top; ctx.fillRect(0, 0, T, 3 * P); // Table top edge
+    ctx.fillStyle = colors.table_grid; ctx.fillRect(0, 3 * P, T, P);
+    ctx.fillStyle = colors.torch_stick_dark; ctx.fillRect(4 * P, 6 * P, P, 7 * P); ctx.fillRect(11 * P, 6 * P, P, 7 * P); // Handles
+    ctx.fillStyle = colors.stone_light; ctx.fillRect(2 * P, 5 * P, 5 * P, 2 * P); // Hammer head
+    ctx.fillStyle = colors.stone; ctx.fillRect(10 * P, 5 * P, 3 * P, 3 * P); // Saw blade
+}
+// Stick icon (a diagonal rod on a transparent background)
+function drawStick(ctx, T, P) {
+    for (let i = 0; i < 10; i++) {
+        ctx.fillStyle = i % 3 === 0 ? colors.torch_stick_dark : colors.torch_stick;
+        ctx.fillRect((3 + i) * P, (12 - i) * P, 2 * P, 2 * P);
+    }
+}
+
+// --- Built-in Blocks ---
+const STONE_PBR = { roughness: 0.75, metalness: 0.1 };
+const FOLIAGE_PBR = { roughness: 0.8, metalness: 0.0 };
+
+[
+    { id: 0, name: 'AIR', solid: false, transparent: true, shape: 'none', hardness: 0 },
+    { id: 1, name: 'GRASS', hardness: 0.6, textures: { top: drawGrassTop, bottom: drawDirt, side: drawGrassSide }, hotbarKey: '3' },
+    { id: 2, name: 'DIRT', hardness: 0.5, textures: { side: drawDirt }, hotbarKey: '2' },
+    { id: 3, name: 'STONE', hardness: 1.5, textures: { side: drawStone }, pbr: STONE_PBR, hotbarKey: '1' },
+    { id: 4, name: 'WOOD', hardness: 2.0, textures: { top: drawWoodTop, side: drawWoodSide }, pbr: { roughness: 0.85, metalness: 0.0 }, hotbarKey: '4' },
+    // Leaves let you walk and see through their gaps, but dim light a little
+    { id: 5, name: 'LEAVES', solid: false, transparent: true, lightOpacity: 1, hardness: 0.2, textures: { side: drawLeaves }, pbr: FOLIAGE_PBR, hotbarKey: '5' },
+    { id: 6, name: 'SAND', hardness: 0.5, textures: { side: drawSand }, pbr: { roughness: 0.95, metalness: 0.0 }, hotbarKey: '6' },
+    { id: 7, name: 'SNOW', hardness: 0.2, textures: { side: drawSnow }, pbr: { roughness: 0.6, metalness: 0.0 }, hotbarKey: '7' },
+    { id: 8, name: 'CACTUS', hardness: 0.4, textures: { top: drawCactusTop, side: drawCactusSide }, pbr: FOLIAGE_PBR, hotbarKey: '8' },
+    // Rays and bodies pass through water; how it stops the player is handled by the swimming code
+    {
+        id: 9, name: 'WATER', solid: false, transparent: true, selectable: false, shape: 'fluid', lightOpacity: 1,
+        hardness: Infinity, textures: { side: drawWater }, pbr: { roughness: 0.15, metalness: 0.0 }, alpha: 0.65, hotbarKey: '9'
+    },
+    { id: 10, name: 'COAL_ORE', hardness: 3.0, textures: { side: oreTexture(ORE_SPECKLE_COLORS.coal) }, pbr: STONE_PBR },
+    { id: 11, name: 'IRON_ORE', hardness: 3.0, textures: { side: oreTexture(ORE_SPECKLE_COLORS.iron) }, pbr: STONE_PBR },
+    { id: 12, name: 'GOLD_ORE', hardness: 3.0, textures: { side: oreTexture(ORE_SPECKLE_COLORS.gold) }, pbr: STONE_PBR },
+    { id: 13, name: 'DIAMOND_ORE', hardness: 3.0, textures: { side: oreTexture(ORE_SPECKLE_COLORS.diamond) }, pbr: STONE_PBR },
+    // Torches are drawn as models with a point light; the ray still stops at them so they can be picked up
+    {
+        id: 14, name: 'TORCH', solid: false, transparent: true, selectable: true, shape: 'model', lightEmission: 14,
+        hardness: 0, textures: { side: drawTorch }, hotbarKey: '0'
+    },
+    { id: 15, name: 'STONE_SLAB', shape: 'slab', hardness: 1.5, textures: { side: drawStone }, pbr: STONE_PBR, hotbarKey: '1' },
+    { id: 16, name: 'STONE_STAIRS', shape: 'stairs', hardness: 1.5, textures: { side: drawStone }, pbr: STONE_PBR, hotbarKey: '1' },
+    // Plants: walked through, broken instantly
+    { id: 17, name: 'TALL_GRASS', solid: false, transparent: true, selectable: true, shape: 'cross', hardness: 0, drop: null, textures: { side: drawTallGrass }, pbr: FOLIAGE_PBR, hotbarKey: '3' },
+    { id: 18, name: 'FLOWER', solid: false, transparent: true, selectable: true, shape: 'cross', hardness: 0, textures: { side: drawFlower }, pbr: FOLIAGE_PBR, hotbarKey: '3' },
+    // Crafted from wood (see recipes.json); using a crafting table opens the 3x3 crafting grid
+    { id: 19, name: 'PLANKS', hardness: 2.0, textures: { side: drawPlanks }, pbr: { roughness: 0.85, metalness: 0.0 } },
+    { id: 20, name: 'CRAFTING_TABLE', hardness: 2.5, textures: { top: drawCraftingTableTop, bottom: drawPlanks, side: drawCraftingTableSide }, pbr: { roughness: 0.85, metalness: 0.0 } },
+    { id: 21, name: 'STICK', solid: false, transparent: true, shape: 'none', item: true, textures: { side: drawStick } }
+].forEach(registerBlock);
+registeringBuiltins = false;
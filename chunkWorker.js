@@ -0,0 +1,24 @@
+// --- Chunk Worker ---
+// Runs chunk generation and meshing jobs off the main thread (see the loading pipeline in script.js).
+// Jobs are handled one at a time; the main thread only sends a new one once the previous result is back.
+// Blocks registered at runtime on the main thread are passed on here before any job that could use them.
+import { setWorldSeed, runChunkJob } from './world.js';
+import { registerBlock } from './blocks.js';
+
+self.onmessage = ({ data: job }) => {
+    if (job.type === 'init') {
+        setWorldSeed(job.seed);
+        return;
+    }
+    if (job.type === 'registerBlock') {
+        registerBlock(job.block);
+        return;
+    }
+    try {
+        const { result, transfer } = runChunkJob(job);
+        self.postMessage(result, transfer);
+    } catch (error) {
+        console.error(`Chunk ${job.type} job for ${job.key} failed:`, error);
+        self.postMessage({ type: job.type, id: job.id, key: job.key, x: job.x, z: job.z, error: error.message });
+    }
+};
@@ -0,0 +1,112 @@
+// --- Crafting ---
+// Recipe engine for the crafting grid. Pure and DOM/Three.js-free: script.js loads the recipe file, keeps
+// the grid's stacks and asks matchRecipe() what they make. Recipes are data, described by a JSON file:
+//
+//   {
+//       "recipes": [
+//           { "type": "shapeless", "ingredients": ["WOOD"], "result": { "name": "PLANKS", "count": 4 } },
+//           { "type": "shaped", "pattern": ["C", "#"], "key": { "C": "COAL_ORE", "#": "STICK" }, "result": { "name": "TORCH", "count": 4 } }
+//       ]
+//   }
+//
+// Shaped recipes lay their pattern out anywhere in the grid: each string is a row, each character a cell,
+// looked up in `key`; a space is an empty cell, and blank rows and columns around the pattern are ignored.
+// They also match left-to-right mirrored, unless "mirrored": false. Shapeless recipes need exactly their
+// ingredients (repeat a name to need several) in any cells. Names are block names from the registry;
+// results default to a count of 1.
+// The grid is an array of width * width block types, row by row, with null for empty cells.
+
+// Compiles recipe file data into the form matchRecipe() uses. `blockTypeOf(name)` looks up a block type
+// (undefined for unknown names). Invalid recipes are skipped with a warning, so one typo doesn't cost the rest.
+export function compileRecipes(data, blockTypeOf) {
+    if (!data || !Array.isArray(data.recipes)) throw new Error('Recipe file has no "recipes" array');
+    const recipes = [];
+    data.recipes.forEach((definition, index) => {
+        try {
+            recipes.push(compileRecipe(definition, blockTypeOf));
+        } catch (error) {
+            console.warn(`Skipping recipe ${index}: ${error.message}`);
+        }
+    });
+    return recipes;
+}
+
+function compileRecipe(definition, blockTypeOf) {
+    if (definition?.type !== 'shaped' && definition?.type !== 'shapeless') throw new Error(`unknown recipe type "${definition?.type}"`);
+    const typeOf = (name) => {
+        const type = blockTypeOf(name);
+        if (type === undefined || type === null) throw new Error(`unknown block "${name}"`);
+        return type;
+    };
+    const result = definition.result;
+    const count = result?.count ?? 1;
+    if (!Number.isInteger(count) || count < 1) throw new Error(`invalid result count ${count}`);
+    const compiled = { type: definition.type, result: { type: typeOf(result?.name), count } };
+
+    if (definition.type === 'shaped') {
+        const { pattern, key = {} } = definition;
+        if (!Array.isArray(pattern) || pattern.length === 0 || !pattern.every(row => typeof row === 'string')) {
+            throw new Error('shaped recipe needs a "pattern" of strings');
+        }
+        const width = Math.max(...pattern.map(row => row.length));
+        // Rows shorter than the widest are padded with empty cells
+        const cells = pattern.flatMap(row => [...row.padEnd(width)].map(symbol => {
+            if (symbol === ' ') return null;
+            if (!(symbol in key)) throw new Error(`pattern symbol "${symbol}" is not in the key`);
+            return typeOf(key[symbol]);
+        }));
+        // Trimmed to its occupied cells, since the grid is too before matching
+        const bounds = occupiedBounds(cells, width);
+        if (!bounds) throw new Error('empty pattern');
+        compiled.cells = [];
+        for (let y = 0; y < bounds.height; y++) {
+            compiled.cells.push(...cells.slice((bounds.y + y) * width + bounds.x, (bounds.y + y) * width + bounds.x + bounds.width));
+        }
+        compiled.width = bounds.width;
+        compiled.height = bounds.height;
+        compiled.mirrored = definition.mirrored ?? true;
+    } else {
+        const { ingredients } = definition;
+        if (!Array.isArray(ingredients) || ingredients.length === 0) throw new Error('shapeless recipe needs "ingredients"');
+        compiled.ingredients = ingredients.map(typeOf).sort((a, b) => a - b);
+    }
+    return compiled;
+}
+
+// The first recipe the grid's contents make, or null. A recipe whose pattern is larger than the grid
+// never matches, so a 2x2 grid only crafts the small recipes.
+export function matchRecipe(recipes, grid, width) {
+    const bounds = occupiedBounds(grid, width);
+    if (!bounds) return null;
+    const types = grid.filter(type => type !== null).sort((a, b) => a - b);
+    return recipes.find(recipe => recipe.type === 'shaped'
+        ? matchesShaped(recipe, grid, width, bounds)
+        : types.length === recipe.ingredients.length && types.every((type, i) => type === recipe.ingredients[i])) ?? null;
+}
+
+// Smallest rectangle holding every non-empty cell of a grid or pattern `width` cells wide:
+// { x, y, width, height }, or null if every cell is empty
+function occupiedBounds(grid, width) {
+    let minX = width, minY = width, maxX = -1, maxY = -1;
+    grid.forEach((type, i) => {
+        if (type === null) return;
+        const x = i % width, y = Math.floor(i / width);
+        minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    });
+    return maxX < 0 ? null : { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+function matchesShaped(recipe, grid, width, bounds) {
+    if (recipe.width !== bounds.width || recipe.height !== bounds.height) return false;
+    const matches = (mirror) => {
+        for (let y = 0; y < recipe.height; y++) {
+            for (let x = 0; x < recipe.width; x++) {
+                const patternX = mirror ? recipe.width - 1 - x : x;
+                if (grid[(bounds.y + y) * width + bounds.x + x] !== recipe.cells[y * recipe.width + patternX]) return false;
+            }
+        }
+        return true;
+    };
+    return matches(false) || (recipe.mirrored && matches(true));
+}
@@ -0,0 +1,103 @@
+// --- Inventory ---
+// The player's block stacks. Pure and DOM/Three.js-free: the HUD hotbar and the inventory screen in
+// script.js only draw it. Slots 0 to HOTBAR_SIZE - 1 are the hotbar, the rest the main inventory; each
+// slot is empty (null) or holds a stack { type, count } of one block type.
+
+export const HOTBAR_SIZE = 9;
+export const INVENTORY_SIZE = 36; // Hotbar plus three rows of nine
+export const MAX_STACK_SIZE = 64;
+
+export class Inventory {
+    constructor(size = INVENTORY_SIZE) {
+        this.slots = new Array(size).fill(null);
+        this.listeners = [];
+    }
+
+    // Calls `listener()` after every change
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+    changed() {
+        for (const listener of this.listeners) listener();
+    }
+
+    get(index) {
+        return this.slots[index] ?? null;
+    }
+    // Replaces a slot's stack (count 0 empties it)
+    set(index, type, count) {
+        this.slots[index] = count > 0 ? { type, count: Math.min(count, MAX_STACK_SIZE) } : null;
+        this.changed();
+    }
+    clear() {
+        this.slots.fill(null);
+        this.changed();
+    }
+
+    // Adds blocks, topping up stacks of the same type before filling empty slots (the hotbar first, in
+    // both cases). Returns how many didn't fit.
+    add(type, count = 1) {
+        for (const stack of this.slots) {
+            if (count === 0) break;
+            if (!stack || stack.type !== type || stack.count >= MAX_STACK_SIZE) continue;
+            const moved = Math.min(count, MAX_STACK_SIZE - stack.count);
+            stack.count += moved;
+            count -= moved;
+        }
+        for (let i = 0; i < this.slots.length && count > 0; i++) {
+            if (this.slots[i]) continue;
+            const moved = Math.min(count, MAX_STACK_SIZE);
+            this.slots[i] = { type, count: moved };
+            count -= moved;
+        }
+        this.changed();
+        return count;
+    }
+    // How many blocks of a type add() would fit in
+    spaceFor(type) {
+        return this.slots.reduce((space, stack) =>
+            space + (!stack ? MAX_STACK_SIZE : stack.type === type ? MAX_STACK_SIZE - stack.count : 0), 0);
+    }
+    // Takes up to `count` blocks from a slot and returns how many it took
+    take(index, count = 1) {
+        const stack = this.slots[index];
+        if (!stack) return 0;
+        const taken = Math.min(count, stack.count);
+        stack.count -= taken;
+        if (stack.count === 0) this.slots[index] = null;
+        this.changed();
+        return taken;
+    }
+    // Drops the stack of slot `from` onto slot `to` of `target` (this inventory, or another one such as the
+    // crafting grid): it merges into a stack of the same type as far as it fits (the rest stays behind), and
+    // otherwise trades places with what's there
+    move(from, to, target = this) {
+        const source = this.slots[from], existing = target.slots[to];
+        if ((target === this && from === to) || !source) return;
+        if (existing && existing.type === source.type) {
+            const moved = Math.min(source.count, MAX_STACK_SIZE - existing.count);
+            existing.count += moved;
+            source.count -= moved;
+            if (source.count === 0) this.slots[from] = null;
+        } else {
+            this.slots[from] = existing;
+            target.slots[to] = source;
+        }
+        this.changed();
+        if (target !== this) target.changed();
+    }
+
+    // Plain data for saving: [type, count] or null per slot
+    toJSON() {
+        return this.slots.map(stack => stack && [stack.type, stack.count]);
+    }
+    // Restores saved slots; `isValidType(type)` drops stacks of blocks that no longer exist
+    load(data, isValidType = () => true) {
+        this.slots = this.slots.map((_, i) => {
+            const [type, count] = Array.isArray(data[i]) ? data[i] : [];
+            if (!Number.isInteger(type) || !Number.isInteger(count) || count <= 0 || !isValidType(type)) return null;
+            return { type, count: Math.min(count, MAX_STACK_SIZE) };
+        });
+        this.changed();
+    }
+}
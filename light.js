@@ -0,0 +1,114 @@
+// --- Voxel Light Engine ---
+// Pure and DOM/Three.js-free flood-fill lighting, shared by the chunk generator (one chunk at a time)
+// and the main thread (across all loaded chunks). There are two channels: skylight enters from above the
+// world and keeps full strength while falling straight down through clear blocks; block light spreads
+// from glowing blocks. Every other step costs one level plus the block's opacity, so light fades out
+// after at most 15 blocks. Placing or breaking a block first darkens everything that was lit through
+// it, then refills the darkened area from the light around it.
+//
+// Functions work on a `world` that provides:
+//   minY, maxY                         - vertical extent; above maxY is open sky, below minY is never lit
+//   getBlock(x, y, z)                  - block type
+//   getLight(x, y, z, channel)         - stored level, or -1 where light can't be stored (e.g. unloaded chunks)
+//   setLight(x, y, z, channel, level)
+//   opacity(type)                      - extra levels a block absorbs; MAX_LIGHT or more stops light completely
+//   emission(type)                     - block light level a block gives off (0 for most blocks)
+// Queues are flat number arrays of cells ([x, y, z, ...]) so large fills don't allocate per cell.
+
+export const MAX_LIGHT = 15;
+export const LIGHT_CHANNEL = { SKY: 0, BLOCK: 1 };
+const LIGHT_CHANNELS = Object.values(LIGHT_CHANNEL);
+
+const NEIGHBOR_OFFSETS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+// Level at a cell, counting the layer above the world as full sky
+function readLight(world, x, y, z, channel) {
+    if (y >= world.maxY) return channel === LIGHT_CHANNEL.SKY ? MAX_LIGHT : 0;
+    return world.getLight(x, y, z, channel);
+}
+
+// Level a neighbouring block of `type` receives from a cell at `level` (dy = -1 when it lies below)
+function spreadLevel(world, channel, level, dy, type) {
+    const opacity = world.opacity(type);
+    if (opacity >= MAX_LIGHT) return 0;
+    if (channel === LIGHT_CHANNEL.SKY && dy < 0 && level === MAX_LIGHT && opacity === 0) return MAX_LIGHT; // Sunlight falls without fading
+    return Math.max(0, level - 1 - opacity);
+}
+
+// Spreads light outward from the queued cells until it no longer brightens anything. Consumes `queue`.
+export function propagateLight(world, channel, queue) {
+    for (let head = 0; head < queue.length; head += 3) {
+        const x = queue[head], y = queue[head + 1], z = queue[head + 2];
+        const level = readLight(world, x, y, z, channel);
+        if (level <= 1) continue; // Too dim to reach a neighbour
+
+        for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+            const nx = x + dx, ny = y + dy, nz = z + dz;
+            if (ny < world.minY || ny >= world.maxY) continue;
+            const current = world.getLight(nx, ny, nz, channel);
+            if (current < 0) continue;
+            const next = spreadLevel(world, channel, level, dy, world.getBlock(nx, ny, nz));
+            if (next > current) {
+                world.setLight(nx, ny, nz, channel, next);
+                queue.push(nx, ny, nz);
+            }
+        }
+    }
+}
+
+// Darkens everything that was lit through the queued cells ([x, y, z, formerLevel, ...], already set to 0).
+// Returns the cells bordering the darkened area that still have light, ready for propagateLight().
+function removeLight(world, channel, queue) {
+    const refill = [];
+    for (let head = 0; head < queue.length; head += 4) {
+        const x = queue[head], y = queue[head + 1], z = queue[head + 2], level = queue[head + 3];
+
+        for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+            const nx = x + dx, ny = y + dy, nz = z + dz;
+            if (ny >= world.maxY) {
+                if (channel === LIGHT_CHANNEL.SKY) refill.push(nx, ny, nz); // Open sky shines back in
+                continue;
+            }
+            if (ny < world.minY) continue;
+            const current = world.getLight(nx, ny, nz, channel);
+            if (current <= 0) continue; // Already dark, or not stored
+
+            // Dimmer neighbours (and full sunlight straight below) may have been lit through this cell
+            const litThroughThis = current < level ||
+                (channel === LIGHT_CHANNEL.SKY && dy < 0 && level === MAX_LIGHT && current === MAX_LIGHT);
+            if (!litThroughThis) {
+                refill.push(nx, ny, nz);
+                continue;
+            }
+            world.setLight(nx, ny, nz, channel, 0);
+            queue.push(nx, ny, nz, current);
+            if (channel === LIGHT_CHANNEL.BLOCK) {
+                const emission = world.emission(world.getBlock(nx, ny, nz));
+                if (emission > 0) { // Glowing blocks keep their own light
+                    world.setLight(nx, ny, nz, channel, emission);
+                    refill.push(nx, ny, nz);
+                }
+            }
+        }
+    }
+    return refill;
+}
+
+// Updates both light channels after the block at (x, y, z) has changed
+export function relightBlock(world, x, y, z) {
+    const type = world.getBlock(x, y, z);
+    for (const channel of LIGHT_CHANNELS) {
+        const former = world.getLight(x, y, z, channel);
+        if (former < 0) continue;
+        world.setLight(x, y, z, channel, 0);
+        // Even from a dark cell this collects the lit neighbours, which refill a newly opened cell
+        const refill = removeLight(world, channel, [x, y, z, former]);
+
+        const emission = channel === LIGHT_CHANNEL.BLOCK ? world.emission(type) : 0;
+        if (emission > 0) {
+            world.setLight(x, y, z, channel, emission);
+            refill.push(x, y, z);
+        }
+        propagateLight(world, channel, refill);
+    }
+}
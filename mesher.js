@@ -0,0 +1,328 @@
+// --- Greedy Chunk Mesher ---
+// Pure and DOM/Three.js-free so it can run on plain chunk data (and later off the main thread).
+// Emits only the faces that border see-through blocks, and merges coplanar neighbouring faces
+// of the same material into larger quads whose UVs repeat the texture once per block. Partial blocks
+// (slabs, stairs) and plants don't merge; they are drawn box by box and quad by quad.
+
+// Face order matches the multi-material arrays used for blocks: [px, nx, py, ny, pz, nz]
+// axis: the face normal's axis; u/v: the in-plane axes (v is "up" on side faces so textures stay upright)
+export const FACES = [
+    { axis: 0, sign: 1, u: 2, v: 1, normal: [1, 0, 0] },   // Right (+x)
+    { axis: 0, sign: -1, u: 2, v: 1, normal: [-1, 0, 0] }, // Left (-x)
+    { axis: 1, sign: 1, u: 0, v: 2, normal: [0, 1, 0] },   // Top (+y)
+    { axis: 1, sign: -1, u: 0, v: 2, normal: [0, -1, 0] }, // Bottom (-y)
+    { axis: 2, sign: 1, u: 0, v: 1, normal: [0, 0, 1] },   // Front (+z)
+    { axis: 2, sign: -1, u: 0, v: 1, normal: [0, 0, -1] }  // Back (-z)
+];
+const AIR = 0;
+
+// Builds greedy-meshed geometry data for one chunk.
+// volume: { sizeX, sizeY, sizeZ, blocks } with blocks a flat array indexed ((y * sizeZ) + z) * sizeX + x,
+//         plus blockAt(x, y, z) for neighbour lookups just outside the volume (local coordinates)
+// rules:  isFaceVisible(type, neighbourType) - should this block draw its face against that neighbour?
+//         materialIndex(type, face) - faces with the same index may merge and share a geometry group
+//         layerOf(type) - which output layer the block goes to (e.g. separate meshes for water)
+//         blockHeight(x, y, z, type) - optional, 1 for full blocks; lower blocks (surface water) never merge vertically
+//         faceLight(x, y, z) - optional light value of the cell a face looks into; only faces with equal light merge
+//         lightColor(light) - [r, g, b] vertex colour for a faceLight value (required with faceLight)
+//         occludes(type) - optional; enables ambient occlusion, darkening face corners next to blocks it returns true for
+//         modelBoxes(x, y, z, type) - optional; boxes ([x0, y0, z0, x1, y1, z1] within the block) a partial block (slab,
+//                                     stairs) is drawn as, face by face, or null for blocks that are greedy-meshed. Box faces
+//                                     on the block's boundary use isFaceVisible(); the others are always drawn.
+//         isCrossModel(type) - optional; blocks drawn as two crossed upright quads (plants) instead of being greedy-meshed
+// Returns { layers: [{ positions, normals, uvs, colors (null without faceLight and occludes), indices, groups: [{ start, count, materialIndex }] }],
+//           stats: { instancedTriangles, culledTriangles, greedyTriangles } }
+export function greedyMesh(volume, rules) {
+    const { sizeX, sizeY, sizeZ, blocks, blockAt } = volume;
+    const { isFaceVisible, materialIndex, layerOf, blockHeight = null, faceLight = null, lightColor = null, occludes = null,
+        modelBoxes = null, isCrossModel = null } = rules;
+    const size = [sizeX, sizeY, sizeZ];
+
+    // Reads a block in local coordinates, using the array inside the volume and blockAt() outside it
+    const getBlock = (x, y, z) => (x >= 0 && x < sizeX && y >= 0 && y < sizeY && z >= 0 && z < sizeZ)
+        ? blocks[((y * sizeZ) + z) * sizeX + x]
+        : blockAt(x, y, z);
+
+    const quadsByMaterial = new Map(); // materialIndex -> { layer, faces: [x, y, z, u, v, occlusion (x4 corners), face, light, ...] }
+    const exposedBlocks = new Uint8Array(sizeX * sizeY * sizeZ); // For the "before" count: blocks with any visible face
+    let culledFaces = 0;
+
+    // --- Partial blocks and plants, drawn one by one and left out of the greedy pass ---
+    const modelCells = (modelBoxes || isCrossModel) ? new Uint8Array(sizeX * sizeY * sizeZ) : null;
+    if (modelCells) {
+        for (let y = 0, i = 0; y < sizeY; y++) {
+            for (let z = 0; z < sizeZ; z++) {
+                for (let x = 0; x < sizeX; x++, i++) {
+                    const type = blocks[i];
+                    if (type === AIR) continue;
+                    if (isCrossModel && isCrossModel(type)) {
+                        emitCross(quadsByMaterial, layerOf(type), materialIndex(type, CROSS_FACE), x, y, z, faceLight ? faceLight(x, y, z) : 0);
+                        culledFaces += 2;
+                    } else {
+                        const boxes = modelBoxes ? modelBoxes(x, y, z, type) : null;
+                        if (!boxes) continue;
+                        culledFaces += emitBoxes(quadsByMaterial, getBlock, rules, type, x, y, z, boxes);
+                    }
+                    modelCells[i] = 1;
+                    exposedBlocks[i] = 1;
+                }
+            }
+        }
+    }
+
+    const pos = [0, 0, 0]; // Scratch cell coordinates
+    for (let face = 0; face < FACES.length; face++) {
+        const { axis, sign, u, v } = FACES[face];
+        const sizeU = size[u], sizeV = size[v];
+        const maskType = new Int32Array(sizeU * sizeV); // Material index + 1 of each visible face (0 = none)
+        const maskHeight = new Float32Array(sizeU * sizeV); // Block height of each visible face
+        const maskBlock = new Int32Array(sizeU * sizeV); // Block type of each visible face
+        const maskLight = new Int32Array(sizeU * sizeV); // Light in front of each visible face
+        const maskOcclusion = new Int32Array(sizeU * sizeV); // Packed corner occlusion of each visible face
+
+        for (let slice = 0; slice < size[axis]; slice++) {
+            // --- Build the mask of visible faces in this slice ---
+            let visibleInSlice = 0;
+            for (let cv = 0; cv < sizeV; cv++) {
+                for (let cu = 0; cu < sizeU; cu++) {
+                    const m = cv * sizeU + cu;
+                    maskType[m] = 0;
+                    pos[axis] = slice; pos[u] = cu; pos[v] = cv;
+                    const type = getBlock(pos[0], pos[1], pos[2]);
+                    if (type === AIR || (modelCells && modelCells[((pos[1] * sizeZ) + pos[2]) * sizeX + pos[0]])) continue;
+                    pos[axis] += sign;
+                    const neighbour = getBlock(pos[0], pos[1], pos[2]);
+                    if (!isFaceVisible(type, neighbour)) continue;
+                    maskLight[m] = faceLight ? faceLight(pos[0], pos[1], pos[2]) : 0;
+                    maskOcclusion[m] = occludes ? cornerOcclusion(getBlock, occludes, pos, u, v) : 0;
+                    pos[axis] -= sign;
+
+                    maskType[m] = materialIndex(type, face) + 1;
+                    maskBlock[m] = type;
+                    maskHeight[m] = blockHeight ? blockHeight(pos[0], pos[1], pos[2], type) : 1;
+                    exposedBlocks[((pos[1] * sizeZ) + pos[2]) * sizeX + pos[0]] = 1;
+                    visibleInSlice++;
+                }
+            }
+            if (visibleInSlice === 0) continue;
+            culledFaces += visibleInSlice;
+
+            // --- Merge the mask into rectangles (widest run first, then grow along v) ---
+            for (let cv = 0; cv < sizeV; cv++) {
+                for (let cu = 0; cu < sizeU; ) {
+                    const m = cv * sizeU + cu;
+                    const key = maskType[m];
+                    if (key === 0) { cu++; continue; }
+                    const height = maskHeight[m];
+                    const light = maskLight[m], occlusion = maskOcclusion[m];
+                    const sameFace = (i) => maskType[i] === key && maskHeight[i] === height &&
+                        maskLight[i] === light && maskOcclusion[i] === occlusion;
+
+                    let width = 1;
+                    while (cu + width < sizeU && sameFace(m + width)) width++;
+
+                    // Partial-height blocks stack with gaps, so their side faces can't merge vertically
+                    let depth = 1;
+                    const canGrow = height === 1 || v !== 1;
+                    growing: while (canGrow && cv + depth < sizeV) {
+                        const row = (cv + depth) * sizeU + cu;
+                        for (let k = 0; k < width; k++) {
+                            if (!sameFace(row + k)) break growing;
+                        }
+                        depth++;
+                    }
+
+                    emitQuad(quadsByMaterial, layerOf(maskBlock[m]), key - 1, face, slice, cu, cv, width, depth, height, light, occlusion);
+
+                    // Clear the merged cells so they aren't emitted twice
+                    for (let dv = 0; dv < depth; dv++) {
+                        maskType.fill(0, (cv + dv) * sizeU + cu, (cv + dv) * sizeU + cu + width);
+                    }
+                    cu += width;
+                }
+            }
+        }
+    }
+
+    let exposedCount = 0;
+    for (let i = 0; i < exposedBlocks.length; i++) exposedCount += exposedBlocks[i];
+
+    const layers = buildLayers(quadsByMaterial, faceLight ? lightColor : null, occludes !== null);
+    const greedyTriangles = layers.reduce((sum, layer) => sum + layer.indices.length / 3, 0);
+    return {
+        layers,
+        stats: {
+            instancedTriangles: exposedCount * 12, // Previous approach: a whole cube per exposed block
+            culledTriangles: culledFaces * 2, // Visible faces only, without merging
+            greedyTriangles
+        }
+    };
+}
+
+// Ambient occlusion of a face's four corners (in emitQuad's corner order), packed 2 bits each: the number of
+// occluding blocks (0-3) among the two edge neighbours and the diagonal one beside that corner, counted in the
+// layer the face looks into. Two occluding edges hide the diagonal, so that corner counts as fully occluded.
+const CORNER_SIGNS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+function cornerOcclusion(getBlock, occludes, front, u, v) {
+    const p = [0, 0, 0];
+    let packed = 0;
+    for (let c = 0; c < 4; c++) {
+        const [signU, signV] = CORNER_SIGNS[c];
+        p[0] = front[0]; p[1] = front[1]; p[2] = front[2];
+        p[u] += signU;
+        const side1 = occludes(getBlock(p[0], p[1], p[2]));
+        p[v] += signV;
+        const corner = occludes(getBlock(p[0], p[1], p[2]));
+        p[u] -= signU;
+        const side2 = occludes(getBlock(p[0], p[1], p[2]));
+        packed |= (side1 && side2 ? 3 : side1 + side2 + corner) << (c * 2);
+    }
+    return packed;
+}
+
+// Records the four corners of a merged quad (in local block coordinates) under its material
+function emitQuad(quadsByMaterial, layer, matIndex, face, slice, cu, cv, width, depth, height, light, occlusion) {
+    const { axis, sign, u, v } = FACES[face];
+    const entry = quadEntry(quadsByMaterial, layer, matIndex);
+
+    // The face plane sits on the block's far side for positive faces; lowered blocks lower their top
+    const plane = slice + (sign > 0 ? (axis === 1 ? height : 1) : 0);
+    const extentV = (v === 1 && height !== 1) ? height : depth; // Side faces of low blocks are shorter
+    const corners = [[cu, cv], [cu + width, cv], [cu + width, cv + extentV], [cu, cv + extentV]];
+
+    const point = [0, 0, 0];
+    for (const c of cornerOrder(face)) {
+        point[axis] = plane; point[u] = corners[c][0]; point[v] = corners[c][1];
+        entry.faces.push(point[0], point[1], point[2], corners[c][0] - cu, corners[c][1] - cv, (occlusion >> (c * 2)) & 3);
+    }
+    entry.faces.push(face, light);
+}
+
+// Quad winding is counter-clockwise seen from outside; `order` flips it where u x v points against the normal
+function cornerOrder(face) {
+    const { sign, u, v } = FACES[face];
+    const uCrossV = (u === 2 && v === 1) || (u === 0 && v === 2) ? -1 : 1;
+    return uCrossV === sign ? [0, 1, 2, 3] : [0, 3, 2, 1];
+}
+function quadEntry(quadsByMaterial, layer, matIndex) {
+    let entry = quadsByMaterial.get(matIndex);
+    if (!entry) {
+        entry = { layer, faces: [] };
+        quadsByMaterial.set(matIndex, entry);
+    }
+    return entry;
+}
+
+// Records the visible faces of a partial block's boxes, without ambient occlusion. Faces on the block's
+// boundary are lit by the cell they look into, inner ones by the block's own cell. Returns the face count.
+function emitBoxes(quadsByMaterial, getBlock, rules, type, x, y, z, boxes) {
+    const { isFaceVisible, materialIndex, layerOf, faceLight } = rules;
+    const cell = [x, y, z], point = [0, 0, 0];
+    const layer = layerOf(type);
+    let emitted = 0;
+    for (const box of boxes) {
+        for (let face = 0; face < FACES.length; face++) {
+            const { axis, sign, u, v } = FACES[face];
+            const offset = sign > 0 ? box[axis + 3] : box[axis]; // Face plane within the block
+            const onBoundary = offset === (sign > 0 ? 1 : 0);
+            point[0] = x; point[1] = y; point[2] = z;
+            if (onBoundary) {
+                point[axis] += sign;
+                if (!isFaceVisible(type, getBlock(point[0], point[1], point[2]))) continue;
+            }
+            const light = faceLight ? faceLight(point[0], point[1], point[2]) : 0;
+
+            const entry = quadEntry(quadsByMaterial, layer, materialIndex(type, face));
+            const corners = [[box[u], box[v]], [box[u + 3], box[v]], [box[u + 3], box[v + 3]], [box[u], box[v + 3]]];
+            for (const c of cornerOrder(face)) {
+                point[axis] = cell[axis] + offset; point[u] = cell[u] + corners[c][0]; point[v] = cell[v] + corners[c][1];
+                // UVs are the position within the block, so a slab shows the matching half of the texture
+                entry.faces.push(point[0], point[1], point[2], corners[c][0], corners[c][1], 0);
+            }
+            entry.faces.push(face, light);
+            emitted++;
+        }
+    }
+    return emitted;
+}
+
+// Crossed quads get the upward face's material and normal, so plants take the texture of a top face and
+// are shaded evenly from either side (their material draws both sides)
+const CROSS_FACE = 2;
+const CROSS_DIAGONALS = [[0, 0, 1, 1], [1, 0, 0, 1]]; // [x0, z0, x1, z1] of each quad across the block
+function emitCross(quadsByMaterial, layer, matIndex, x, y, z, light) {
+    const entry = quadEntry(quadsByMaterial, layer, matIndex);
+    for (const [x0, z0, x1, z1] of CROSS_DIAGONALS) {
+        entry.faces.push(
+            x + x0, y, z + z0, 0, 0, 0,
+            x + x1, y, z + z1, 1, 0, 0,
+            x + x1, y + 1, z + z1, 1, 1, 0,
+            x + x0, y + 1, z + z0, 0, 1, 0,
+            CROSS_FACE, light
+        );
+    }
+}
+
+// Vertex brightness by the number of occluding blocks at a corner
+const OCCLUSION_BRIGHTNESS = [1.0, 0.78, 0.62, 0.48];
+const WHITE = [1, 1, 1];
+
+// Packs the collected quads into typed arrays, one geometry group per material, per layer.
+// With a lightColor function, every quad's corners also get the colour of its light, and with
+// ambient occlusion they are darkened per corner.
+function buildLayers(quadsByMaterial, lightColor, ambientOcclusion) {
+    const FLOATS_PER_CORNER = 6; // x, y, z, u, v, occlusion
+    const FLOATS_PER_QUAD = 4 * FLOATS_PER_CORNER + 2; // Then the face index and light
+    const layerEntries = [];
+    for (const [matIndex, entry] of [...quadsByMaterial.entries()].sort((a, b) => a[0] - b[0])) {
+        (layerEntries[entry.layer] ??= []).push({ matIndex, data: entry.faces });
+    }
+
+    const layers = [];
+    for (let l = 0; l < layerEntries.length; l++) {
+        const entries = layerEntries[l] ?? [];
+        const quadCount = entries.reduce((sum, e) => sum + e.data.length / FLOATS_PER_QUAD, 0);
+        const positions = new Float32Array(quadCount * 12);
+        const normals = new Float32Array(quadCount * 12);
+        const uvs = new Float32Array(quadCount * 8);
+        const colors = (lightColor || ambientOcclusion) ? new Float32Array(quadCount * 12) : null;
+        const indices = quadCount * 4 > 65535 ? new Uint32Array(quadCount * 6) : new Uint16Array(quadCount * 6);
+        const groups = [];
+
+        let quad = 0;
+        for (const { matIndex, data } of entries) {
+            const firstQuad = quad;
+            for (let q = 0; q < data.length; q += FLOATS_PER_QUAD, quad++) {
+                const normal = FACES[data[q + 4 * FLOATS_PER_CORNER]].normal;
+                const color = colors ? (lightColor ? lightColor(data[q + 4 * FLOATS_PER_CORNER + 1]) : WHITE) : null;
+                for (let c = 0; c < 4; c++) {
+                    const src = q + c * FLOATS_PER_CORNER, vert = quad * 4 + c;
+                    positions[vert * 3] = data[src];
+                    positions[vert * 3 + 1] = data[src + 1];
+                    positions[vert * 3 + 2] = data[src + 2];
+                    normals[vert * 3] = normal[0];
+                    normals[vert * 3 + 1] = normal[1];
+                    normals[vert * 3 + 2] = normal[2];
+                    uvs[vert * 2] = data[src + 3]; // Block units, so a repeating texture tiles once per block
+                    uvs[vert * 2 + 1] = data[src + 4];
+                    if (color) {
+                        const brightness = OCCLUSION_BRIGHTNESS[data[src + 5]];
+                        colors[vert * 3] = color[0] * brightness;
+                        colors[vert * 3 + 1] = color[1] * brightness;
+                        colors[vert * 3 + 2] = color[2] * brightness;
+                    }
+                }
+                // Two triangles: 0-1-2 and 0-2-3, or 1-2-3 and 1-3-0 when corners 0 and 2 are darker, so the
+                // shared diagonal runs between the alike corners and the shading stays symmetric
+                const base = quad * 4, i = quad * 6;
+                const flip = data[q + 5] + data[q + 2 * FLOATS_PER_CORNER + 5] > data[q + FLOATS_PER_CORNER + 5] + data[q + 3 * FLOATS_PER_CORNER + 5];
+                const [a, b, c, d] = flip ? [1, 2, 3, 0] : [0, 1, 2, 3];
+                indices[i] = base + a; indices[i + 1] = base + b; indices[i + 2] = base + c;
+                indices[i + 3] = base + a; indices[i + 4] = base + c; indices[i + 5] = base + d;
+            }
+            groups.push({ start: firstQuad * 6, count: (quad - firstQuad) * 6, materialIndex: matIndex });
+        }
+        layers.push({ positions, normals, uvs, colors, indices, groups });
+    }
+    return layers;
+}
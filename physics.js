@@ -0,0 +1,207 @@
+// --- Collision Physics ---
+// Pure and DOM/Three.js-free swept-AABB collision for moving boxes (the player) through the block grid.
+// A move is swept against every block box in its path, so fast moves and frame hitches can't tunnel
+// through blocks: the box stops at the exact time of impact, and the rest of the move slides along the
+// surface it hit. Low ledges (slabs, stair steps, or a whole block with a larger step height) are climbed
+// automatically, and moves can be kept from stepping off edges (sneaking).
+//
+// Boxes are Float64Arrays [minX, minY, minZ, maxX, maxY, maxZ] (see createBox()), moved in place. The
+// world is a callback:
+//   boxesAt(x, y, z)   - collision boxes of the block at integer coordinates, as [minX, minY, minZ, maxX,
+//                        maxY, maxZ] within the block (empty for blocks nothing collides with)
+// Nothing here allocates per call: sweeps fill caller-owned hit and result objects, and the step-up and
+// sliding passes use module-level scratch boxes.
+
+const SKIN = 1e-4; // Gap kept between a box and what it hits, so resting contact isn't mistaken for overlap
+const MAX_SLIDES = 3; // Moves along up to three surfaces (a corner of two walls and the floor)
+const EDGE_PROBE_STEP = 0.05; // Sneaking shortens a move by this much at a time until it stays above ground
+
+export function createBox(minX = 0, minY = 0, minZ = 0, maxX = 0, maxY = 0, maxZ = 0) {
+    const box = new Float64Array(6);
+    setBox(box, minX, minY, minZ, maxX, maxY, maxZ);
+    return box;
+}
+export function setBox(box, minX, minY, minZ, maxX, maxY, maxZ) {
+    box[0] = minX; box[1] = minY; box[2] = minZ;
+    box[3] = maxX; box[4] = maxY; box[5] = maxZ;
+    return box;
+}
+function translateBox(box, dx, dy, dz) {
+    box[0] += dx; box[1] += dy; box[2] += dz;
+    box[3] += dx; box[4] += dy; box[5] += dz;
+}
+
+// Result of sweepBox(): `time` of impact as a fraction of the move (1 if nothing was hit), the `axis`
+// (0-2, -1 for none) and contact `normal` (pointing away from the surface hit)
+export function createSweepHit() {
+    return { time: 1, axis: -1, normalX: 0, normalY: 0, normalZ: 0 };
+}
+// Result of moveBox()
+export function createMoveResult() {
+    return {
+        hitX: false, hitY: false, hitZ: false, // Movement along the axis was stopped
+        onGround: false, // Stopped while moving down: standing on something
+        hitCeiling: false, // Stopped while moving up
+        stepRise: 0 // How far the box was lifted onto a ledge (0 if it didn't step)
+    };
+}
+
+// Sweeps `box` along (dx, dy, dz) against the world and fills `hit` with the first impact. Block boxes the
+// box already overlaps are ignored, so a box stuck inside a block can still move out of it.
+export function sweepBox(box, dx, dy, dz, boxesAt, hit) {
+    hit.time = 1;
+    hit.axis = -1;
+    hit.normalX = hit.normalY = hit.normalZ = 0;
+    // Every block the swept box could touch
+    const minX = Math.floor(Math.min(box[0], box[0] + dx)), maxX = Math.ceil(Math.max(box[3], box[3] + dx));
+    const minY = Math.floor(Math.min(box[1], box[1] + dy)), maxY = Math.ceil(Math.max(box[4], box[4] + dy));
+    const minZ = Math.floor(Math.min(box[2], box[2] + dz)), maxZ = Math.ceil(Math.max(box[5], box[5] + dz));
+    for (let x = minX; x < maxX; x++) {
+        for (let y = minY; y < maxY; y++) {
+            for (let z = minZ; z < maxZ; z++) {
+                const boxes = boxesAt(x, y, z);
+                for (let i = 0; i < boxes.length; i++) {
+                    const b = boxes[i];
+                    sweepAgainst(box, dx, dy, dz, x + b[0], y + b[1], z + b[2], x + b[3], y + b[4], z + b[5], hit);
+                }
+            }
+        }
+    }
+    return hit.time;
+}
+
+// Swept test of the moving box against one static box; keeps the earlier impact in `hit`
+function sweepAgainst(box, dx, dy, dz, minX, minY, minZ, maxX, maxY, maxZ, hit) {
+    let entry = -Infinity, exit = Infinity, axis = -1;
+    for (let i = 0; i < 3; i++) {
+        const d = i === 0 ? dx : i === 1 ? dy : dz;
+        const staticMin = i === 0 ? minX : i === 1 ? minY : minZ;
+        const staticMax = i === 0 ? maxX : i === 1 ? maxY : maxZ;
+        const boxMin = box[i], boxMax = box[i + 3];
+        if (d === 0) {
+            if (boxMax <= staticMin + SKIN || boxMin >= staticMax - SKIN) return; // Apart (or just touching) along an axis it doesn't move on
+            continue;
+        }
+        // Gaps to the near and far faces along the move
+        const gapIn = d > 0 ? staticMin - boxMax : boxMin - staticMax;
+        const gapOut = d > 0 ? staticMax - boxMin : boxMax - staticMin;
+        const axisEntry = gapIn / Math.abs(d), axisExit = gapOut / Math.abs(d);
+        if (axisEntry > entry) {
+            entry = axisEntry;
+            axis = i;
+        }
+        exit = Math.min(exit, axisExit);
+    }
+    if (axis < 0 || entry >= exit || entry >= hit.time) return; // No impact, or a later one
+    // Already past the entry face by more than the skin: overlapping this box, not hitting it
+    const d = axis === 0 ? dx : axis === 1 ? dy : dz;
+    if (entry * Math.abs(d) < -SKIN) return;
+    hit.time = Math.max(0, entry);
+    hit.axis = axis;
+    hit.normalX = axis === 0 ? -Math.sign(dx) : 0;
+    hit.normalY = axis === 1 ? -Math.sign(dy) : 0;
+    hit.normalZ = axis === 2 ? -Math.sign(dz) : 0;
+}
+
+// Does any block box overlap the region?
+export function overlapsAny(minX, minY, minZ, maxX, maxY, maxZ, boxesAt) {
+    for (let x = Math.floor(minX); x < Math.ceil(maxX); x++) {
+        for (let y = Math.floor(minY); y < Math.ceil(maxY); y++) {
+            for (let z = Math.floor(minZ); z < Math.ceil(maxZ); z++) {
+                const boxes = boxesAt(x, y, z);
+                for (let i = 0; i < boxes.length; i++) {
+                    const b = boxes[i];
+                    if (maxX > x + b[0] && minX < x + b[3] && maxY > y + b[1] && minY < y + b[4] && maxZ > z + b[2] && minZ < z + b[5]) return true;
+                }
+            }
+        }
+    }
+    return false;
+}
+
+const slideHit = createSweepHit();
+// Moves `box` by (dx, dy, dz), stopping at surfaces and sliding along them; fills the hit flags of `result`
+function slideBox(box, dx, dy, dz, boxesAt, result) {
+    for (let i = 0; i < MAX_SLIDES && (dx !== 0 || dy !== 0 || dz !== 0); i++) {
+        const time = sweepBox(box, dx, dy, dz, boxesAt, slideHit);
+        translateBox(box, dx * time, dy * time, dz * time);
+        if (slideHit.axis < 0) break;
+        // Back off to the skin from the surface, then carry on with what's left of the move, minus the part into it
+        const axis = slideHit.axis;
+        const d = axis === 0 ? dx : axis === 1 ? dy : dz;
+        const backOff = Math.sign(d) * Math.min(SKIN, Math.abs(d) * time);
+        box[axis] -= backOff;
+        box[axis + 3] -= backOff;
+        const rest = 1 - time;
+        dx = axis === 0 ? 0 : dx * rest;
+        dy = axis === 1 ? 0 : dy * rest;
+        dz = axis === 2 ? 0 : dz * rest;
+        if (axis === 0) result.hitX = true;
+        else if (axis === 2) result.hitZ = true;
+        else {
+            result.hitY = true;
+            if (d < 0) result.onGround = true;
+            else result.hitCeiling = true;
+        }
+    }
+}
+function clearResult(result) {
+    result.hitX = result.hitY = result.hitZ = result.onGround = result.hitCeiling = false;
+    result.stepRise = 0;
+}
+// Is there something to stand on within `drop` below the box moved sideways by (dx, dz)? Like the sweep,
+// ground the box overlaps sideways by no more than the skin doesn't count: the box would fall past it.
+function groundBelow(box, dx, dz, drop, boxesAt) {
+    return overlapsAny(box[0] + dx + SKIN, box[1] - drop, box[2] + dz + SKIN, box[3] + dx - SKIN, box[1], box[5] + dz - SKIN, boxesAt);
+}
+// Shortens a sideways move towards 0 by EDGE_PROBE_STEP
+const shorten = (d) => Math.abs(d) <= EDGE_PROBE_STEP ? 0 : d - Math.sign(d) * EDGE_PROBE_STEP;
+
+const startBox = createBox();
+const stepBox = createBox();
+const stepResult = createMoveResult();
+// Moves `box` by (dx, dy, dz) through the world and fills `result`. Options:
+//   stepHeight   - highest ledge a box on the ground climbs without jumping (0 to never step)
+//   onGround     - whether the box stands on something before the move (stepping and edges need it)
+//   keepOnEdges  - shortens sideways moves that would leave no ground within stepHeight below (sneaking)
+export function moveBox(box, dx, dy, dz, boxesAt, options, result) {
+    clearResult(result);
+    const { stepHeight = 0, onGround = false, keepOnEdges = false } = options;
+    if (keepOnEdges && onGround && groundBelow(box, 0, 0, stepHeight + SKIN, boxesAt)) {
+        // Shorten each axis, then both together, until the move stays above ground
+        const drop = stepHeight + SKIN;
+        while (dx !== 0 && !groundBelow(box, dx, 0, drop, boxesAt)) dx = shorten(dx);
+        while (dz !== 0 && !groundBelow(box, 0, dz, drop, boxesAt)) dz = shorten(dz);
+        while (dx !== 0 && dz !== 0 && !groundBelow(box, dx, dz, drop, boxesAt)) {
+            dx = shorten(dx);
+            dz = shorten(dz);
+        }
+    }
+    startBox.set(box);
+    slideBox(box, dx, dy, dz, boxesAt, result);
+    if (stepHeight <= 0 || !onGround || dy > 0 || !(result.hitX || result.hitZ)) return result;
+
+    // Blocked sideways on the ground: try the move again lifted by up to stepHeight, then settle back down
+    // onto whatever is below, and keep it if it gets further
+    stepBox.set(startBox);
+    clearResult(stepResult);
+    const liftStart = stepBox[1];
+    slideBox(stepBox, 0, stepHeight, 0, boxesAt, stepResult);
+    const lift = stepBox[1] - liftStart;
+    clearResult(stepResult);
+    slideBox(stepBox, dx, 0, dz, boxesAt, stepResult);
+    const hitX = stepResult.hitX, hitZ = stepResult.hitZ;
+    clearResult(stepResult);
+    slideBox(stepBox, 0, -(lift + Math.max(0, -dy)), 0, boxesAt, stepResult);
+    const rise = stepBox[1] - startBox[1];
+    const plainDistance = (box[0] - startBox[0]) ** 2 + (box[2] - startBox[2]) ** 2;
+    const stepDistance = (stepBox[0] - startBox[0]) ** 2 + (stepBox[2] - startBox[2]) ** 2;
+    if (!stepResult.onGround || rise <= SKIN || stepDistance <= plainDistance + SKIN * SKIN) return result;
+    box.set(stepBox);
+    clearResult(result);
+    result.hitX = hitX;
+    result.hitZ = hitZ;
+    result.hitY = result.onGround = true;
+    result.stepRise = rise;
+    return result;
+}
@@ -0,0 +1,151 @@
+// --- Resource Packs ---
+// Reads artist-made block textures from a zip file or a folder of PNGs (picked or dropped by the player),
+// described by a JSON manifest named pack.json at the pack's root:
+//
+//   {
+//       "name": "My Pack",
+//       "textures": {
+//           "STONE": "blocks/stone.png",
+//           "GRASS": { "top": "blocks/grass_top.png", "side": "blocks/grass_side.png", "bottom": "blocks/dirt.png" }
+//       }
+//   }
+//
+// Keys are block names from the registry. A plain path covers every face; otherwise faces use the registry's
+// texture slots (px, nx, py, ny, pz, nz, top, bottom, side, plus "all" as another name for side). Paths are
+// relative to the manifest. Blocks and faces the pack leaves out keep their procedural textures.
+// Non-square images (e.g. animation strips) use their top square. Main thread only (uses the DOM).
+
+export const RESOURCE_PACK_MANIFEST = 'pack.json';
+const FACE_SLOT_ALIASES = { all: 'side' };
+
+// Loads a pack from the files of a file picker or drop: one .zip file, or the files of a folder (their
+// webkitRelativePath, or `paths`, places them in it). Resolves to { name, textures, resolution } where
+// textures is { blockName: { slot: canvas } } and resolution the largest texture size in texels.
+export async function readResourcePack(files, paths = null) {
+    files = [...files];
+    let entries; // Path inside the pack -> () => Promise<Blob>
+    if (files.length === 1 && /\.zip$/i.test(files[0].name)) {
+        entries = await readZipEntries(files[0]);
+    } else {
+        entries = new Map(files.map((file, i) => [normalizePath(paths ? paths[i] : (file.webkitRelativePath || file.name)), () => Promise.resolve(file)]));
+    }
+    return readPackEntries(entries, files.length === 1 ? files[0].name : 'Resource Pack');
+}
+// Collects the files of a drag-and-drop, walking into dropped folders, for readResourcePack()
+export async function collectDroppedFiles(dataTransfer) {
+    const files = [], paths = [];
+    const walk = async (entry, path) => {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            paths.push(path + entry.name);
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // readEntries() hands out a directory's contents in batches until it returns an empty one
+            for (let batch; (batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))).length > 0;) {
+                for (const child of batch) await walk(child, `${path}${entry.name}/`);
+            }
+        }
+    };
+    const entries = [...dataTransfer.items].map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+    if (entries.length === 0) return { files: [...dataTransfer.files], paths: null };
+    for (const entry of entries) await walk(entry, '');
+    return { files, paths };
+}
+
+const normalizePath = (path) => path.replace(/\\/g, '/').replace(/^\.?\//, '');
+
+async function readPackEntries(entries, fallbackName) {
+    // The manifest closest to the root; packs are often zipped together with their enclosing folder
+    const manifestPath = [...entries.keys()]
+        .filter(path => path === RESOURCE_PACK_MANIFEST || path.endsWith(`/${RESOURCE_PACK_MANIFEST}`))
+        .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+    if (!manifestPath) throw new Error(`No ${RESOURCE_PACK_MANIFEST} found in the resource pack`);
+    const baseDir = manifestPath.slice(0, manifestPath.length - RESOURCE_PACK_MANIFEST.length);
+    const manifest = JSON.parse(await (await entries.get(manifestPath)()).text());
+    if (!manifest || typeof manifest.textures !== 'object') throw new Error(`${RESOURCE_PACK_MANIFEST} has no "textures" object`);
+
+    const textures = {};
+    const images = new Map(); // Path -> canvas promise, so faces sharing an image decode it once
+    let resolution = 0;
+    for (const [blockName, faces] of Object.entries(manifest.textures)) {
+        const slots = typeof faces === 'string' ? { side: faces } : faces;
+        for (const [face, file] of Object.entries(slots ?? {})) {
+            const slot = FACE_SLOT_ALIASES[face] ?? face;
+            const path = normalizePath(baseDir + file);
+            if (!entries.has(path)) {
+                console.warn(`Resource pack: ${blockName} ${face} texture "${file}" not found, keeping the procedural one.`);
+                continue;
+            }
+            if (!images.has(path)) images.set(path, entries.get(path)().then(decodeTexture));
+            try {
+                const canvas = await images.get(path);
+                (textures[blockName] ??= {})[slot] = canvas;
+                resolution = Math.max(resolution, canvas.width);
+            } catch (error) {
+                console.warn(`Resource pack: could not decode "${file}" for ${blockName} ${face}:`, error);
+            }
+        }
+    }
+    return { name: String(manifest.name ?? fallbackName), textures, resolution };
+}
+
+// Decodes an image into a canvas holding its top square
+async function decodeTexture(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const size = Math.min(bitmap.width, bitmap.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(bitmap, 0, 0, size, size, 0, 0, size, size);
+    bitmap.close();
+    return canvas;
+}
+
+// --- Zip Reading ---
+// Just enough of the zip format for resource packs: the central directory, stored and deflated files
+// (inflated with the browser's DecompressionStream). Zip64 and encrypted archives are not supported.
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_ENTRY_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP_END_SIZE = 22;
+
+async function readZipEntries(file) {
+    const buffer = await file.arrayBuffer();
+    const view = new DataView(buffer);
+    // The end record sits at the very end, before an optional comment of up to 64 KiB
+    let end = -1;
+    for (let i = buffer.byteLength - ZIP_END_SIZE; i >= Math.max(0, buffer.byteLength - ZIP_END_SIZE - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === ZIP_END_SIGNATURE) { end = i; break; }
+    }
+    if (end < 0) throw new Error(`${file.name} is not a zip file`);
+    const entryCount = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (offset === 0xFFFFFFFF) throw new Error(`${file.name} is a Zip64 archive, which isn't supported`);
+
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== ZIP_ENTRY_SIGNATURE) throw new Error(`${file.name} has a damaged central directory`);
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = normalizePath(decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)));
+        offset += 46 + nameLength + extraLength + commentLength;
+        if (name.endsWith('/') || (flags & 1)) continue; // Folders; encrypted files can't be read
+
+        entries.set(name, async () => {
+            if (view.getUint32(localOffset, true) !== ZIP_LOCAL_SIGNATURE) throw new Error(`Damaged zip entry ${name}`);
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = new Blob([new Uint8Array(buffer, dataStart, compressedSize)]);
+            if (method === 0) return data; // Stored
+            if (method !== 8) throw new Error(`Zip entry ${name} uses unsupported compression method ${method}`);
+            return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+        });
+    }
+    return entries;
+}
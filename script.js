@@ -1,17 +1,35 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import {
+    CHUNK_SIZE_X, CHUNK_SIZE_Z, SECTION_SIZE, SECTIONS_PER_CHUNK, WORLD_MIN_Y, WORLD_MAX_Y, WORLD_HEIGHT,
+    SEA_LEVEL, WATER_MAX_FLOW, WATER_SOURCE, WATER_FALLING, CHUNK_LAYER,
+    Chunk, setWorldSeed, getChunkKey, sampleColumn, findSurfaceY, meshChunkSection, meshChunkSections,
+    copyChunkBorders, copyChunkLightBorders, sectionBuffers, lightBuffers, runChunkJob,
+    computeChunkLight, findBlocks, decodeChunkMaterial
+} from './world.js';
+import {
+    BLOCK_TYPE, BLOCK_NAMES, MAX_BLOCK_TYPES, BLOCK_FACES, RENDER_CLASS, getBlockDefinition, getBlockDefinitions, onBlockRegistered,
+    blockDefinitionData, faceTextureSlot, isSolid, isSelectable, isOpaqueCube, lightOpacity, lightEmission, blockShape, blockBoxes,
+    collisionBoxes, shapeMeta, blockHardness, blockDrop, isItem
+} from './blocks.js';
+import { MAX_LIGHT, LIGHT_CHANNEL, propagateLight, relightBlock } from './light.js';
+import { readResourcePack, collectDroppedFiles } from './resourcePack.js';
+import { Inventory, HOTBAR_SIZE, INVENTORY_SIZE, MAX_STACK_SIZE } from './inventory.js';
+import { compileRecipes, matchRecipe } from './crafting.js';
+import { createBox, setBox, moveBox, createMoveResult, overlapsAny } from './physics.js';
 
 // --- Config ---
-const CHUNK_SIZE_X = 16;
-const CHUNK_SIZE_Z = 16;
-const CHUNK_SIZE_Y = 128;
-const WORLD_HEIGHT = CHUNK_SIZE_Y;
-const BLOCK_TYPE = { AIR: 0, GRASS: 1, DIRT: 2, STONE: 3, WOOD: 4, LEAVES: 5 };
-const BLOCK_NAMES = { 0: 'AIR', 1: 'GRASS', 2: 'DIRT', 3: 'STONE', 4: 'WOOD', 5: 'LEAVES' };
 const RENDER_DISTANCE = 6; // In chunks
 const MAX_RAYCAST_DISTANCE = 6; // In blocks
 const TEXTURE_SIZE = 32; // Pixels for procedural textures
 const DAY_CYCLE_SECONDS = 60 * 5; // 5 minutes for a full day/night cycle
+const AUTOSAVE_SECONDS = 30; // Interval between automatic saves of edited chunks and the player
+const FLUID_TICK_SECONDS = 0.25; // Interval between water simulation steps
+const FLUID_UPDATES_PER_TICK = 256; // Cap on cells processed per step so floods can't stall a frame
+const GRAPHICS_SETTINGS_KEY = 'voxelWorld.graphics'; // localStorage key; graphics settings apply to every world
+const BASE_FOV = 75; // Vertical field of view in degrees
+const SPRINT_FOV_SCALE = 1.15; // Field of view kick while sprinting
+const SPRINT_DOUBLE_TAP_MS = 300; // Longest gap between two W presses that starts a sprint
 
 // --- Game State ---
 let scene, camera, renderer, controls, clock, sunLight, moonLight, hemisphereLight;
@@ -27,11 +45,15 @@ const particleGravity = 0.15;
 const particleBaseVelocityY = 0.2;
 const particleVelocityVariance = 0.1;
 
-const worldChunks = new Map(); // Stores chunk data { `${x},${z}`: chunkDataArray }
-const chunkMeshes = new Map(); // Stores chunk mesh groups { `${x},${z}`: { typeId: InstancedMesh, ... } }
-const loadedMaterials = {}; // Stores generated block materials
+const worldChunks = new Map(); // Stores chunk data { `${x},${z}`: Chunk }
+const chunkMeshes = new Map(); // Stores chunk meshes per section { `${x},${z}`: [{ solid: Mesh, water: Mesh, stats }, ...] }
+const dirtySections = new Map(); // Mesh sections to rebuild this frame { `${x},${z}`: Set of section indices }
+const loadedMaterials = {}; // Per-block materials, for models such as torches (chunks draw from the texture atlas)
+const chunkMaterials = []; // Texture atlas materials shared by all chunk meshes, indexed by RENDER_CLASS
+const meshStats = { instancedTriangles: 0, culledTriangles: 0, greedyTriangles: 0 }; // Totals over shown chunks
 const textureCache = {}; // Caches generated CanvasTextures
 let gameTime = 0; // Represents time of day (0.0 to 1.0)
+const graphicsSettings = { ambientOcclusion: true }; // Restored from localStorage in setupSettings()
 let starsDiv; // Reference to the star background div
 
 const player = {
@@ -40,10 +62,29 @@ const player = {
     speed: 5.0, // Ground movement speed units/sec
     flySpeed: 10.0, // Flying movement speed units/sec
     jumpVelocity: 7.0, // Initial upward velocity on jump
+    swimSpeed: 2.5, // Horizontal movement speed in water units/sec
+    swimUpSpeed: 3.5, // Upward speed while holding jump in water
+    waterGravityScale: 0.3, // Fraction of gravity felt in water (buoyancy)
+    waterDrag: 3.0, // Vertical velocity damping per second in water
+    maxSinkSpeed: 2.0, // Terminal sinking speed in water
+    inWater: false, // Is the player's body in water?
+    headInWater: false, // Is the camera underwater?
+    stepHeight: 0.5, // Highest ledge (a slab or stair step) the player walks up without jumping
+    stepOffset: 0, // How far the camera still trails below the body after stepping up
+    stepEaseSpeed: 4.0, // Units/sec the camera catches up after a step
+    sprintMultiplier: 1.3, // Walking and flying speed factor while sprinting
+    sneakMultiplier: 0.3, // Walking speed factor while sneaking
+    sneakEyeDrop: 0.3, // How much lower the camera is while sneaking
+    sneakOffset: 0, // How far the camera currently is below the body, easing towards sneakEyeDrop or back
+    sneakEaseSpeed: 3.0, // Units/sec the camera lowers and rises when sneaking starts and stops
+    sprinting: false, // Running (double-tap W or Ctrl while walking forward)
+    sneaking: false, // Holding Shift on foot: slower, lower, and kept from walking off edges
     velocity: new THREE.Vector3(), // Current player velocity
     direction: new THREE.Vector3(), // Input direction vector
     onGround: false, // Is the player standing on a block?
-    flyMode: false, // Is flying enabled?
+    flyMode: false, // Is flying enabled? (creative only)
+    health: 20, // Half hearts, up to MAX_HEALTH (survival only)
+    dead: false, // Waiting on the death screen?
     currentChunk: { x: null, z: null }, // Player's current chunk coordinates
     position: new THREE.Vector3() // Player's precise position (synced with camera)
 };
@@ -59,12 +100,12 @@ const torchFlickerSpeed = 15; // Frequency of light flicker
 
 // Input State
 let moveForward = false, moveBackward = false, moveLeft = false, moveRight = false;
-let moveUp = false, moveDown = false; // Used for jump/fly/crouch
-let blockToPlace = BLOCK_TYPE.STONE; // Currently selected block for placement
+let moveUp = false, moveDown = false; // Used for jump/fly/sneak
+let moveSprint = false; // Ctrl held
+let lastForwardPress = -Infinity; // Time of the last W press, for double-tap sprinting
 
 // DOM Elements
 const infoDiv = document.getElementById('info');
-const blockInfoDiv = document.getElementById('blockInfo');
 const raycaster = new THREE.Raycaster(); // Reusable raycaster
 
 // --- Atmospheric Colors ---
@@ -72,60 +113,36 @@ const skyColors = { dawn: new THREE.Color(0xFFB370), day: new THREE.Color(0x87CE
 const groundColors = { dawn: new THREE.Color(0x99704D), day: new THREE.Color(0xB97A20), dusk: new THREE.Color(0xA35B3B), night: new THREE.Color(0x1A1A2A) };
 const sunLightColors = { dawn: new THREE.Color(0xFFDAA3), day: new THREE.Color(0xFFF8D6), dusk: new THREE.Color(0xFFB87A), night: new THREE.Color(0x000000) };
 const moonLightColor = new THREE.Color(0x7080B0);
-
-// --- Noise Functions (Simple Value Noise + Octaves) ---
-const noisePerm = new Uint8Array(512);
-const noiseInit = () => {
-    const p = new Uint8Array(256);
-    for (let i = 0; i < 256; i++) p[i] = i;
-    for (let i = 255; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [p[i], p[j]] = [p[j], p[i]]; // Shuffle
-    }
-    for (let i = 0; i < 256; i++) {
-        noisePerm[i] = noisePerm[i + 256] = p[i]; // Double the array for wrapping
+const underwaterColor = new THREE.Color(0x1D4C7A);
+
+// --- World Seed ---
+// The seed comes from `?seed=` in the URL (numbers are used as-is, any other text is hashed).
+// Without one, a random seed is picked and written back into the URL so a reload keeps the same world.
+const SEED_URL_PARAM = 'seed';
+const hashString = (str) => { // FNV-1a 32-bit hash
+    let h = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
     }
+    return h >>> 0;
 };
-const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10); // Smoothstep function
-const lerp = (t, a, b) => a + t * (b - a); // Linear interpolation
-const valueNoise2D = (x, y, scale = 0.1) => {
-    x *= scale; y *= scale;
-    const X = Math.floor(x) & 255; // Integer part, wrapped to 0-255
-    const Y = Math.floor(y) & 255;
-    x -= Math.floor(x); // Fractional part
-    y -= Math.floor(y);
-    const u = fade(x); // Smoothed fractional part
-    const v = fade(y);
-    const p = noisePerm;
-    // Hash coordinates of the 4 square corners
-    const A = p[X] + Y;
-    const B = p[X + 1] + Y;
-    // Get pseudo-random values (gradients not needed for value noise)
-    const h1 = p[p[A]]; const h2 = p[p[B]];
-    const h3 = p[p[A + 1]]; const h4 = p[p[B + 1]];
-    // Interpolate along x
-    const n1 = lerp(u, h1 / 255, h2 / 255);
-    const n2 = lerp(u, h3 / 255, h4 / 255);
-    // Interpolate along y and scale to [-1, 1]
-    return (lerp(v, n1, n2) * 2) - 1;
-};
-const octaveNoise = (x, y, octaves = 4, persistence = 0.5, lacunarity = 2.0, scale = 0.02) => {
-    let total = 0;
-    let frequency = 1.0;
-    let amplitude = 1.0;
-    let maxValue = 0; // Used for normalizing result to [-1, 1]
-    for (let i = 0; i < octaves; i++) {
-        total += valueNoise2D(x * frequency, y * frequency, scale) * amplitude;
-        maxValue += amplitude;
-        amplitude *= persistence; // Amplitude decreases with each octave
-        frequency *= lacunarity; // Frequency increases with each octave
-    }
-    return total / maxValue; // Normalize
-};
+function resolveWorldSeed() {
+    const params = new URLSearchParams(window.location.search);
+    let label = (params.get(SEED_URL_PARAM) || '').trim();
+    if (!label) {
+        label = String(Math.floor(Math.random() * 0xFFFFFFFF)); // Fresh random world
+        params.set(SEED_URL_PARAM, label);
+        window.history.replaceState(null, '', `${window.location.pathname}?${params.toString()}${window.location.hash}`);
+    }
+    const value = /^-?\d+$/.test(label) ? (Number(label) >>> 0) : hashString(label);
+    return { label, value };
+}
+const worldSeed = resolveWorldSeed(); // { label: string shown to the player, value: uint32 used for generation }
 
 // --- Initialization ---
-function init() {
-    noiseInit(); // Initialize noise permutation table
+async function init() {
+    setWorldSeed(worldSeed.value); // Seed the terrain generators (noise tables, feature streams)
     starsDiv = document.getElementById('stars');
     createStars(200); // Create star DOM elements
 
@@ -136,8 +153,12 @@ function init() {
     scene.fog = new THREE.Fog(skyColors.day, RENDER_DISTANCE * CHUNK_SIZE_X * 0.4, RENDER_DISTANCE * CHUNK_SIZE_X * 1.0);
 
     // Camera setup
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, RENDER_DISTANCE * CHUNK_SIZE_X * 2.0);
-    camera.position.set(CHUNK_SIZE_X / 2, WORLD_HEIGHT * 0.5 + player.height, CHUNK_SIZE_Z / 2); // Start roughly in the middle
+    camera = new THREE.PerspectiveCamera(BASE_FOV, window.innerWidth / window.innerHeight, 0.1, RENDER_DISTANCE * CHUNK_SIZE_X * 2.0);
+    // Start in the middle of the first chunk, on the ground (or the sea surface)
+    const spawnX = CHUNK_SIZE_X / 2, spawnZ = CHUNK_SIZE_Z / 2;
+    const spawnGroundY = findSurfaceY(spawnX, spawnZ, sampleColumn(spawnX, spawnZ)) ?? SEA_LEVEL;
+    spawnPoint.set(spawnX + 0.5, Math.max(spawnGroundY, SEA_LEVEL) + player.height, spawnZ + 0.5);
+    camera.position.copy(spawnPoint);
 
     // Renderer setup
     renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -195,15 +216,28 @@ function init() {
 
     // Controls setup
     setupControls(); // Assigns `controls` variable
+    setupSettings(); // World settings panel on the pause screen
 
     // World generation and rendering
     createProceduralMaterials(); // Generate textures and materials for blocks
+    setupResourcePacks(); // Texture overrides from zip files or folders
     createTorch(); // Create the torch model, light, and particle system
+    createPlacedTorchRenderer(); // Models and light budget for placed torch blocks
+    createCrackOverlay(); // Shows the progress of breaking a block
+    setupInventory(); // Hotbar and inventory screen
+    loadRecipes(); // Not awaited: crafting works once the recipe file has arrived
+    setupHealth(); // Game mode setting, hearts and the death screen
     console.log("Torch and particles created.");
 
-    updateVisibleChunks(true); // Force initial chunk loading around player
-    player.position.copy(camera.position); // Sync initial player state
+    // Restore edited chunks and the last session for this seed, if there is one
     gameTime = 0.26; // Start slightly after dawn
+    const savedPlayer = await loadSavedWorld();
+    if (savedPlayer) restorePlayerState(savedPlayer);
+    setupAutosave();
+
+    setupChunkWorkers(); // Chunk generation and meshing run off the main thread
+    updateVisibleChunks(true); // Queue the chunks around the player
+    player.position.copy(camera.position); // Sync initial player state
     updateAtmosphere(0); // Set initial atmospheric conditions
 
     // Start the main loop
@@ -246,15 +280,22 @@ function setupControls() {
     controls.addEventListener('lock', () => {
         instructions.style.display = 'none';
         blocker.style.display = 'none';
+        document.getElementById('inventoryScreen').hidden = true;
+        document.getElementById('deathScreen').hidden = true;
         crosshair.style.display = 'block';
     });
 
     controls.addEventListener('unlock', () => {
-        blocker.style.display = 'flex';
+        // Released for the inventory screen (see openInventory), by death (see killPlayer), or paused
+        if (inventoryOpen) document.getElementById('inventoryScreen').hidden = false;
+        else if (player.dead) document.getElementById('deathScreen').hidden = false;
+        else blocker.style.display = 'flex';
         instructions.style.display = ''; // Use default display (block or initial)
         crosshair.style.display = 'none';
-        // Reset movement keys on unlock
-        moveForward = moveBackward = moveLeft = moveRight = moveUp = moveDown = false;
+        // Reset movement keys and mining on unlock
+        moveForward = moveBackward = moveLeft = moveRight = moveUp = moveDown = moveSprint = false;
+        player.sprinting = false;
+        mining.held = false;
     });
 
     // Add the controls' object (which holds the camera) to the scene
@@ -263,59 +304,68 @@ function setupControls() {
     // Add global event listeners
     document.addEventListener('keydown', onKeyDown);
     document.addEventListener('keyup', onKeyUp);
+    // Re-locking can be refused (e.g. right after an unlock); fall back to the pause screen
+    document.addEventListener('pointerlockerror', () => {
+        if (!controls.isLocked && !inventoryOpen && !player.dead) blocker.style.display = 'flex';
+    });
     document.addEventListener('mousedown', onMouseDown);
+    document.addEventListener('mouseup', onMouseUp);
+    document.addEventListener('wheel', onWheel);
     window.addEventListener('resize', onWindowResize);
 }
 
-// --- Texture Generation Helpers ---
-// Adds simple noise pixels to a canvas context
-function addNoise(ctx, width, height, intensity = 0.08, colors = ['rgba(0,0,0,0.05)', 'rgba(255,255,255,0.04)'], xOffset = 0, yOffset = 0, drawWidth = width, drawHeight = height) {
-    const numPixels = Math.floor(drawWidth * drawHeight * intensity);
-    for (let i = 0; i < numPixels; i++) {
-        const x = xOffset + Math.random() * drawWidth;
-        const y = yOffset + Math.random() * drawHeight;
-        ctx.fillStyle = colors[Math.floor(Math.random() * colors.length)];
-        ctx.fillRect(Math.floor(x), Math.floor(y), 1, 1);
-    }
-}
-// Modifies a hex color slightly for variation
-function varyColor(hexColor, lightnessVariation = 15, saturationVariation = 0.01) {
-    // Convert hex to RGB
-    let r = parseInt(hexColor.slice(1, 3), 16);
-    let g = parseInt(hexColor.slice(3, 5), 16);
-    let b = parseInt(hexColor.slice(5, 7), 16);
-
-    // Apply lightness variation
-    const lightAdjust = Math.floor((Math.random() - 0.5) * lightnessVariation * 2);
-    r += lightAdjust; g += lightAdjust; b += lightAdjust;
-
-    // Apply saturation variation (simplified)
-    if (saturationVariation > 0) {
-        const avg = (r + g + b) / 3;
-        const satAdjust = (Math.random() - 0.5) * saturationVariation * 2;
-        const factor = Math.abs(satAdjust);
-        if (satAdjust > 0) { // Increase saturation
-            r = lerp(factor, r, r + (r - avg));
-            g = lerp(factor, g, g + (g - avg));
-            b = lerp(factor, b, b + (b - avg));
-        } else { // Decrease saturation
-            r = lerp(factor, r, avg);
-            g = lerp(factor, g, avg);
-            b = lerp(factor, b, avg);
-        }
-    }
+// --- Settings Panel ---
+// Wires up the world settings shown on the pause screen
+function setupSettings() {
+    const seedInput = document.getElementById('seedInput');
+    const loadSeedButton = document.getElementById('loadSeedButton');
+    if (!seedInput || !loadSeedButton) return;
+
+    seedInput.value = worldSeed.label;
+    const loadWorld = () => {
+        const label = seedInput.value.trim();
+        if (!label || label === worldSeed.label) return;
+        // Reload with the new seed so every system starts from a clean world
+        const params = new URLSearchParams(window.location.search);
+        params.set(SEED_URL_PARAM, label);
+        saveWorld().finally(() => { window.location.search = params.toString(); }); // Keep this world's edits
+    };
+    loadSeedButton.addEventListener('click', loadWorld);
+    seedInput.addEventListener('keydown', (event) => {
+        event.stopPropagation(); // Typing a seed shouldn't move the player or switch blocks
+        if (event.key === 'Enter') loadWorld();
+    });
 
-    // Clamp values and convert back to rgb string
-    r = Math.max(0, Math.min(255, Math.round(r)));
-    g = Math.max(0, Math.min(255, Math.round(g)));
-    b = Math.max(0, Math.min(255, Math.round(b)));
-    return `rgb(${r},${g},${b})`;
+    // Graphics settings, remembered across worlds
+    try {
+        Object.assign(graphicsSettings, JSON.parse(localStorage.getItem(GRAPHICS_SETTINGS_KEY)));
+    } catch (error) {
+        console.warn("Could not read graphics settings:", error);
+    }
+    const aoToggle = document.getElementById('aoToggle');
+    if (aoToggle) {
+        aoToggle.checked = graphicsSettings.ambientOcclusion;
+        aoToggle.addEventListener('change', () => {
+            graphicsSettings.ambientOcclusion = aoToggle.checked;
+            try {
+                localStorage.setItem(GRAPHICS_SETTINGS_KEY, JSON.stringify(graphicsSettings));
+            } catch (error) {
+                console.warn("Could not save graphics settings:", error);
+            }
+            remeshAllChunks(); // Occlusion is baked into the chunk geometry
+        });
+    }
+    const atlasDownloadButton = document.getElementById('atlasDownloadButton'); // Debug action
+    if (atlasDownloadButton) atlasDownloadButton.addEventListener('click', downloadTextureAtlas);
 }
 
+// --- Math Helpers ---
+const lerp = (t, a, b) => a + t * (b - a); // Linear interpolation
+
 // --- Procedural Texture Generation ---
-// Creates a CanvasTexture based on block type and face
-function generateProceduralTexture(blockType, face = 'side') {
-    const cacheKey = `${blockType}_${face}_${TEXTURE_SIZE}`;
+// Creates a CanvasTexture from one of a block's texture slots ('side', 'top', 'px', ...)
+function generateProceduralTexture(blockType, slot = 'side') {
+    const cacheKey = `${blockType}_${slot}_${TEXTURE_SIZE}`;
     if (textureCache[cacheKey]) {
         return textureCache[cacheKey]; // Return cached texture if available
     }
@@ -327,255 +377,24 @@ function generateProceduralTexture(blockType, face = 'side') {
     const T = TEXTURE_SIZE; // Texture Size
     const P = T / 16; // Pixel Size (assuming 16x16 base texture units)
 
-    // Color palette
-    const colors = {
-        grass_top: '#78B846', grass_top_dark: '#5E9C39', grass_top_light: '#96D15F',
-        grass_side_top: '#90BB4F', grass_side_dirt: '#806044',
-        dirt: '#806044', dirt_dark: '#6A5139', dirt_light: '#9A7656', dirt_pebble: '#59442F',
-        stone: '#7F7F7F', stone_dark: '#6F6F6F', stone_light: '#999999', stone_crack: '#555555',
-        wood_top: '#6F5A3A', wood_side: '#645132', wood_dark: '#514228', wood_ring: '#4A3E26', wood_light_grain: '#7A6441',
-        leaves: '#4C7F2E', leaves_dark: '#3A6323', leaves_light: '#67A53E', leaves_gap: 'rgba(0,0,0,0)' // Transparent gap
-    };
-
-    // --- Texture drawing logic per block type ---
-    switch (blockType) {
-        case BLOCK_TYPE.GRASS:
-            if (face === 'top') {
-                // Grass top (green with variations)
-                ctx.fillStyle = colors.grass_top;
-                ctx.fillRect(0, 0, T, T);
-                // Add some blades/texture
-                for (let i = 0; i < T * T * 0.5; i++) {
-                    const x = Math.random() * T; const y = Math.random() * T;
-                    const w = Math.random() * P * 0.8 + P * 0.2;
-                    const h = Math.random() * P * 2 + P * 0.5;
-                    const angle = (Math.random() - 0.5) * Math.PI * 0.3;
-                    ctx.save(); ctx.translate(x, y); ctx.rotate(angle);
-                    ctx.fillStyle = Math.random() > 0.4 ? varyColor(colors.grass_top_light, 8, 0.01) : varyColor(colors.grass_top_dark, 8, 0.01);
-                    ctx.fillRect(-w / 2, -h / 2, w, h); ctx.restore();
-                }
-                // Subtle patches
-                for (let i = 0; i < T * T * 0.08; i++) {
-                    ctx.fillStyle = Math.random() > 0.5 ? 'rgba(0,0,0,0.04)' : 'rgba(255,255,255,0.03)';
-                    ctx.fillRect(Math.random()*T, Math.random()*T, P*1.5, P*1.5);
-                }
-                addNoise(ctx, T, T, 0.08);
-            } else if (face === 'bottom') {
-                // Grass bottom (same as dirt)
-                ctx.fillStyle = colors.dirt; ctx.fillRect(0, 0, T, T);
-                for (let i = 0; i < T * T * 0.12; i++) {
-                    ctx.fillStyle = Math.random() > 0.5 ? varyColor(colors.dirt_dark, 12) : varyColor(colors.dirt_light, 12);
-                    ctx.fillRect(Math.random() * T, Math.random() * T, Math.random()*P*1.8+P*0.8, Math.random()*P*1.8+P*0.8);
-                }
-                for (let i = 0; i < T * T * 0.08; i++) {
-                    ctx.fillStyle = varyColor(colors.dirt_pebble, 5, 0);
-                    ctx.fillRect(Math.random() * T, Math.random() * T, P*0.5, P*0.5);
-                }
-                addNoise(ctx, T, T, 0.20);
-            } else { // Side face
-                const dirtHeightRatio = 0.8; // How much of the side is dirt
-                const dirtHeightPx = Math.round(T * dirtHeightRatio);
-                const grassHeightPx = T - dirtHeightPx;
-                const transitionHeightPx = Math.max(P, grassHeightPx * 0.4); // Grass transition zone
-
-                // Draw dirt bottom part
-                ctx.fillStyle = colors.grass_side_dirt; ctx.fillRect(0, grassHeightPx, T, dirtHeightPx);
-                for (let i = 0; i < T * dirtHeightPx * 0.08; i++) {
-                    ctx.fillStyle = Math.random() > 0.5 ? varyColor(colors.dirt_dark, 10) : varyColor(colors.dirt_light, 10);
-                    ctx.fillRect(Math.random() * T, grassHeightPx + Math.random() * dirtHeightPx, Math.random()*P*1.5+P*0.5, Math.random()*P*1.5+P*0.5);
-                }
-                addNoise(ctx, T, T, 0.12, ['rgba(0,0,0,0.06)', 'rgba(255,255,255,0.03)'], 0, grassHeightPx, T, dirtHeightPx);
-
-                // Draw grass top part
-                ctx.fillStyle = colors.grass_side_top; ctx.fillRect(0, 0, T, grassHeightPx);
-                // Draw grass blades hanging down slightly
-                for (let i = 0; i < T * 0.8; i++) {
-                    const bladeStartX = Math.random() * T;
-                    const bladeStartY = grassHeightPx - transitionHeightPx * Math.random() * 0.5; // Start within transition
-                    const bladeLength = transitionHeightPx * (1 + Math.random() * 1.2); // Extend downwards
-                    const bladeWidth = Math.max(1, P * (0.2 + Math.random() * 0.4));
-                    ctx.fillStyle = varyColor(colors.grass_side_top, Math.random() > 0.3 ? -12 : 8); // Vary blade color
-                    ctx.fillRect(bladeStartX - bladeWidth/2, bladeStartY, bladeWidth, bladeLength);
-                    // Add highlight/shadow to blade
-                    ctx.fillStyle = Math.random() > 0.5 ? 'rgba(0,0,0,0.08)' : 'rgba(255,255,255,0.06)';
-                    ctx.fillRect(bladeStartX - bladeWidth/2, bladeStartY, bladeWidth * 0.5, bladeLength);
-                }
-                addNoise(ctx, T, T, 0.08, ['rgba(0,0,0,0.05)', 'rgba(255,255,255,0.04)'], 0, 0, T, grassHeightPx);
-            }
-            break;
-        case BLOCK_TYPE.DIRT:
-            // Dirt texture (brown with variations and pebbles)
-            ctx.fillStyle = colors.dirt; ctx.fillRect(0, 0, T, T);
-            // Add darker/lighter patches
-            for (let i = 0; i < T * T * 0.12; i++) {
-                ctx.fillStyle = Math.random() > 0.5 ? varyColor(colors.dirt_dark, 12) : varyColor(colors.dirt_light, 12);
-                ctx.fillRect(Math.random() * T, Math.random() * T, Math.random()*P*1.8+P*0.8, Math.random()*P*1.8+P*0.8);
-            }
-            // Add small pebbles
-            for (let i = 0; i < T * T * 0.08; i++) {
-                ctx.fillStyle = varyColor(colors.dirt_pebble, 5, 0);
-                ctx.fillRect(Math.random() * T, Math.random() * T, P*(0.5 + Math.random()*0.5), P*(0.5 + Math.random()*0.5));
-            }
-            addNoise(ctx, T, T, 0.20); // More noise for dirt
-            break;
-        case BLOCK_TYPE.STONE:
-            // Stone texture (grey variations with cracks)
-            ctx.fillStyle = colors.stone_light; ctx.fillRect(0, 0, T, T);
-            // Add darker patches
-            for (let i = 0; i < T * T * 0.18; i++) {
-                ctx.fillStyle = varyColor(colors.stone_dark, 8);
-                const x = Math.random() * T; const y = Math.random() * T;
-                const size = Math.random()*P*2.0 + P*0.7;
-                ctx.fillRect(x, y, size, size);
-            }
-            // Add mid-tone patches
-            for (let i = 0; i < T * T * 0.22; i++) {
-                ctx.fillStyle = varyColor(colors.stone, 12);
-                const x = Math.random() * T; const y = Math.random() * T;
-                const size = Math.random()*P*1.8 + P*0.5;
-                ctx.fillRect(x, y, size, size);
-            }
-            // Add cracks
-            ctx.strokeStyle = colors.stone_crack; ctx.lineWidth = Math.max(1, P * 0.2);
-            for(let i=0; i < T/10; i++) { // Number of crack segments
-                ctx.beginPath();
-                const startX = Math.random()*T; const startY = Math.random()*T;
-                ctx.moveTo(startX, startY);
-                const length = P * (1.5 + Math.random() * 3);
-                const angle = Math.random() * Math.PI * 2;
-                const endX = startX + Math.cos(angle) * length;
-                const endY = startY + Math.sin(angle) * length;
-                ctx.lineTo(endX + (Math.random()-0.5)*P*0.8, endY + (Math.random()-0.5)*P*0.8); // Slight jitter
-                ctx.stroke();
-            }
-            addNoise(ctx, T, T, 0.12);
-            break;
-        case BLOCK_TYPE.WOOD:
-            if (face === 'top' || face === 'bottom') {
-                // Wood top/bottom (rings)
-                ctx.fillStyle = colors.wood_top; ctx.fillRect(0, 0, T, T);
-                ctx.strokeStyle = colors.wood_ring;
-                const centerX = T / 2 + (Math.random() - 0.5) * P * 1.5; // Offset center slightly
-                const centerY = T / 2 + (Math.random() - 0.5) * P * 1.5;
-                const maxRadius = T * 0.45;
-                let ringStep = Math.max(2, P * (0.8 + Math.random()*0.4) ); // Initial ring distance
-                // Draw concentric, slightly irregular rings
-                for (let r = ringStep * (0.5 + Math.random()*0.5); r < maxRadius; r += ringStep * (0.7 + Math.random()*0.6)) {
-                    ctx.lineWidth = Math.max(1, P * (0.2 + Math.random()*0.6)); // Vary ring thickness
-                    ctx.beginPath();
-                    const segments = 12; // Smoothness of ring
-                    let firstX, firstY;
-                    for(let seg=0; seg<=segments; seg++){
-                        const angle = (seg/segments) * Math.PI * 2;
-                        const radiusX = r * (0.95 + Math.random()*0.1); // Slightly vary radius
-                        const radiusY = r * (0.95 + Math.random()*0.1);
-                        const angleOffset = (Math.random()-0.5) * 0.1; // Slight angle wobble
-                        const x = centerX + Math.cos(angle + angleOffset) * radiusX;
-                        const y = centerY + Math.sin(angle + angleOffset) * radiusY;
-                        if(seg === 0) { ctx.moveTo(x,y); firstX = x; firstY = y; }
-                        else if (seg === segments) { ctx.lineTo(firstX, firstY); } // Close the loop
-                        else { ctx.lineTo(x,y); }
-                    }
-                    ctx.stroke();
-                    ringStep = Math.max(2, P * (0.8 + Math.random()*0.4) ); // Vary distance to next ring
-                }
-                addNoise(ctx, T, T, 0.08);
-            } else { // Side face (grain)
-                ctx.fillStyle = colors.wood_side; ctx.fillRect(0, 0, T, T);
-                ctx.lineWidth = Math.max(1, P * 0.3);
-                const grainLines = T/2.5; // Number of main grain lines
-                for (let i = 0; i < grainLines; i++) {
-                    // Darker grain line
-                    ctx.strokeStyle = varyColor(colors.wood_dark, 8, 0.02);
-                    ctx.lineWidth = Math.max(1, P * (0.2 + Math.random() * 0.5));
-                    ctx.beginPath();
-                    let x = (i / grainLines + Math.random() * 0.2 / grainLines) * T; // Slightly randomize start x
-                    ctx.moveTo(x + (Math.random()-0.5)*P*0.5, 0);
-                    // Draw wiggly line downwards
-                    for (let y = P; y <= T; y += P * (1.5 + Math.random())) {
-                        ctx.lineTo(x + (Math.random() - 0.5) * P, y); // Horizontal wiggle
-                    }
-                    ctx.stroke();
-                    // Add occasional lighter grain line nearby
-                    if (Math.random() > 0.4) {
-                        ctx.strokeStyle = varyColor(colors.wood_light_grain, 5, 0.01);
-                        ctx.lineWidth = Math.max(1, P * (0.1 + Math.random() * 0.3));
-                        ctx.beginPath();
-                        let x2 = x + (Math.random()-0.5) * P * 0.8; // Offset from dark line
-                        ctx.moveTo(x2 + (Math.random()-0.5)*P*0.3, 0);
-                        for (let y = P; y <= T; y += P * (2 + Math.random())) {
-                            ctx.lineTo(x2 + (Math.random() - 0.5) * P * 0.8, y);
-                        }
-                        ctx.stroke();
-                    }
-                }
-                // Add occasional knot
-                if(Math.random() < 0.08) {
-                    const knotX = Math.random() * T * 0.8 + T*0.1; // Avoid edges
-                    const knotY = Math.random() * T * 0.8 + T*0.1;
-                    const knotRadius = P * (0.8 + Math.random()*1.2);
-                    // Outer knot color
-                    ctx.fillStyle = varyColor(colors.wood_dark, -10);
-                    ctx.beginPath();
-                    ctx.ellipse(knotX, knotY, knotRadius, knotRadius * (0.6 + Math.random()*0.3), Math.random()*Math.PI, 0, Math.PI*2);
-                    ctx.fill();
-                    // Inner knot color
-                    ctx.fillStyle = varyColor(colors.wood_ring, -5);
-                    ctx.beginPath();
-                    ctx.ellipse(knotX, knotY, knotRadius*0.4, knotRadius * 0.2, Math.random()*Math.PI, 0, Math.PI*2);
-                    ctx.fill();
-                }
-                addNoise(ctx, T, T, 0.08, ['rgba(0,0,0,0.08)', 'rgba(255,255,255,0.03)']);
-            }
-            break;
-        case BLOCK_TYPE.LEAVES:
-            // Leaves texture (clusters of green with gaps)
-            ctx.fillStyle = colors.leaves; ctx.fillRect(0, 0, T, T);
-            const leafCount = T * T * 1.2; // Density of leaf blobs
-            // Draw leaf blobs
-            for (let i = 0; i < leafCount; i++) {
-                let color;
-                const randColor = Math.random();
-                if (randColor < 0.4) color = varyColor(colors.leaves_light, 8, 0.01);
-                else if (randColor < 0.75) color = varyColor(colors.leaves, 8, 0.01);
-                else color = varyColor(colors.leaves_dark, 6, 0.01);
-                ctx.fillStyle = color;
-                const x = Math.random() * T; const y = Math.random() * T;
-                const radiusX = Math.random() * (P * 0.8) + (P * 0.3);
-                const radiusY = Math.random() * (P * 0.8) + (P * 0.3);
-                const angle = Math.random() * Math.PI; // Random orientation
-                ctx.beginPath();
-                ctx.ellipse(x, y, radiusX, radiusY, angle, 0, Math.PI * 2);
-                ctx.fill();
-            }
-            // Punch holes for transparency
-            ctx.globalCompositeOperation = 'destination-out'; // Erase mode
-            const gapCount = T * T * 0.06; // Density of gaps
-            for (let i = 0; i < gapCount; i++) {
-                const x = Math.random() * T; const y = Math.random() * T;
-                const radius = Math.random() * (P * 0.5) + (P * 0.2);
-                ctx.beginPath();
-                ctx.arc(x, y, radius, 0, Math.PI * 2);
-                ctx.fill(); // Erase circles
-            }
-            ctx.globalCompositeOperation = 'source-over'; // Restore default drawing mode
-            // Add subtle dark noise/shadowing
-            addNoise(ctx, T, T, 0.12, [varyColor(colors.leaves_dark, -10, 0)]);
-            break;
-        default: // Fallback for unknown types
-            ctx.fillStyle = '#FF00FF'; // Bright magenta
-            ctx.fillRect(0, 0, T, T);
-            ctx.fillStyle = '#000000';
-            ctx.font = `${T/4}px sans-serif`; // Adjust font size based on T
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText('?', T/2, T/2);
-            break;
+    // Draw with the block's generator for this texture slot (see the block registry)
+    const draw = getBlockDefinition(blockType)?.textures[slot];
+    if (draw) {
+        draw(ctx, T, P);
+    } else { // Fallback for blocks without this texture
+        ctx.fillStyle = '#FF00FF'; // Bright magenta
+        ctx.fillRect(0, 0, T, T);
+        ctx.fillStyle = '#000000';
+        ctx.font = `${T/4}px sans-serif`; // Adjust font size based on T
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('?', T/2, T/2);
     }
 
     // Create Three.js texture from canvas
     const texture = new THREE.CanvasTexture(canvas);
     texture.magFilter = THREE.NearestFilter; // Pixelated look when close
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping; // Merged chunk faces tile the texture once per block
     texture.minFilter = THREE.NearestMipmapLinearFilter; // Smoother look when far, uses mipmaps
     texture.colorSpace = THREE.SRGBColorSpace; // Ensure correct color interpretation
     texture.needsUpdate = true; // Important for CanvasTexture
@@ -585,79 +404,346 @@ function generateProceduralTexture(blockType, face = 'side') {
 }
 
 // --- Material Creation ---
-// Creates materials (standard or multi-material array) for each block type
+let fallbackMaterial = null; // Used when a block's material can't be created
+
+// Creates the per-block materials, the texture atlas and the chunk materials, and keeps them up to date
+// as blocks are registered later on
 function createProceduralMaterials() {
-    // Default PBR properties (adjust for desired look)
-    const defaultPBR = { roughness: 0.9, metalness: 0.05 };
-    const leavesPBR = { roughness: 0.8, metalness: 0.0 };
-    const woodPBR = { roughness: 0.85, metalness: 0.0 };
-    const stonePBR = { roughness: 0.75, metalness: 0.1 };
-
-    // Fallback material
-    const defaultMaterial = new THREE.MeshStandardMaterial({ color: 0xff00ff, ...defaultPBR, name: "FallbackMaterial" });
-
-    // Loop through all defined block types
-    for (const type of Object.values(BLOCK_TYPE)) {
-        if (type === BLOCK_TYPE.AIR) continue; // Skip AIR
-
-        const isTransparent = (type === BLOCK_TYPE.LEAVES);
-        const needsAlphaTest = isTransparent; // Use alphaTest for sharp transparency cutoff
-        let pbrProperties;
-        let multiMaterial = false; // Does this block need different textures per face?
-
-        // Assign specific PBR properties and check for multi-material requirement
-        switch(type) {
-            case BLOCK_TYPE.LEAVES: pbrProperties = leavesPBR; break;
-            case BLOCK_TYPE.WOOD:   pbrProperties = woodPBR; multiMaterial = true; break;
-            case BLOCK_TYPE.STONE:  pbrProperties = stonePBR; break;
-            case BLOCK_TYPE.GRASS:  pbrProperties = defaultPBR; multiMaterial = true; break;
-            default:                pbrProperties = defaultPBR; break; // Dirt, etc.
+    fallbackMaterial = new THREE.MeshStandardMaterial({ color: 0xff00ff, roughness: 0.9, metalness: 0.05, name: "FallbackMaterial" });
+    for (const block of getBlockDefinitions()) createBlockMaterials(block);
+    buildTextureAtlas();
+    createChunkMaterials();
+    onBlockRegistered((block) => {
+        createBlockMaterials(block);
+        buildTextureAtlas(); // New tiles are appended, so existing chunk meshes keep pointing at the right ones
+    });
+}
+// Creates a block's own material (or [px, nx, py, ny, pz, nz] array when its faces differ) from its
+// registry entry. Models such as torches use these; chunk meshes draw from the texture atlas instead.
+function createBlockMaterials(block) {
+    if (block.shape === 'none') return; // Air
+    const type = block.id;
+    let materialOptions;
+    if (block.alpha < 1) {
+        // Translucent, blended rather than cut out; visible from below when swimming
+        materialOptions = { transparent: true, opacity: block.alpha, depthWrite: false, side: THREE.DoubleSide };
+    } else if (block.transparent) {
+        // Sharp cut-out holes (leaves), visible from both sides
+        materialOptions = { transparent: true, alphaTest: 0.1, side: THREE.DoubleSide };
+    } else {
+        materialOptions = { side: THREE.FrontSide };
+    }
+
+    try {
+        // One material per distinct texture slot, shared by the faces drawn with it
+        const slotMaterials = new Map();
+        const faceMaterials = BLOCK_FACES.map((_, face) => {
+            const slot = blockFaceSlot(type, face);
+            if (!slotMaterials.has(slot)) {
+                slotMaterials.set(slot, new THREE.MeshStandardMaterial({
+                    map: blockTexture(type, slot),
+                    name: block.name, // Renamed per slot below when the faces differ
+                    ...materialOptions,
+                    ...block.pbr
+                }));
+            }
+            return slotMaterials.get(slot);
+        });
+        if (slotMaterials.size === 1) {
+            loadedMaterials[type] = faceMaterials[0];
+        } else {
+            for (const [slot, material] of slotMaterials) material.name = `${block.name}_${slot}`;
+            loadedMaterials[type] = faceMaterials;
         }
+    } catch (error) {
+        console.error(`Failed to create material for block type ${type} (${block.name}):`, error);
+        loadedMaterials[type] = fallbackMaterial; // Use fallback on error
+    }
+}
 
-        try {
-            if (multiMaterial) {
-                // Create an array of materials for [px, nx, py, ny, pz, nz] faces
-                const topTexture = generateProceduralTexture(type, 'top');
-                // Grass uses 'bottom' texture for bottom face, Wood uses 'top' for both
-                const bottomTexture = generateProceduralTexture(type, (type === BLOCK_TYPE.GRASS ? 'bottom' : 'top'));
-                const sideTexture = generateProceduralTexture(type, 'side');
-
-                loadedMaterials[type] = [
-                    new THREE.MeshStandardMaterial({ map: sideTexture, name: `${BLOCK_NAMES[type]}_px`, ...pbrProperties }), // Right (+x)
-                    new THREE.MeshStandardMaterial({ map: sideTexture, name: `${BLOCK_NAMES[type]}_nx`, ...pbrProperties }), // Left (-x)
-                    new THREE.MeshStandardMaterial({ map: topTexture, name: `${BLOCK_NAMES[type]}_py`, ...pbrProperties }),  // Top (+y)
-                    new THREE.MeshStandardMaterial({ map: bottomTexture, name: `${BLOCK_NAMES[type]}_ny`, ...pbrProperties }),// Bottom (-y)
-                    new THREE.MeshStandardMaterial({ map: sideTexture, name: `${BLOCK_NAMES[type]}_pz`, ...pbrProperties }), // Front (+z)
-                    new THREE.MeshStandardMaterial({ map: sideTexture, name: `${BLOCK_NAMES[type]}_nz`, ...pbrProperties })  // Back (-z)
-                ];
-                // Ensure materials update if textures were newly generated
-                loadedMaterials[type].forEach(mat => mat.needsUpdate = true);
-            } else {
-                // Create a single material for all faces
-                const texture = generateProceduralTexture(type, 'side'); // Use 'side' texture for all faces
-                loadedMaterials[type] = new THREE.MeshStandardMaterial({
-                    map: texture,
-                    transparent: isTransparent,
-                    alphaTest: needsAlphaTest ? 0.1 : 0, // Discard pixels with alpha < 0.1
-                    side: isTransparent ? THREE.DoubleSide : THREE.FrontSide, // Render both sides for leaves
-                    name: `${BLOCK_NAMES[type]}`,
-                    ...pbrProperties
-                });
-                loadedMaterials[type].needsUpdate = true;
+// --- Texture Atlas ---
+// Every block face texture chunks use is packed into one atlas canvas, so all chunk meshes draw with the
+// same few materials. Tiles sit in power-of-two cells padded with wrapped copies of themselves: cells stay
+// aligned at every mip level, and filtering across a tile's edge reads its own opposite edge, so greedy
+// quads can repeat a tile without bleeding. The chunk shader wraps each quad's UVs into its tile.
+const MAX_ATLAS_TILE_SIZE = 128; // Texels; higher resolution resource packs are scaled down to this
+const atlasCells = new Map(); // `${blockType}_${slot}` -> cell index; cells are only ever appended
+const atlasCellTiles = [{ type: BLOCK_TYPE.AIR, slot: 'side' }]; // Cell index -> tile; cell 0 (air has no textures) is the fallback
+const faceAtlasCells = new Uint16Array(MAX_BLOCK_TYPES * 6); // blockType * 6 + face -> cell (unregistered types get the fallback)
+const atlasUniforms = {
+    atlasGrid: { value: new THREE.Vector2(1, 1) }, // Columns and rows of cells
+    atlasTileSize: { value: TEXTURE_SIZE }, // Texels per tile
+    atlasCellSize: { value: TEXTURE_SIZE * 2 } // Texels per cell: the tile plus half a tile of padding on each side
+};
+let atlasCanvas = null;
+let atlasTexture = null;
+
+// Gives every face texture of the chunk-meshed blocks a cell and redraws the atlas
+function buildTextureAtlas() {
+    for (const block of getBlockDefinitions()) {
+        if (block.shape === 'model' || block.shape === 'none') continue; // Not part of chunk meshes
+        for (let face = 0; face < 6; face++) {
+            const slot = blockFaceSlot(block.id, face);
+            const key = `${block.id}_${slot}`;
+            if (!atlasCells.has(key)) {
+                atlasCells.set(key, atlasCellTiles.length);
+                atlasCellTiles.push({ type: block.id, slot });
             }
-        } catch (error) {
-            console.error(`Failed to create material for block type ${type} (${BLOCK_NAMES[type]}):`, error);
-            loadedMaterials[type] = defaultMaterial; // Use fallback on error
+            faceAtlasCells[block.id * 6 + face] = atlasCells.get(key);
         }
     }
+    drawTextureAtlas();
+}
+function drawTextureAtlas() {
+    // Tiles match the finest texture in use (a power of two); coarser ones are scaled up texel for texel
+    const finest = Math.max(TEXTURE_SIZE, resourcePack ? resourcePack.resolution : 0);
+    const tileSize = Math.min(MAX_ATLAS_TILE_SIZE, 2 ** Math.ceil(Math.log2(finest)));
+    const padding = tileSize / 2;
+    const cellSize = tileSize + 2 * padding;
+    // Power-of-two grid, so halving the atlas for each mip level never splits a cell
+    const columns = 2 ** Math.ceil(Math.log2(Math.ceil(Math.sqrt(atlasCellTiles.length))));
+    const rows = 2 ** Math.ceil(Math.log2(Math.ceil(atlasCellTiles.length / columns)));
+    if (!atlasCanvas) atlasCanvas = document.createElement('canvas');
+    const resized = atlasCanvas.width !== columns * cellSize || atlasCanvas.height !== rows * cellSize;
+    atlasCanvas.width = columns * cellSize; // Also clears it
+    atlasCanvas.height = rows * cellSize;
+
+    const ctx = atlasCanvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false; // Keep texels crisp if a tile has to be scaled
+    atlasCellTiles.forEach(({ type, slot }, cell) => {
+        const image = blockTexture(type, slot).image;
+        const cellX = (cell % columns) * cellSize, cellY = Math.floor(cell / columns) * cellSize;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(cellX, cellY, cellSize, cellSize);
+        ctx.clip();
+        // The tile in the middle, surrounded by wrapped copies cut off at the cell edge
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                ctx.drawImage(image, cellX + padding + dx * tileSize, cellY + padding + dy * tileSize, tileSize, tileSize);
+            }
+        }
+        ctx.restore();
+    });
+    atlasUniforms.atlasGrid.value.set(columns, rows);
+    atlasUniforms.atlasTileSize.value = tileSize;
+    atlasUniforms.atlasCellSize.value = cellSize;
 
-    // Final check to ensure all non-AIR types have a material assigned
-    for (const type of Object.values(BLOCK_TYPE)) {
-        if (type !== BLOCK_TYPE.AIR && !loadedMaterials[type]) {
-            console.warn(`Missing material for block type ${type} (${BLOCK_NAMES[type]}). Using fallback.`);
-            loadedMaterials[type] = defaultMaterial;
+    if (atlasTexture && !resized) {
+        atlasTexture.needsUpdate = true;
+        return;
+    }
+    // A texture's size is fixed once uploaded, so a grown atlas gets a new one
+    if (atlasTexture) atlasTexture.dispose();
+    atlasTexture = new THREE.CanvasTexture(atlasCanvas);
+    atlasTexture.flipY = false; // Tile lookups are in canvas coordinates
+    atlasTexture.magFilter = THREE.NearestFilter; // Pixelated look when close
+    atlasTexture.minFilter = THREE.NearestMipmapLinearFilter; // Smoother look when far, uses mipmaps
+    atlasTexture.colorSpace = THREE.SRGBColorSpace;
+    for (const material of [...chunkMaterials, chunkDepthMaterial]) {
+        if (material) material.map = atlasTexture;
+    }
+}
+// Saves the current atlas as a PNG (debug action on the pause screen)
+function downloadTextureAtlas() {
+    if (!atlasCanvas) return;
+    atlasCanvas.toBlob((blob) => {
+        if (!blob) {
+            console.warn("Could not encode the texture atlas.");
+            return;
+        }
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'texture-atlas.png';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }, 'image/png');
+}
+
+// --- Chunk Materials ---
+// Chunk meshes draw every block with one material per render class, all sampling the atlas. Each vertex
+// carries its tile's cell, and the block's roughness, metalness and opacity, which the shader applies
+// on top of the standard material.
+let chunkDepthMaterial = null; // Shadow pass: cuts out the same holes as the cutout material
+
+function createChunkMaterials() {
+    const base = { map: atlasTexture, vertexColors: true, roughness: 1, metalness: 1 }; // Scaled per vertex
+    chunkMaterials[RENDER_CLASS.OPAQUE] = new THREE.MeshStandardMaterial({ ...base, name: "ChunkOpaque" });
+    chunkMaterials[RENDER_CLASS.CUTOUT] = new THREE.MeshStandardMaterial({ ...base, alphaTest: 0.1, side: THREE.DoubleSide, name: "ChunkCutout" });
+    chunkMaterials[RENDER_CLASS.TRANSLUCENT] = new THREE.MeshStandardMaterial({
+        ...base,
+        transparent: true,
+        depthWrite: false, // Let terrain behind the water show through
+        side: THREE.DoubleSide, // Visible from below when swimming
+        name: "ChunkTranslucent"
+    });
+    chunkDepthMaterial = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking, map: atlasTexture });
+    for (const material of [...chunkMaterials, chunkDepthMaterial]) {
+        material.onBeforeCompile = useAtlasShader;
+        material.customProgramCacheKey = () => 'chunkAtlas'; // Don't share programs with unpatched materials
+    }
+}
+// Patches a material's shaders to look up its map in the atlas cell of each vertex
+function useAtlasShader(shader) {
+    Object.assign(shader.uniforms, atlasUniforms);
+    shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+            attribute float atlasCell;
+            attribute vec3 blockSurface;
+            flat varying float vAtlasCell;
+            varying vec3 vBlockSurface;`)
+        .replace('#include <uv_vertex>', `#include <uv_vertex>
+            vAtlasCell = atlasCell;
+            vBlockSurface = blockSurface;`);
+    shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+            uniform vec2 atlasGrid;
+            uniform float atlasTileSize;
+            uniform float atlasCellSize;
+            flat varying float vAtlasCell;
+            varying vec3 vBlockSurface; // Roughness, metalness, opacity`)
+        .replace('#include <map_fragment>', `
+            #ifdef USE_MAP
+                float atlasIndex = floor(vAtlasCell + 0.5);
+                vec2 atlasCellOrigin = vec2(mod(atlasIndex, atlasGrid.x), floor(atlasIndex / atlasGrid.x)) * atlasCellSize;
+                vec2 atlasLocal = vec2(fract(vMapUv.x), 1.0 - fract(vMapUv.y)); // UVs repeat once per block; canvas rows run down
+                vec2 atlasUv = (atlasCellOrigin + 0.5 * (atlasCellSize - atlasTileSize) + atlasLocal * atlasTileSize) / (atlasGrid * atlasCellSize);
+                // Mip level from the unwrapped UVs, so the jump at tile edges doesn't pick a blurry level;
+                // capped where a cell shrinks to one texel
+                vec2 atlasDx = dFdx(vMapUv) * atlasTileSize, atlasDy = dFdy(vMapUv) * atlasTileSize;
+                float atlasLod = clamp(0.5 * log2(max(dot(atlasDx, atlasDx), dot(atlasDy, atlasDy))), 0.0, log2(atlasCellSize));
+                diffuseColor *= textureLod(map, atlasUv, atlasLod);
+            #endif
+            diffuseColor.a *= vBlockSurface.z;`)
+        .replace('#include <roughnessmap_fragment>', `#include <roughnessmap_fragment>
+            roughnessFactor *= vBlockSurface.x;`)
+        .replace('#include <metalnessmap_fragment>', `#include <metalnessmap_fragment>
+            metalnessFactor *= vBlockSurface.y;`);
+}
+// Per-vertex atlas cells and surface properties of a chunk mesh layer, from its mesher groups
+function chunkVertexAttributes(layer) {
+    const vertexCount = layer.positions.length / 3;
+    const cells = new Float32Array(vertexCount);
+    const surfaces = new Float32Array(vertexCount * 3);
+    for (const group of layer.groups) {
+        const { type, face } = decodeChunkMaterial(group.materialIndex);
+        const block = getBlockDefinition(type);
+        const cell = faceAtlasCells[type * 6 + face];
+        const roughness = block ? block.pbr.roughness : 0.9, metalness = block ? block.pbr.metalness : 0.05, alpha = block ? block.alpha : 1;
+        // Groups cover whole quads: 6 indices and 4 vertices each
+        const firstVertex = group.start / 6 * 4, endVertex = (group.start + group.count) / 6 * 4;
+        for (let v = firstVertex; v < endVertex; v++) {
+            cells[v] = cell;
+            surfaces[v * 3] = roughness;
+            surfaces[v * 3 + 1] = metalness;
+            surfaces[v * 3 + 2] = alpha;
         }
     }
+    return { cells, surfaces };
+}
+
+// --- Resource Packs ---
+// A loaded pack (see resourcePack.js) overrides block textures by block name and texture slot; everything
+// it leaves out keeps the procedural textures. Switching packs rebuilds the block materials and the atlas
+// in place, so the world keeps running.
+let resourcePack = null; // { name, textures: { blockName: { slot: canvas } }, resolution }, or null for procedural textures
+const resourcePackTextures = new Map(); // Pack canvas -> its texture, for the current pack
+
+// Texture slot a block face is drawn with, counting the slots the resource pack adds
+function blockFaceSlot(blockType, face) {
+    return faceTextureSlot(blockType, face, resourcePack?.textures[BLOCK_NAMES[blockType]]) ?? 'side';
+}
+// Texture of one of a block's texture slots: from the resource pack if it has one, else generated
+function blockTexture(blockType, slot) {
+    const image = resourcePack?.textures[BLOCK_NAMES[blockType]]?.[slot];
+    if (!image) return generateProceduralTexture(blockType, slot);
+    if (!resourcePackTextures.has(image)) {
+        const texture = new THREE.CanvasTexture(image);
+        texture.magFilter = THREE.NearestFilter; // Keep the pack's texels crisp
+        texture.minFilter = THREE.NearestMipmapLinearFilter;
+        texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+        texture.colorSpace = THREE.SRGBColorSpace;
+        resourcePackTextures.set(image, texture);
+    }
+    return resourcePackTextures.get(image);
+}
+// Switches to a pack (or back to procedural textures with null) and rebuilds everything textured
+function applyResourcePack(pack) {
+    const previousTextures = [...resourcePackTextures.values()];
+    const previousMaterials = new Set(Object.values(loadedMaterials).flat());
+    const previousCells = faceAtlasCells.slice();
+    resourcePack = pack;
+    resourcePackTextures.clear();
+
+    for (const block of getBlockDefinitions()) createBlockMaterials(block);
+    refreshModelMaterials();
+    buildTextureAtlas();
+    for (const material of previousMaterials) {
+        if (material !== fallbackMaterial) material.dispose();
+    }
+    previousTextures.forEach(texture => texture.dispose());
+    // The atlas cell is baked into chunk vertices: faces that now draw another tile need new meshes
+    if (faceAtlasCells.some((cell, i) => cell !== previousCells[i])) remeshAllChunks();
+    updateResourcePackStatus();
+    renderInventory(); // Slot icons use the block textures too
+    console.log(pack ? `Resource pack "${pack.name}" loaded.` : "Using procedural textures.");
+}
+// Points the torch models at the current wood material
+function refreshModelMaterials() {
+    const wood = loadedMaterials[BLOCK_TYPE.WOOD];
+    const woodSide = Array.isArray(wood) ? wood[0] : wood;
+    if (!woodSide) return;
+    const handle = torchMesh ? torchMesh.getObjectByName("TorchHandle") : null;
+    if (handle) handle.material = woodSide;
+    torchStickMaterial = woodSide;
+    if (torchStickInstances) torchStickInstances.material = woodSide;
+}
+function loadResourcePackFiles(files, paths = null) {
+    if (!files || files.length === 0) return;
+    setResourcePackStatus("Loading...");
+    readResourcePack(files, paths)
+        .then(applyResourcePack)
+        .catch((error) => {
+            console.error("Could not load resource pack:", error);
+            setResourcePackStatus(`Failed: ${error.message}`);
+        });
+}
+function setResourcePackStatus(text) {
+    const status = document.getElementById('resourcePackStatus');
+    if (status) status.textContent = text;
+}
+function updateResourcePackStatus() {
+    setResourcePackStatus(resourcePack ? resourcePack.name : "Procedural");
+}
+// Pause screen buttons (zip file, folder, back to procedural) and drag-and-drop anywhere on the page
+function setupResourcePacks() {
+    const zipInput = document.getElementById('resourcePackInput');
+    const folderInput = document.getElementById('resourcePackFolderInput');
+    for (const [buttonId, input] of [['resourcePackButton', zipInput], ['resourcePackFolderButton', folderInput]]) {
+        const button = document.getElementById(buttonId);
+        if (!button || !input) continue;
+        button.addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            loadResourcePackFiles(input.files);
+            input.value = ''; // Picking the same pack again reloads it
+        });
+    }
+    const resetButton = document.getElementById('resourcePackResetButton');
+    if (resetButton) resetButton.addEventListener('click', () => { if (resourcePack) applyResourcePack(null); });
+
+    window.addEventListener('dragover', (event) => {
+        if (!event.dataTransfer.types.includes('Files')) return;
+        event.preventDefault(); // Allow the drop
+        event.dataTransfer.dropEffect = 'copy';
+    });
+    window.addEventListener('drop', (event) => {
+        if (!event.dataTransfer.types.includes('Files')) return;
+        event.preventDefault(); // Don't let the browser open the file
+        collectDroppedFiles(event.dataTransfer)
+            .then(({ files, paths }) => loadResourcePackFiles(files, paths))
+            .catch(error => console.error("Could not read the dropped files:", error));
+    });
+    updateResourcePackStatus();
 }
 
 // --- Create Torch ---
@@ -693,6 +779,7 @@ function createTorch() {
     // Handle Mesh
     const handleGeo = new THREE.CylinderGeometry(handleRadius, handleRadius * 0.8, handleHeight, 8);
     const handleMesh = new THREE.Mesh(handleGeo, handleMaterial);
+    handleMesh.name = "TorchHandle"; // Resource packs swap its material
     handleMesh.position.y = -handleHeight * 0.4; // Position handle slightly lower
     torchMesh.add(handleMesh);
 
@@ -773,38 +860,87 @@ function getChunkCoords(worldX, worldZ) {
         z: Math.floor(worldZ / CHUNK_SIZE_Z)
     };
 }
-// Get a unique string key for a chunk
-function getChunkKey(chunkX, chunkZ) {
-    return `${chunkX},${chunkZ}`;
-}
 // Get the block type at specific world coordinates
 function getBlockWorld(worldX, worldY, worldZ) {
     const { x: chunkX, z: chunkZ } = getChunkCoords(worldX, worldZ);
     const key = getChunkKey(chunkX, chunkZ);
-    const chunkData = worldChunks.get(key);
+    const chunk = worldChunks.get(key);
 
     // Check if chunk exists and coordinates are within vertical bounds
-    if (!chunkData || worldY < 0 || worldY >= CHUNK_SIZE_Y) {
+    if (!chunk || worldY < WORLD_MIN_Y || worldY >= WORLD_MAX_Y) {
         return BLOCK_TYPE.AIR; // Outside loaded world or height limits is AIR
     }
 
-    // Calculate local coordinates within the chunk
+    // Calculate local coordinates within the chunk (empty sections answer AIR without any array access)
     const localX = THREE.MathUtils.euclideanModulo(Math.floor(worldX), CHUNK_SIZE_X);
     const localZ = THREE.MathUtils.euclideanModulo(Math.floor(worldZ), CHUNK_SIZE_Z);
-    const localY = Math.floor(worldY);
-
-    // Access block data (handle potential sparse arrays)
-    return chunkData[localX]?.[localZ]?.[localY] ?? BLOCK_TYPE.AIR;
+    return chunk.get(localX, Math.floor(worldY), localZ);
+}
+// Whether every block in the box (inclusive block coordinates) lies in unloaded chunks or empty sections
+function isRegionEmpty(minX, minY, minZ, maxX, maxY, maxZ) {
+    const lowY = Math.max(minY, WORLD_MIN_Y), highY = Math.min(maxY, WORLD_MAX_Y - 1);
+    const { x: minChunkX, z: minChunkZ } = getChunkCoords(minX, minZ);
+    const { x: maxChunkX, z: maxChunkZ } = getChunkCoords(maxX, maxZ);
+    for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+        for (let chunkZ = minChunkZ; chunkZ <= maxChunkZ; chunkZ++) {
+            const chunk = worldChunks.get(getChunkKey(chunkX, chunkZ));
+            if (!chunk) continue;
+            for (let section = Math.floor((lowY - WORLD_MIN_Y) / SECTION_SIZE); section <= Math.floor((highY - WORLD_MIN_Y) / SECTION_SIZE); section++) {
+                if (chunk.sections[section]) return false;
+            }
+        }
+    }
+    return true;
 }
-// Set the block type at specific world coordinates
-function setBlockWorld(worldX, worldY, worldZ, blockType) {
+// Get/set the per-block metadata at world coordinates (0 outside loaded chunks)
+function getBlockMetaWorld(worldX, worldY, worldZ) {
+    const { x: chunkX, z: chunkZ } = getChunkCoords(worldX, worldZ);
+    const chunk = worldChunks.get(getChunkKey(chunkX, chunkZ));
+    if (!chunk || worldY < WORLD_MIN_Y || worldY >= WORLD_MAX_Y) return 0;
+    const localX = THREE.MathUtils.euclideanModulo(Math.floor(worldX), CHUNK_SIZE_X);
+    const localZ = THREE.MathUtils.euclideanModulo(Math.floor(worldZ), CHUNK_SIZE_Z);
+    return chunk.getMeta(localX, Math.floor(worldY), localZ);
+}
+function setBlockMetaWorld(worldX, worldY, worldZ, value) {
+    const { x: chunkX, z: chunkZ } = getChunkCoords(worldX, worldZ);
+    const chunk = worldChunks.get(getChunkKey(chunkX, chunkZ));
+    if (!chunk || worldY < WORLD_MIN_Y || worldY >= WORLD_MAX_Y) return;
+    const localX = THREE.MathUtils.euclideanModulo(Math.floor(worldX), CHUNK_SIZE_X);
+    const localZ = THREE.MathUtils.euclideanModulo(Math.floor(worldZ), CHUNK_SIZE_Z);
+    chunk.setMeta(localX, Math.floor(worldY), localZ, value);
+    chunk.dirty = true;
+    markBlockDirty(worldX, worldY, worldZ); // Metadata can change how the block is drawn (water height)
+}
+// Set the block type (and its metadata, e.g. the orientation of stairs) at specific world coordinates
+function setBlockWorld(worldX, worldY, worldZ, blockType, meta = 0) {
+    if (writeBlockWorld(worldX, worldY, worldZ, blockType, meta)) {
+        scheduleFluidUpdatesAround(worldX, worldY, worldZ); // Let nearby water react to the change
+        // Torches and plants stand on solid blocks and drop when their support goes
+        if (!isSolid(blockType) && needsSupport(getBlockWorld(worldX, worldY + 1, worldZ))) {
+            breakBlock(worldX, worldY + 1, worldZ);
+        }
+    }
+}
+// Breaks a block as mining does: it becomes air, and in survival the player collects what it drops
+function breakBlock(worldX, worldY, worldZ) {
+    const blockType = getBlockWorld(worldX, worldY, worldZ);
+    setBlockWorld(worldX, worldY, worldZ, BLOCK_TYPE.AIR);
+    if (isSurvival()) collectBlockDrop(blockType);
+}
+// Blocks that can only stand on top of a solid block
+function needsSupport(blockType) {
+    return blockType === BLOCK_TYPE.TORCH || blockShape(blockType) === 'cross';
+}
+// Writes a block and marks the mesh sections it affects for rebuilding at the end of the frame.
+// Returns true if the block actually changed.
+function writeBlockWorld(worldX, worldY, worldZ, blockType, meta = 0) {
     const { x: chunkX, z: chunkZ } = getChunkCoords(worldX, worldZ);
     const key = getChunkKey(chunkX, chunkZ);
-    let chunkData = worldChunks.get(key);
+    const chunk = worldChunks.get(key);
 
     // Check if chunk exists and coordinates are valid
-    if (!chunkData || worldY < 0 || worldY >= CHUNK_SIZE_Y) {
-        return; // Cannot modify unloaded or out-of-bounds blocks
+    if (!chunk || worldY < WORLD_MIN_Y || worldY >= WORLD_MAX_Y) {
+        return false; // Cannot modify unloaded or out-of-bounds blocks
     }
 
     // Calculate local coordinates
@@ -812,239 +948,393 @@ function setBlockWorld(worldX, worldY, worldZ, blockType) {
     const localZ = THREE.MathUtils.euclideanModulo(Math.floor(worldZ), CHUNK_SIZE_Z);
     const localY = Math.floor(worldY);
 
-    // Ensure nested arrays exist (might be sparse initially)
-    if (!chunkData[localX]) chunkData[localX] = [];
-    if (!chunkData[localX][localZ]) chunkData[localX][localZ] = new Uint8Array(CHUNK_SIZE_Y).fill(BLOCK_TYPE.AIR);
-
     // Only update if the block type actually changes
-    if (chunkData[localX][localZ][localY] !== blockType) {
-        chunkData[localX][localZ][localY] = blockType;
-
-        // Regenerate the mesh for the modified chunk
-        disposeChunkMesh(chunkX, chunkZ);
-        createChunkMesh(chunkX, chunkZ);
-
-        // Check if the modification happened at a chunk border and update neighbors
-        const neighborsToUpdate = [];
-        if (localX === 0)                  neighborsToUpdate.push({ x: chunkX - 1, z: chunkZ });
-        else if (localX === CHUNK_SIZE_X - 1) neighborsToUpdate.push({ x: chunkX + 1, z: chunkZ });
-        if (localZ === 0)                  neighborsToUpdate.push({ x: chunkX, z: chunkZ - 1 });
-        else if (localZ === CHUNK_SIZE_Z - 1) neighborsToUpdate.push({ x: chunkX, z: chunkZ + 1 });
-        // No need to check Y borders for mesh updates in this system
-
-        // Regenerate meshes for affected neighbors if they are currently loaded
-        neighborsToUpdate.forEach(n => {
-            const neighborKey = getChunkKey(n.x, n.z);
-            if (chunkMeshes.has(neighborKey)) { // Only update if neighbor mesh exists
-                disposeChunkMesh(n.x, n.z);
-                createChunkMesh(n.x, n.z);
-            }
-        });
+    const previousType = chunk.get(localX, localY, localZ);
+    if (previousType === blockType) return false;
+    chunk.set(localX, localY, localZ, blockType);
+    chunk.setMeta(localX, localY, localZ, meta); // Metadata (e.g. water level) belonged to the old block
+    chunk.dirty = true;
+    markBlockDirty(worldX, worldY, worldZ);
+    relightBlock(worldLight, Math.floor(worldX), localY, Math.floor(worldZ));
+    if (previousType === BLOCK_TYPE.TORCH || blockType === BLOCK_TYPE.TORCH) {
+        updatePlacedTorch(key, Math.floor(worldX), localY, Math.floor(worldZ), blockType === BLOCK_TYPE.TORCH);
     }
+    return true;
 }
-// Generate terrain data for a chunk using noise
-function generateChunkData(chunkX, chunkZ) {
-    // Initialize chunk data array [x][z][y]
-    const chunkData = Array(CHUNK_SIZE_X).fill(0).map(() =>
-        Array(CHUNK_SIZE_Z).fill(0).map(() =>
-            new Uint8Array(CHUNK_SIZE_Y).fill(BLOCK_TYPE.AIR)
-        )
-    );
-
-    const baseHeight = Math.floor(WORLD_HEIGHT * 0.3); // Base ground level
-
-    for (let lx = 0; lx < CHUNK_SIZE_X; lx++) {
-        for (let lz = 0; lz < CHUNK_SIZE_Z; lz++) {
-            const worldX = chunkX * CHUNK_SIZE_X + lx;
-            const worldZ = chunkZ * CHUNK_SIZE_Z + lz;
-
-            // Calculate terrain height using octave noise
-            const noiseVal = octaveNoise(worldX, worldZ, 5, 0.5, 2.0, 0.012); // Parameters control terrain shape
-            const terrainHeight = baseHeight + Math.floor(noiseVal * WORLD_HEIGHT * 0.25); // Apply noise to base height
-
-            // Determine stone depth
-            const stoneHeight = terrainHeight - (3 + Math.floor(Math.random() * 3)); // 3-5 blocks of soil/grass on top
-
-            // Fill blocks from bottom up
-            for (let ly = 0; ly < CHUNK_SIZE_Y; ly++) {
-                if (ly < stoneHeight) {
-                    chunkData[lx][lz][ly] = BLOCK_TYPE.STONE;
-                } else if (ly < terrainHeight - 1) {
-                    chunkData[lx][lz][ly] = BLOCK_TYPE.DIRT;
-                } else if (ly < terrainHeight) {
-                    chunkData[lx][lz][ly] = BLOCK_TYPE.GRASS;
-                } // Above terrainHeight remains AIR
-            }
-
-            // --- Simple Tree Generation ---
-            // Only place trees on grass blocks, with a low probability
-            if (chunkData[lx][lz][terrainHeight - 1] === BLOCK_TYPE.GRASS && Math.random() < 0.015) { // ~1.5% chance per grass block
-                const treeHeight = Math.floor(Math.random() * 4) + 4; // 4-7 blocks tall trunk
-
-                // Create trunk
-                for(let h=0; h<treeHeight; h++) {
-                    if(terrainHeight + h < CHUNK_SIZE_Y) { // Check vertical bounds
-                        chunkData[lx][lz][terrainHeight + h] = BLOCK_TYPE.WOOD;
-                    }
-                }
-
-                // Create leaves (simple sphere/cube shape)
-                const leafRadius = 2.5;
-                const leafRadiusInt = Math.ceil(leafRadius);
-                const leafCenterY = terrainHeight + treeHeight - 1; // Center leaves around top of trunk
-
-                for (let dy = -leafRadiusInt; dy <= leafRadiusInt; dy++) {
-                    for (let dx = -leafRadiusInt; dx <= leafRadiusInt; dx++) {
-                        for (let dz = -leafRadiusInt; dz <= leafRadiusInt; dz++) {
-                            // Check distance for spherical shape
-                            const distSq = dx*dx + dy*dy + dz*dz;
-                            if (distSq > leafRadius * leafRadius) continue; // Skip if outside radius
-
-                            const targetX = lx + dx;
-                            const targetY = leafCenterY + dy;
-                            const targetZ = lz + dz;
-
-                            // Check if target coordinates are within the *current chunk's bounds*
-                            if (targetX >= 0 && targetX < CHUNK_SIZE_X &&
-                                targetY >= 0 && targetY < CHUNK_SIZE_Y &&
-                                targetZ >= 0 && targetZ < CHUNK_SIZE_Z)
-                            {
-                                const finalTargetY = Math.floor(targetY);
-                                // Only place leaves if the spot is currently AIR (don't overwrite trunk/other leaves)
-                                if (chunkData[targetX]?.[targetZ]?.[finalTargetY] === BLOCK_TYPE.AIR) {
-                                     // Check nested arrays exist before access
-                                     if (!chunkData[targetX]) chunkData[targetX] = [];
-                                     if (!chunkData[targetX][targetZ]) chunkData[targetX][targetZ] = new Uint8Array(CHUNK_SIZE_Y).fill(BLOCK_TYPE.AIR);
-                                     chunkData[targetX][targetZ][finalTargetY] = BLOCK_TYPE.LEAVES;
-                                }
-                            }
-                            // Note: This simple tree generation doesn't handle leaves crossing chunk boundaries perfectly.
-                        }
+// Marks the mesh sections holding a block and its six neighbours (whose faces toward it may appear or vanish)
+function markBlockDirty(worldX, worldY, worldZ) {
+    const x = Math.floor(worldX), y = Math.floor(worldY), z = Math.floor(worldZ);
+    for (const [dx, dy, dz] of BLOCK_AND_NEIGHBOR_OFFSETS) {
+        const ny = y + dy;
+        if (ny < WORLD_MIN_Y || ny >= WORLD_MAX_Y) continue;
+        const { x: chunkX, z: chunkZ } = getChunkCoords(x + dx, z + dz);
+        const key = getChunkKey(chunkX, chunkZ);
+        let sections = dirtySections.get(key);
+        if (!sections) {
+            sections = new Set();
+            dirtySections.set(key, sections);
+        }
+        sections.add(Math.floor((ny - WORLD_MIN_Y) / SECTION_SIZE));
+    }
+}
+const BLOCK_AND_NEIGHBOR_OFFSETS = [[0, 0, 0], [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+// --- Voxel Light ---
+// Loaded chunks as seen by the light engine (light.js). Unloaded chunks hold no light, so light stops at
+// them and flows in once they load (stitchChunkLight). Changed light marks the faces it shades for rebuilding,
+// or while stitching, is collected in `stitchedLightSections` instead.
+let stitchedLightSections = null; // Chunk key -> Set of section indices, while stitchChunkLight() runs
+const worldLight = {
+    minY: WORLD_MIN_Y,
+    maxY: WORLD_MAX_Y,
+    getBlock: getBlockWorld,
+    getLight(worldX, worldY, worldZ, channel) {
+        const { x: chunkX, z: chunkZ } = getChunkCoords(worldX, worldZ);
+        const chunk = worldChunks.get(getChunkKey(chunkX, chunkZ));
+        if (!chunk) return -1;
+        return chunk.getLight(THREE.MathUtils.euclideanModulo(worldX, CHUNK_SIZE_X), worldY, THREE.MathUtils.euclideanModulo(worldZ, CHUNK_SIZE_Z), channel);
+    },
+    setLight(worldX, worldY, worldZ, channel, level) {
+        const { x: chunkX, z: chunkZ } = getChunkCoords(worldX, worldZ);
+        const chunk = worldChunks.get(getChunkKey(chunkX, chunkZ));
+        const localX = THREE.MathUtils.euclideanModulo(worldX, CHUNK_SIZE_X), localZ = THREE.MathUtils.euclideanModulo(worldZ, CHUNK_SIZE_Z);
+        if (chunk.getLight(localX, worldY, localZ, channel) === level) return;
+        chunk.setLight(localX, worldY, localZ, channel, level);
+        if (stitchedLightSections) collectLitSections(chunkX, chunkZ, localX, worldY, localZ);
+        else markBlockDirty(worldX, worldY, worldZ);
+    },
+    opacity: lightOpacity,
+    emission: lightEmission
+};
+// Adds the mesh sections whose faces a changed light cell shades (its own, and across a section or chunk
+// border the neighbour's) to stitchedLightSections. Flood fills change long runs of cells in one section,
+// so a repeat of the last section is skipped before building any keys.
+let lastLitChunkX = 0, lastLitChunkZ = 0, lastLitSectionY = -1;
+function collectLitSections(chunkX, chunkZ, localX, worldY, localZ) {
+    const sectionY = Math.floor((worldY - WORLD_MIN_Y) / SECTION_SIZE);
+    const inSection = (worldY - WORLD_MIN_Y) % SECTION_SIZE;
+    const onBorder = inSection === 0 || inSection === SECTION_SIZE - 1 ||
+        localX === 0 || localX === CHUNK_SIZE_X - 1 || localZ === 0 || localZ === CHUNK_SIZE_Z - 1;
+    if (!onBorder && chunkX === lastLitChunkX && chunkZ === lastLitChunkZ && sectionY === lastLitSectionY) return;
+    lastLitChunkX = chunkX; lastLitChunkZ = chunkZ; lastLitSectionY = sectionY;
+    const add = (x, z, y) => {
+        if (y < 0 || y >= SECTIONS_PER_CHUNK) return;
+        const key = getChunkKey(x, z);
+        let sections = stitchedLightSections.get(key);
+        if (!sections) {
+            sections = new Set();
+            stitchedLightSections.set(key, sections);
+        }
+        sections.add(y);
+    };
+    add(chunkX, chunkZ, sectionY);
+    if (!onBorder) return;
+    if (inSection === 0) add(chunkX, chunkZ, sectionY - 1);
+    if (inSection === SECTION_SIZE - 1) add(chunkX, chunkZ, sectionY + 1);
+    if (localX === 0) add(chunkX - 1, chunkZ, sectionY);
+    if (localX === CHUNK_SIZE_X - 1) add(chunkX + 1, chunkZ, sectionY);
+    if (localZ === 0) add(chunkX, chunkZ - 1, sectionY);
+    if (localZ === CHUNK_SIZE_Z - 1) add(chunkX, chunkZ + 1, sectionY);
+}
+// Lets light flow both ways between a newly loaded chunk and its loaded neighbours. Each chunk was lit on
+// its own, so only border cells that differ by more than one level have anything to give. Returns the mesh
+// sections the changed light shades: Map of chunk key -> Set of section indices.
+function stitchChunkLight(chunkX, chunkZ) {
+    const changed = new Map();
+    stitchedLightSections = changed;
+    lastLitSectionY = -1;
+    try {
+        const chunk = worldChunks.get(getChunkKey(chunkX, chunkZ));
+        const originX = chunkX * CHUNK_SIZE_X, originZ = chunkZ * CHUNK_SIZE_Z;
+        for (const channel of Object.values(LIGHT_CHANNEL)) {
+            const queue = [];
+            for (const [dx, dz] of HORIZONTAL_NEIGHBORS) {
+                const neighbour = worldChunks.get(getChunkKey(chunkX + dx, chunkZ + dz));
+                if (!neighbour) continue;
+                const topY = Math.max(lightTopY(chunk), lightTopY(neighbour)); // Open sky on both sides above this
+                const width = dx !== 0 ? CHUNK_SIZE_Z : CHUNK_SIZE_X;
+                for (let i = 0; i < width; i++) {
+                    // The border cell on this side and the one facing it across the border, in chunk-local coordinates
+                    const lx = dx < 0 ? 0 : dx > 0 ? CHUNK_SIZE_X - 1 : i;
+                    const lz = dz < 0 ? 0 : dz > 0 ? CHUNK_SIZE_Z - 1 : i;
+                    const otherX = dx !== 0 ? CHUNK_SIZE_X - 1 - lx : lx;
+                    const otherZ = dz !== 0 ? CHUNK_SIZE_Z - 1 - lz : lz;
+                    for (let y = WORLD_MIN_Y; y < topY; y++) {
+                        const ours = chunk.getLight(lx, y, lz, channel);
+                        const theirs = neighbour.getLight(otherX, y, otherZ, channel);
+                        if (ours > theirs + 1) queue.push(originX + lx, y, originZ + lz);
+                        else if (theirs > ours + 1) queue.push(originX + dx * CHUNK_SIZE_X + otherX, y, originZ + dz * CHUNK_SIZE_Z + otherZ);
                     }
                 }
-            } // End tree generation
+            }
+            propagateLight(worldLight, channel, queue);
         }
+    } finally {
+        stitchedLightSections = null;
     }
-    return chunkData;
+    return changed;
 }
-
-// Shared geometry for all block instances (performance boost)
-const sharedBoxGeometry = new THREE.BoxGeometry(1, 1, 1);
-
-// Creates an InstancedMesh for each block type present in a chunk
-function createChunkMesh(chunkX, chunkZ) {
-    const key = getChunkKey(chunkX, chunkZ);
-    let chunkData = worldChunks.get(key);
-
-    // Generate data if it doesn't exist
-    if (!chunkData) {
-        chunkData = generateChunkData(chunkX, chunkZ);
-        worldChunks.set(key, chunkData);
+// Light level of one channel at a position, for the info display ('-' before its chunk has loaded)
+function cameraLight(position, channel) {
+    const level = worldLight.getLight(Math.floor(position.x), Math.floor(position.y), Math.floor(position.z), channel);
+    return level < 0 ? '-' : level;
+}
+// First y above a chunk's stored light (everything from there up is open sky)
+function lightTopY(chunk) {
+    let section = SECTIONS_PER_CHUNK - 1;
+    while (section >= 0 && !chunk.light[section]) section--;
+    return WORLD_MIN_Y + (section + 1) * SECTION_SIZE;
+}
+// Rebuilds every section marked since the last frame, once, however many edits touched it
+function flushDirtySections() {
+    for (const [key, sections] of dirtySections) {
+        const [cxStr, czStr] = key.split(',');
+        const chunkX = parseInt(cxStr), chunkZ = parseInt(czStr);
+        if (!worldChunks.has(key)) continue;
+        if (chunkMeshes.has(key)) {
+            cancelRelightJob(key); // Older than this edit
+            for (const sectionY of sections) rebuildChunkSection(chunkX, chunkZ, sectionY);
+        } else if (chunksMeshing.has(key) && isChunkInRenderDistance(chunkX, chunkZ)) {
+            createChunkMesh(chunkX, chunkZ); // A worker is meshing the old data; build it here and drop that result
+        }
+        // Chunks that aren't shown just keep their edited data until they are meshed
     }
+    dirtySections.clear();
+}
+// Whether a chunk lies inside the render distance around the player's current chunk
+function isChunkInRenderDistance(chunkX, chunkZ) {
+    if (player.currentChunk.x === null) return false;
+    const dx = chunkX - player.currentChunk.x;
+    const dz = chunkZ - player.currentChunk.z;
+    return dx * dx + dz * dz <= RENDER_DISTANCE * RENDER_DISTANCE;
+}
+// Get a unique string key for a single block
+function getBlockKey(worldX, worldY, worldZ) {
+    return `${Math.floor(worldX)},${Math.floor(worldY)},${Math.floor(worldZ)}`;
+}
 
-    // Ensure any old mesh for this chunk is removed first
-    disposeChunkMesh(chunkX, chunkZ);
-
-    // Chunk world origin
-    const chunkOriginX = chunkX * CHUNK_SIZE_X;
-    const chunkOriginZ = chunkZ * CHUNK_SIZE_Z;
+// --- Water Simulation ---
+// Water cells are source blocks (level 0) or flowing water: levels 1..WATER_MAX_FLOW for sideways
+// spread (higher = further from the source) and WATER_FALLING for water pouring down.
+// The level is stored as the water block's chunk metadata, so plain water (metadata 0) is a source.
+const pendingFluidUpdates = new Set(); // Block keys to re-evaluate on the next fluid tick
+let fluidTickTimer = 0;
+const HORIZONTAL_NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
 
-    // Use a temporary matrix for setting instance positions
-    const matrix = new THREE.Matrix4();
-    // Store matrices for each block type { typeId: [matrix1, matrix2, ...] }
-    const instances = {};
-
-    // Iterate through all blocks in the chunk
-    for (let lx = 0; lx < CHUNK_SIZE_X; lx++) {
-        for (let lz = 0; lz < CHUNK_SIZE_Z; lz++) {
-            if (!chunkData[lx]?.[lz]) continue; // Skip if column is empty
-            for (let ly = 0; ly < CHUNK_SIZE_Y; ly++) {
-                const blockType = chunkData[lx][lz][ly];
-                if (blockType === BLOCK_TYPE.AIR) continue; // Skip air blocks
-
-                const worldX = chunkOriginX + lx;
-                const worldY = ly;
-                const worldZ = chunkOriginZ + lz;
-
-                // --- Culling Check ---
-                // Check neighbors: if any neighbor is transparent or air, this block face is visible
-                const isExposed =
-                    isTransparentOrAir(getBlockWorld(worldX + 1, worldY, worldZ)) || // Right
-                    isTransparentOrAir(getBlockWorld(worldX - 1, worldY, worldZ)) || // Left
-                    isTransparentOrAir(getBlockWorld(worldX, worldY + 1, worldZ)) || // Top
-                    isTransparentOrAir(getBlockWorld(worldX, worldY - 1, worldZ)) || // Bottom
-                    isTransparentOrAir(getBlockWorld(worldX, worldY, worldZ + 1)) || // Front
-                    isTransparentOrAir(getBlockWorld(worldX, worldY, worldZ - 1));   // Back
-
-                if (isExposed) {
-                    // Initialize array for this type if first instance found
-                    if (!instances[blockType]) instances[blockType] = [];
-
-                    // Set matrix position (center of the block)
-                    matrix.setPosition(worldX + 0.5, worldY + 0.5, worldZ + 0.5);
-                    // Add a clone of the matrix to the list for this block type
-                    instances[blockType].push(matrix.clone());
-                }
+function getWaterLevel(worldX, worldY, worldZ) {
+    return getBlockMetaWorld(worldX, worldY, worldZ);
+}
+function scheduleFluidUpdate(worldX, worldY, worldZ) {
+    pendingFluidUpdates.add(getBlockKey(worldX, worldY, worldZ));
+}
+function scheduleFluidUpdatesAround(worldX, worldY, worldZ) {
+    scheduleFluidUpdate(worldX, worldY, worldZ);
+    scheduleFluidUpdate(worldX, worldY + 1, worldZ);
+    scheduleFluidUpdate(worldX, worldY - 1, worldZ);
+    for (const [dx, dz] of HORIZONTAL_NEIGHBORS) scheduleFluidUpdate(worldX + dx, worldY, worldZ + dz);
+}
+// Writes a water cell (`level` null removes it) and wakes its neighbours
+function setWaterCell(worldX, worldY, worldZ, level) {
+    const blockChanged = writeBlockWorld(worldX, worldY, worldZ, level === null ? BLOCK_TYPE.AIR : BLOCK_TYPE.WATER);
+    if (level === null) {
+        if (!blockChanged) return;
+    } else {
+        if (getBlockWorld(worldX, worldY, worldZ) !== BLOCK_TYPE.WATER) return; // Target chunk isn't loaded
+        if (!blockChanged && getWaterLevel(worldX, worldY, worldZ) === level) return;
+        setBlockMetaWorld(worldX, worldY, worldZ, level); // Surface height may have changed
+    }
+    scheduleFluidUpdatesAround(worldX, worldY, worldZ);
+}
+// Re-evaluates one cell: flowing water re-derives its level from its feeders (or dries up),
+// then any water spreads down first, sideways otherwise
+function updateFluidCell(worldX, worldY, worldZ) {
+    if (getBlockWorld(worldX, worldY, worldZ) !== BLOCK_TYPE.WATER) return;
+    let level = getWaterLevel(worldX, worldY, worldZ);
+
+    if (level !== WATER_SOURCE) {
+        let expected = null;
+        if (getBlockWorld(worldX, worldY + 1, worldZ) === BLOCK_TYPE.WATER) {
+            expected = WATER_FALLING; // Fed from above
+        } else {
+            // Fed by the strongest horizontal neighbour that is itself resting on something
+            let best = Infinity;
+            for (const [dx, dz] of HORIZONTAL_NEIGHBORS) {
+                if (getBlockWorld(worldX + dx, worldY, worldZ + dz) !== BLOCK_TYPE.WATER) continue;
+                const neighborLevel = getWaterLevel(worldX + dx, worldY, worldZ + dz);
+                const feedLevel = neighborLevel === WATER_FALLING ? 0 : neighborLevel;
+                if (neighborLevel !== WATER_FALLING && !canWaterRestOn(worldX + dx, worldY - 1, worldZ + dz)) continue;
+                best = Math.min(best, feedLevel + 1);
             }
+            if (best <= WATER_MAX_FLOW) expected = best;
+        }
+        if (expected === null) { // Nothing feeds this cell any more
+            setWaterCell(worldX, worldY, worldZ, null);
+            return;
+        }
+        if (expected !== level) {
+            setWaterCell(worldX, worldY, worldZ, expected);
+            level = expected;
         }
     }
 
-    // Create InstancedMeshes from the collected matrices
-    const chunkMeshGroup = {}; // To store the meshes created for this chunk
-    for (const typeStr in instances) {
-        const type = parseInt(typeStr);
-        const instanceMatrices = instances[type];
-        const count = instanceMatrices.length;
-        if (count === 0) continue; // Skip if no instances of this type
-
-        const material = loadedMaterials[type];
-        if (!material) {
-            console.warn(`Material not found for type ${type} in chunk ${key}, skipping mesh.`);
-            continue;
+    // Spread downwards first
+    const below = getBlockWorld(worldX, worldY - 1, worldZ);
+    if (worldY > WORLD_MIN_Y && below === BLOCK_TYPE.AIR) {
+        setWaterCell(worldX, worldY - 1, worldZ, WATER_FALLING);
+        return;
+    }
+    if (!canWaterRestOn(worldX, worldY - 1, worldZ)) return; // Falling onto water: let the pool below spread
+
+    // Then sideways, one level weaker per block
+    const nextLevel = (level === WATER_FALLING ? 0 : level) + 1;
+    if (nextLevel > WATER_MAX_FLOW) return;
+    for (const [dx, dz] of HORIZONTAL_NEIGHBORS) {
+        const nx = worldX + dx, nz = worldZ + dz;
+        const neighbor = getBlockWorld(nx, worldY, nz);
+        if (neighbor === BLOCK_TYPE.AIR) {
+            setWaterCell(nx, worldY, nz, nextLevel);
+        } else if (neighbor === BLOCK_TYPE.WATER) {
+            const neighborLevel = getWaterLevel(nx, worldY, nz);
+            if (neighborLevel !== WATER_SOURCE && neighborLevel !== WATER_FALLING && neighborLevel > nextLevel) {
+                setWaterCell(nx, worldY, nz, nextLevel); // Strengthen weaker flow
+            }
         }
+    }
+}
+// Water spreads sideways only on top of solid ground or still water, not over a drop
+function canWaterRestOn(worldX, worldY, worldZ) {
+    const blockType = getBlockWorld(worldX, worldY, worldZ);
+    if (blockType === BLOCK_TYPE.WATER) return getWaterLevel(worldX, worldY, worldZ) === WATER_SOURCE;
+    return isSolid(blockType);
+}
+// Advances the water simulation; called every frame, steps every FLUID_TICK_SECONDS
+function updateFluids(delta) {
+    fluidTickTimer += delta;
+    if (fluidTickTimer < FLUID_TICK_SECONDS) return;
+    fluidTickTimer = 0;
+    if (pendingFluidUpdates.size === 0) return;
+
+    // Take a snapshot so cells scheduled during this step run on the next one (one block per tick)
+    const batch = [];
+    for (const key of pendingFluidUpdates) {
+        batch.push(key);
+        pendingFluidUpdates.delete(key);
+        if (batch.length >= FLUID_UPDATES_PER_TICK) break;
+    }
+    for (const key of batch) {
+        const [x, y, z] = key.split(',').map(Number);
+        updateFluidCell(x, y, z);
+    }
+}
 
-        // Create InstancedMesh (geometry, material, count)
-        const mesh = new THREE.InstancedMesh(sharedBoxGeometry, material, count);
-        mesh.name = `chunk_${key}_type_${type}`;
-        mesh.castShadow = true;
+// Builds all of a loaded chunk's meshes right away on the main thread
+function createChunkMesh(chunkX, chunkZ) {
+    const chunk = worldChunks.get(getChunkKey(chunkX, chunkZ));
+    if (!chunk) return; // No data yet; the loading pipeline will mesh it once it is generated
+    chunk.unpack(); // Shown chunks are read a lot; keep them in the fast flat layout
+    uploadChunkMesh(chunkX, chunkZ, meshChunkSections(chunk, worldNeighbourLookup(chunkX, chunkZ), graphicsSettings.ambientOcclusion));
+}
+// Rebuilds one section of a shown chunk (edits only touch the sections around the changed block)
+function rebuildChunkSection(chunkX, chunkZ, sectionY) {
+    const key = getChunkKey(chunkX, chunkZ);
+    const chunk = worldChunks.get(key);
+    const sections = chunkMeshes.get(key);
+    if (!chunk || !sections) return;
+    chunk.unpack();
+    disposeChunkSection(sections[sectionY]);
+    sections[sectionY] = createSectionMeshes(chunkX, chunkZ, sectionY,
+        meshChunkSection(chunk, sectionY, worldNeighbourLookup(chunkX, chunkZ), graphicsSettings.ambientOcclusion));
+}
+// Block and packed light lookups across a chunk's borders, in chunk-local coordinates
+function worldNeighbourLookup(chunkX, chunkZ) {
+    const chunkOriginX = chunkX * CHUNK_SIZE_X;
+    const chunkOriginZ = chunkZ * CHUNK_SIZE_Z;
+    const lightAt = (lx, ly, lz) => {
+        const worldX = chunkOriginX + lx, worldZ = chunkOriginZ + lz;
+        const { x: neighbourX, z: neighbourZ } = getChunkCoords(worldX, worldZ);
+        const neighbour = worldChunks.get(getChunkKey(neighbourX, neighbourZ));
+        if (!neighbour) return MAX_LIGHT << 4; // Open sky, like the missing neighbours in copyChunkLightBorders()
+        return neighbour.getPackedLight(THREE.MathUtils.euclideanModulo(worldX, CHUNK_SIZE_X), ly, THREE.MathUtils.euclideanModulo(worldZ, CHUNK_SIZE_Z));
+    };
+    return {
+        blockAt: (lx, ly, lz) => getBlockWorld(chunkOriginX + lx, ly, chunkOriginZ + lz),
+        lightAt
+    };
+}
+// Turns a chunk's greedy-meshed sections into scene meshes, replacing any old ones
+function uploadChunkMesh(chunkX, chunkZ, sectionResults) {
+    disposeChunkMesh(chunkX, chunkZ);
+    chunkMeshes.set(getChunkKey(chunkX, chunkZ),
+        sectionResults.map((result, sectionY) => createSectionMeshes(chunkX, chunkZ, sectionY, result)));
+    showChunkTorches(chunkX, chunkZ);
+}
+// Creates the meshes of one section (one BufferGeometry per layer): { solid, water, stats }
+function createSectionMeshes(chunkX, chunkZ, sectionY, { layers, stats }) {
+    const key = getChunkKey(chunkX, chunkZ);
+    const section = { stats };
+    layers.forEach((layer, layerIndex) => {
+        if (layer.indices.length === 0) return; // Nothing visible in this layer
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(layer.positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(layer.normals, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(layer.uvs, 2));
+        if (layer.colors) geometry.setAttribute('color', new THREE.BufferAttribute(layer.colors, 3)); // Voxel light
+        const { cells, surfaces } = chunkVertexAttributes(layer);
+        geometry.setAttribute('atlasCell', new THREE.BufferAttribute(cells, 1));
+        geometry.setAttribute('blockSurface', new THREE.BufferAttribute(surfaces, 3));
+        geometry.setIndex(new THREE.BufferAttribute(layer.indices, 1));
+        // The mesher's groups are sorted by render class: draw each run of one class in a single call
+        for (const group of layer.groups) {
+            const { renderClass } = decodeChunkMaterial(group.materialIndex);
+            const last = geometry.groups[geometry.groups.length - 1];
+            if (last && last.materialIndex === renderClass) last.count += group.count;
+            else geometry.addGroup(group.start, group.count, renderClass);
+        }
+        geometry.computeBoundingSphere();
+
+        const isWater = layerIndex === CHUNK_LAYER.WATER;
+        const mesh = new THREE.Mesh(geometry, chunkMaterials);
+        mesh.name = `chunk_${key}_${sectionY}_${isWater ? 'water' : 'solid'}`;
+        // Geometry is relative to the section's corner
+        mesh.position.set(chunkX * CHUNK_SIZE_X, WORLD_MIN_Y + sectionY * SECTION_SIZE, chunkZ * CHUNK_SIZE_Z);
+        mesh.castShadow = !isWater; // Water shouldn't darken the sea floor
+        mesh.customDepthMaterial = chunkDepthMaterial;
         mesh.receiveShadow = true;
         mesh.userData.chunkKey = key; // Store key for later identification
 
-        // Apply the transformation matrices to each instance
-        for (let i = 0; i < count; i++) {
-            mesh.setMatrixAt(i, instanceMatrices[i]);
-        }
-        mesh.instanceMatrix.needsUpdate = true; // Crucial after setting matrices
-
         scene.add(mesh); // Add mesh to the scene
-        chunkMeshGroup[type] = mesh; // Store reference to this mesh
+        section[isWater ? 'water' : 'solid'] = mesh;
+    });
+    for (const stat in meshStats) meshStats[stat] += stats[stat];
+    return section;
+}
+function disposeChunkSection(section) {
+    if (!section) return;
+    for (const mesh of [section.solid, section.water]) {
+        if (!mesh) continue;
+        scene.remove(mesh);
+        mesh.geometry.dispose(); // Geometry belongs to this section; materials are shared
     }
-
-    // Store the group of meshes associated with this chunk key
-    if (Object.keys(chunkMeshGroup).length > 0) {
-        chunkMeshes.set(key, chunkMeshGroup);
-    } else {
-        // If chunk ended up being empty (e.g., all air), remove potential old entry
-        chunkMeshes.delete(key);
+    for (const stat in meshStats) meshStats[stat] -= section.stats[stat];
+}
+// Drops every chunk mesh so the loading pipeline builds them again (after a setting that changes meshing)
+function remeshAllChunks() {
+    for (const key of chunkMeshes.keys()) {
+        const [cxStr, czStr] = key.split(',');
+        disposeChunkMesh(parseInt(cxStr), parseInt(czStr));
     }
+    updateVisibleChunks(true);
 }
 // Remove and dispose of all meshes associated with a chunk
 function disposeChunkMesh(chunkX, chunkZ) {
     const key = getChunkKey(chunkX, chunkZ);
-    const meshGroup = chunkMeshes.get(key);
-    if (meshGroup) {
-        // Remove each InstancedMesh within the group from the scene
-        for (const type in meshGroup) {
-            scene.remove(meshGroup[type]);
-            // Note: Geometry and Material are shared, so don't dispose them here.
-            // InstancedMesh disposal is handled by removing it from the scene.
-        }
+    const sections = chunkMeshes.get(key);
+    if (sections) {
+        sections.forEach(disposeChunkSection);
         chunkMeshes.delete(key); // Remove the entry from the map
     }
-}
-// Helper to check if a block type allows light/vision through
-function isTransparentOrAir(blockType) {
-    return blockType === BLOCK_TYPE.AIR || blockType === BLOCK_TYPE.LEAVES;
+    hideChunkTorches(key);
 }
 // Check which chunks should be visible based on player position and RENDER_DISTANCE
 function updateVisibleChunks(forceLoad = false) {
@@ -1067,97 +1357,427 @@ function updateVisibleChunks(forceLoad = false) {
         updateLightTarget();
     }
 
-    const chunksToKeep = new Set(); // Chunks that should remain loaded
-    const chunksToLoad = []; // Chunks that need to be loaded/generated
-
-    // Iterate in a square grid around the player's chunk
-    for (let dx = -RENDER_DISTANCE; dx <= RENDER_DISTANCE; dx++) {
-        for (let dz = -RENDER_DISTANCE; dz <= RENDER_DISTANCE; dz++) {
-            // Optional: Use circular distance check for slightly better performance/look
-            if (dx * dx + dz * dz > RENDER_DISTANCE * RENDER_DISTANCE) continue;
+    // --- Unload distant chunks ---
+    for (const key of chunkMeshes.keys()) {
+        const [cxStr, czStr] = key.split(',');
+        if (!isChunkInRenderDistance(parseInt(cxStr), parseInt(czStr))) {
+            // This chunk mesh is loaded but no longer in render distance
+            disposeChunkMesh(parseInt(cxStr), parseInt(czStr));
+            // Keep the data (edits must survive), but palette-pack it to save memory until it's shown again
+            worldChunks.get(key)?.pack();
+        }
+    }
 
+    // --- Queue chunks to load, nearest first ---
+    // Chunks that left range drop out of the queue here, which cancels their pending work
+    const loadRadius = RENDER_DISTANCE + 1; // One extra ring of data so shown chunks have all their neighbours
+    const queue = [];
+    for (let dx = -loadRadius; dx <= loadRadius; dx++) {
+        for (let dz = -loadRadius; dz <= loadRadius; dz++) {
+            const distSq = dx * dx + dz * dz;
+            if (distSq > loadRadius * loadRadius) continue; // Circular area looks better and loads less
             const chunkX = currentChunkX + dx;
             const chunkZ = currentChunkZ + dz;
             const key = getChunkKey(chunkX, chunkZ);
+            const shown = distSq <= RENDER_DISTANCE * RENDER_DISTANCE;
+            if (worldChunks.has(key) && (!shown || chunkMeshes.has(key))) continue; // Nothing left to do
+            queue.push({ x: chunkX, z: chunkZ, key, shown, distSq });
+        }
+    }
+    chunkLoadQueue = queue.sort((a, b) => a.distSq - b.distSq);
+    pumpChunkJobs();
+}
 
-            chunksToKeep.add(key); // Mark this chunk as needed
-
-            // If this chunk doesn't have a mesh yet, add it to the load list
-            if (!chunkMeshes.has(key)) {
-                chunksToLoad.push({ x: chunkX, z: chunkZ });
+// --- Chunk Loading Pipeline ---
+// Generation and mesh building run in a pool of Web Workers (chunkWorker.js). Idle workers take the
+// nearest chunk from the load queue that has work left: generate its data, or, once it and its four
+// neighbours have data, build its mesh. Results for chunks that left range are dropped, and finished
+// meshes are turned into scene objects under a per-frame time budget so loading never causes a hitch.
+// Light flowing into already-shown neighbours from a newly loaded chunk is redrawn the same way, by mesh
+// jobs for just the sections it changed.
+const CHUNK_WORKER_COUNT = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+const CHUNK_UPLOAD_BUDGET_MS = 4; // Main-thread time per frame for uploading finished meshes (and running jobs without workers)
+const CHUNK_GENERATE_ATTEMPTS = 3; // A chunk whose generation fails this often is given up on
+const chunkWorkers = []; // { worker, job } with the in-flight job, or null while idle
+let chunkLoadQueue = []; // { x, z, key, shown, distSq } sorted nearest first, rebuilt when the player changes chunk
+const chunksGenerating = new Set(); // Chunk keys with generation in flight
+const chunkGenerateFailures = new Map(); // Chunk key -> failed generation attempts so far
+const chunksMeshing = new Set(); // Chunk keys with a mesh in flight or waiting for upload
+const chunksRelighting = new Map(); // Chunk key -> Set of section indices to remesh for light stitched in from neighbours
+const relightJobs = new Map(); // Chunk key -> { id, sectionYs } of the relight mesh job in flight for it
+const chunkUploads = []; // Finished mesh results waiting for upload
+let nextChunkJobId = 1;
+
+function setupChunkWorkers() {
+    for (let i = 0; i < CHUNK_WORKER_COUNT; i++) {
+        try {
+            const worker = new Worker(new URL('./chunkWorker.js', import.meta.url), { type: 'module' });
+            const slot = { worker, job: null };
+            worker.onmessage = (event) => finishChunkJob(slot, event.data);
+            worker.onerror = (event) => {
+                // The worker itself is broken (e.g. failed to load): retire it and hand its job back
+                console.error("Chunk worker failed:", event.message);
+                event.preventDefault();
+                worker.terminate();
+                chunkWorkers.splice(chunkWorkers.indexOf(slot), 1);
+                if (slot.job) releaseChunkJob(slot.job);
+                if (chunkWorkers.length === 0) console.warn("No chunk workers left, loading chunks on the main thread.");
+            };
+            worker.postMessage({ type: 'init', seed: worldSeed.value });
+            // Workers load the built-in blocks themselves; runtime registrations have to be passed on
+            for (const block of getBlockDefinitions()) {
+                if (!block.builtin) worker.postMessage({ type: 'registerBlock', block: blockDefinitionData(block) });
             }
+            chunkWorkers.push(slot);
+        } catch (error) {
+            console.warn("Chunk workers unavailable, loading chunks on the main thread:", error);
+            break;
         }
     }
-
-    // --- Unload distant chunks ---
-    for (const key of chunkMeshes.keys()) {
-        if (!chunksToKeep.has(key)) {
-            // This chunk mesh is loaded but no longer in render distance
-            const [cxStr, czStr] = key.split(',');
-            disposeChunkMesh(parseInt(cxStr), parseInt(czStr));
-            // Optional: Also remove chunk *data* from worldChunks map to save memory
-            // worldChunks.delete(key); // Uncomment if memory is a concern
+    onBlockRegistered((block) => {
+        for (const slot of chunkWorkers) slot.worker.postMessage({ type: 'registerBlock', block: blockDefinitionData(block) });
+    });
+}
+// Hands idle workers the next jobs (without workers, runMainThreadChunkJobs() does the work instead)
+function pumpChunkJobs() {
+    for (const slot of chunkWorkers) {
+        if (slot.job) continue;
+        const next = takeNextChunkJob();
+        if (!next) break;
+        const { transfer = [], ...job } = next;
+        slot.job = job;
+        slot.worker.postMessage(job, transfer); // The transferred buffers now belong to the worker
+    }
+}
+// Without workers: runs chunk jobs here until this frame's time budget is spent (always at least one)
+function runMainThreadChunkJobs() {
+    if (chunkWorkers.length > 0) return;
+    const start = performance.now();
+    let job;
+    while ((job = takeNextChunkJob())) {
+        let result;
+        try {
+            result = runChunkJob(job).result;
+        } catch (error) {
+            result = { type: job.type, id: job.id, key: job.key, x: job.x, z: job.z, error: error.message }; // Same shape as a worker's failure
         }
+        finishChunkJob(null, result);
+        if (performance.now() - start > CHUNK_UPLOAD_BUDGET_MS) break;
     }
-
-    // --- Load new chunks ---
-    // Sort chunks to load by distance? (Optional optimization)
-    // chunksToLoad.sort((a, b) => ...);
-
-    // Create meshes for chunks that entered the render distance
-    chunksToLoad.forEach(coords => {
-        // Double-check it wasn't loaded somehow between checks (unlikely but safe)
-        if (!chunkMeshes.has(getChunkKey(coords.x, coords.z))) {
-            createChunkMesh(coords.x, coords.z);
+}
+// Finds the nearest chunk with work to start and marks that work as in flight
+function takeNextChunkJob() {
+    for (const { x, z, key, shown } of chunkLoadQueue) {
+        if (!worldChunks.has(key)) {
+            const saved = takeSavedChunk(x, z); // Edited chunks come from the save, not the generator
+            if (saved) {
+                computeChunkLight(saved); // Light isn't saved
+                addLoadedChunk(saved);
+            } else {
+                if (chunksGenerating.has(key) || (chunkGenerateFailures.get(key) ?? 0) >= CHUNK_GENERATE_ATTEMPTS) continue;
+                chunksGenerating.add(key);
+                return { type: 'generate', id: nextChunkJobId++, key, x, z };
+            }
+        }
+        if (!shown || chunkMeshes.has(key) || chunksMeshing.has(key) || !hasChunkNeighbours(x, z)) continue;
+        return createMeshJob(x, z, key, null);
+    }
+    // Then sections of shown chunks whose light changed as their neighbours loaded
+    for (const [key, sectionYs] of chunksRelighting) {
+        if (chunksMeshing.has(key)) continue; // Meshing; relit once that mesh is up
+        chunksRelighting.delete(key);
+        const chunk = worldChunks.get(key);
+        if (!chunk || !chunkMeshes.has(key) || !isChunkInRenderDistance(chunk.x, chunk.z)) continue; // Meshed afresh when shown
+        const job = createMeshJob(chunk.x, chunk.z, key, [...sectionYs]);
+        relightJobs.set(key, { id: job.id, sectionYs: job.sectionYs });
+        return job;
+    }
+    return null;
+}
+// A job meshing a loaded chunk's sections (all of them when `sectionYs` is null), marked as in flight
+function createMeshJob(x, z, key, sectionYs) {
+    const chunk = worldChunks.get(key);
+    chunk.unpack();
+    const sections = chunk.toSectionData(true); // Copies, so edits during meshing can't race the worker
+    const light = chunk.copyLight();
+    const getChunk = (neighbourKey) => worldChunks.get(neighbourKey);
+    const borders = copyChunkBorders(x, z, getChunk);
+    const lightBorders = copyChunkLightBorders(x, z, getChunk);
+    const transfer = [...sectionBuffers(sections), ...lightBuffers(light),
+        ...Object.values(borders).map(column => column.buffer), ...Object.values(lightBorders).map(column => column.buffer)];
+    chunksMeshing.add(key);
+    const { ambientOcclusion } = graphicsSettings;
+    return { type: 'mesh', id: nextChunkJobId++, key, x, z, sections, light, borders, lightBorders, ambientOcclusion, sectionYs, transfer };
+}
+// Queues sections of a chunk to be remeshed by a mesh job for changed light
+function queueChunkRelight(key, sectionYs) {
+    let queued = chunksRelighting.get(key);
+    if (!queued) {
+        queued = new Set();
+        chunksRelighting.set(key, queued);
+    }
+    for (const sectionY of sectionYs) queued.add(sectionY);
+}
+// Drops a relight job in flight for a chunk (its result would be older than the chunk now is) and queues its sections again
+function cancelRelightJob(key) {
+    const job = relightJobs.get(key);
+    if (!job) return;
+    relightJobs.delete(key);
+    queueChunkRelight(key, job.sectionYs);
+}
+// Collision reads unloaded chunks as air, so the player waits in place until their chunk has arrived
+function isPlayerChunkLoaded() {
+    const { x, z } = getChunkCoords(controls.getObject().position.x, controls.getObject().position.z);
+    return worldChunks.has(getChunkKey(x, z));
+}
+function hasChunkNeighbours(chunkX, chunkZ) {
+    return worldChunks.has(getChunkKey(chunkX - 1, chunkZ)) && worldChunks.has(getChunkKey(chunkX + 1, chunkZ)) &&
+        worldChunks.has(getChunkKey(chunkX, chunkZ - 1)) && worldChunks.has(getChunkKey(chunkX, chunkZ + 1));
+}
+// Stores a newly loaded (lit) chunk and joins its light up with the neighbours already loaded. Light that
+// changes in neighbours already on screen is redrawn by mesh jobs, not on the main thread.
+function addLoadedChunk(chunk) {
+    const key = getChunkKey(chunk.x, chunk.z);
+    worldChunks.set(key, chunk);
+    for (const [changedKey, sectionYs] of stitchChunkLight(chunk.x, chunk.z)) {
+        if (changedKey === key) continue; // Not meshed yet; its mesh will read the stitched light
+        if (chunkMeshes.has(changedKey) || chunksMeshing.has(changedKey)) queueChunkRelight(changedKey, sectionYs);
+    }
+}
+// Forgets an in-flight job so the chunk can be queued again
+function releaseChunkJob(job) {
+    (job.type === 'generate' ? chunksGenerating : chunksMeshing).delete(job.key);
+    if (relightJobs.get(job.key)?.id === job.id) cancelRelightJob(job.key);
+}
+function finishChunkJob(slot, result) {
+    if (slot) slot.job = null;
+    const { type, key, x, z } = result;
+
+    if (result.error) {
+        console.error(`Chunk ${type} job for ${key} failed:`, result.error);
+        if (type === 'mesh') {
+            chunksMeshing.delete(key); // A later edit or reload can still mesh it
+            if (relightJobs.get(key)?.id === result.id) relightJobs.delete(key);
+        } else failChunkGeneration(x, z, key, result.error);
+    } else if (type === 'generate') {
+        chunksGenerating.delete(key);
+        chunkGenerateFailures.delete(key);
+        if (!worldChunks.has(key)) {
+            const chunk = Chunk.fromSectionData(x, z, result.sections, result.light);
+            addLoadedChunk(chunk);
+            if (!isChunkInRenderDistance(x, z)) chunk.pack(); // Border ring: only neighbours read it
+        }
+    } else if (type === 'mesh') {
+        chunkUploads.push(result); // Checked for staleness at upload time
+    }
+    if (slot) pumpChunkJobs(); // Keep the workers busy
+}
+// Queues a failed chunk to be generated again, up to CHUNK_GENERATE_ATTEMPTS times. Past that it stays
+// missing; if it's the player's own chunk they would wait in place forever, so the error is shown instead.
+function failChunkGeneration(x, z, key, message) {
+    chunksGenerating.delete(key);
+    const failures = (chunkGenerateFailures.get(key) ?? 0) + 1;
+    chunkGenerateFailures.set(key, failures);
+    if (failures < CHUNK_GENERATE_ATTEMPTS) return;
+    console.error(`Giving up on chunk ${key} after ${failures} failed attempts.`);
+    const { x: playerChunkX, z: playerChunkZ } = getChunkCoords(controls.getObject().position.x, controls.getObject().position.z);
+    if (x === playerChunkX && z === playerChunkZ) showErrorScreen(`Chunk ${key} could not be generated.`, message);
+}
+// Uploads finished meshes until this frame's time budget is spent (always at least one)
+function processChunkUploads() {
+    const start = performance.now();
+    while (chunkUploads.length > 0) {
+        const result = chunkUploads.shift();
+        chunksMeshing.delete(result.key);
+        if (result.sectionYs) {
+            if (!uploadRelitSections(result)) continue;
+        } else {
+            // Skip chunks that left range, were already rebuilt on the main thread by an edit, or were meshed
+            // with settings that have changed since (they are queued again)
+            if (chunkMeshes.has(result.key) || !isChunkInRenderDistance(result.x, result.z)) continue;
+            if (result.ambientOcclusion !== graphicsSettings.ambientOcclusion) continue;
+            uploadChunkMesh(result.x, result.z, result.sections);
         }
+        if (performance.now() - start > CHUNK_UPLOAD_BUDGET_MS) break;
+    }
+}
+
+// Swaps in the sections of a relight job, unless an edit rebuilt the chunk since (its sections were queued
+// again) or the chunk's mesh is gone. Returns whether anything was uploaded.
+function uploadRelitSections(result) {
+    const { key, x, z, sectionYs } = result;
+    if (relightJobs.get(key)?.id !== result.id) return false;
+    relightJobs.delete(key);
+    const sections = chunkMeshes.get(key);
+    if (!sections || !isChunkInRenderDistance(x, z)) return false;
+    if (result.ambientOcclusion !== graphicsSettings.ambientOcclusion) return false; // The whole chunk is being remeshed
+    sectionYs.forEach((sectionY, i) => {
+        disposeChunkSection(sections[sectionY]);
+        sections[sectionY] = createSectionMeshes(x, z, sectionY, result.sections[i]);
     });
+    return true;
 }
 
 
+// --- World Persistence (IndexedDB) ---
+// Only edited chunks are stored (everything else regenerates from the seed), keyed by seed so
+// different worlds never mix. The player's session is stored alongside.
+const DB_NAME = 'voxelWorld';
+const DB_VERSION = 1;
+const CHUNK_STORE = 'chunks'; // { key: `${seed}|${x},${z}`, data: Uint8Array (Chunk.serialize) }
+const PLAYER_STORE = 'players'; // { key: `${seed}`, position, flyMode, gameMode, health, inventory, selectedSlot, gameTime }
+let worldDB = null; // Stays null if IndexedDB is unavailable; the game then runs without saving
+const savedChunkData = new Map(); // Saved chunks not yet loaded into worldChunks { `${x},${z}`: Uint8Array }
+const unreadableSavedChunks = new Set(); // Keys of saved chunks that failed to load; never overwritten by saves
+let saveInProgress = null;
+
+const idbRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+const idbTransactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+});
+function openWorldDB() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CHUNK_STORE)) db.createObjectStore(CHUNK_STORE, { keyPath: 'key' });
+        if (!db.objectStoreNames.contains(PLAYER_STORE)) db.createObjectStore(PLAYER_STORE, { keyPath: 'key' });
+    };
+    return idbRequest(request);
+}
+const savedChunkPrefix = () => `${worldSeed.value}|`;
+
+// Opens the database and reads this seed's saved chunks into memory. Returns the saved player state or null.
+async function loadSavedWorld() {
+    try {
+        worldDB = await openWorldDB();
+    } catch (error) {
+        console.warn("IndexedDB unavailable, world edits won't be saved:", error);
+        return null;
+    }
+    const prefix = savedChunkPrefix();
+    const transaction = worldDB.transaction([CHUNK_STORE, PLAYER_STORE], 'readonly');
+    const [chunkRecords, playerRecord] = await Promise.all([
+        idbRequest(transaction.objectStore(CHUNK_STORE).getAll(IDBKeyRange.bound(prefix, prefix + '\uffff'))),
+        idbRequest(transaction.objectStore(PLAYER_STORE).get(String(worldSeed.value)))
+    ]);
+    for (const record of chunkRecords) {
+        savedChunkData.set(record.key.slice(prefix.length), record.data);
+    }
+    console.log(`Loaded ${chunkRecords.length} saved chunks for seed ${worldSeed.label}.`);
+    return playerRecord ?? null;
+}
+// Hands out a saved chunk the first time it is needed (null if it was never saved)
+function takeSavedChunk(chunkX, chunkZ) {
+    const key = getChunkKey(chunkX, chunkZ);
+    const data = savedChunkData.get(key);
+    if (!data) return null;
+    savedChunkData.delete(key); // From now on worldChunks holds the live copy
+    try {
+        return Chunk.deserialize(chunkX, chunkZ, data); // Older formats come back dirty, to be rewritten
+    } catch (error) {
+        // Play on generated terrain, but keep the saved copy as it is rather than saving over it
+        unreadableSavedChunks.add(key);
+        console.error(`Saved chunk ${key} is unreadable; showing generated terrain, edits to it won't be saved:`, error);
+        return null;
+    }
+}
+function capturePlayerState() {
+    const pos = player.dead ? spawnPoint : player.position; // The body, not the camera easing up a step
+    return {
+        key: String(worldSeed.value),
+        position: { x: pos.x, y: pos.y, z: pos.z },
+        flyMode: player.flyMode,
+        gameMode,
+        health: player.dead ? MAX_HEALTH : player.health, // A player who quits dead comes back respawned
+        inventory: inventory.toJSON(),
+        selectedSlot,
+        gameTime
+    };
+}
+function restorePlayerState(state) {
+    if (state.position) {
+        controls.getObject().position.set(state.position.x, state.position.y, state.position.z);
+    }
+    setGameMode(GAME_MODES.includes(state.gameMode) ? state.gameMode : 'survival');
+    player.flyMode = !!state.flyMode && !isSurvival();
+    if (Number.isInteger(state.health)) player.health = THREE.MathUtils.clamp(state.health, 1, MAX_HEALTH);
+    renderHealth();
+    if (Array.isArray(state.inventory)) { // Sessions saved before the inventory keep what their game mode gave
+        inventory.load(state.inventory, type => type !== BLOCK_TYPE.AIR && !!BLOCK_NAMES[type]);
+    }
+    if (Number.isInteger(state.selectedSlot)) selectHotbarSlot(state.selectedSlot);
+    if (Number.isFinite(state.gameTime)) gameTime = state.gameTime;
+}
+// Writes every dirty chunk and the player state in one transaction
+function saveWorld() {
+    if (!worldDB || !controls) return Promise.resolve();
+    if (saveInProgress) return saveInProgress; // Changes made meanwhile go out with the next save
+
+    const dirtyChunks = [];
+    for (const chunk of worldChunks.values()) {
+        if (chunk.dirty && !unreadableSavedChunks.has(getChunkKey(chunk.x, chunk.z))) dirtyChunks.push(chunk);
+    }
+    const transaction = worldDB.transaction([CHUNK_STORE, PLAYER_STORE], 'readwrite');
+    const chunkStore = transaction.objectStore(CHUNK_STORE);
+    const prefix = savedChunkPrefix();
+    for (const chunk of dirtyChunks) {
+        chunkStore.put({ key: prefix + getChunkKey(chunk.x, chunk.z), data: chunk.serialize() });
+        chunk.dirty = false;
+    }
+    transaction.objectStore(PLAYER_STORE).put(capturePlayerState());
+
+    saveInProgress = idbTransactionDone(transaction)
+        .then(() => {
+            if (dirtyChunks.length > 0) console.log(`Saved ${dirtyChunks.length} chunks.`);
+        })
+        .catch((error) => {
+            console.error("Saving the world failed:", error);
+            dirtyChunks.forEach(chunk => chunk.dirty = true); // Retry on the next save
+        })
+        .finally(() => { saveInProgress = null; });
+    return saveInProgress;
+}
+// Periodic autosave, plus a save whenever the page is hidden or closed
+function setupAutosave() {
+    if (!worldDB) return;
+    setInterval(saveWorld, AUTOSAVE_SECONDS * 1000);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') saveWorld();
+    });
+    window.addEventListener('beforeunload', () => { saveWorld(); });
+}
+
 // --- Collision & Interaction ---
-// Checks for collision between the player's bounding box and solid blocks
-function checkCollision(position, checkGround = false) {
-    // Define player's bounding box based on proposed position
-    const groundCheckOffset = checkGround ? 0.1 : 0; // Check slightly below feet for ground check
-    const playerBox = new THREE.Box3(
-        new THREE.Vector3(position.x - player.radius, position.y - player.height - groundCheckOffset, position.z - player.radius), // Bottom back left
-        new THREE.Vector3(position.x + player.radius, position.y, position.z + player.radius)  // Top front right
-    );
-
-    // Get the range of world block coordinates the player box could overlap with
-    const minX = Math.floor(playerBox.min.x);
-    const maxX = Math.ceil(playerBox.max.x);
-    const minY = Math.floor(playerBox.min.y);
-    const maxY = Math.ceil(playerBox.max.y);
-    const minZ = Math.floor(playerBox.min.z);
-    const maxZ = Math.ceil(playerBox.max.z);
-
-    // Iterate through potentially colliding blocks
-    for (let worldX = minX; worldX < maxX; worldX++) {
-        for (let worldY = minY; worldY < maxY; worldY++) {
-            for (let worldZ = minZ; worldZ < maxZ; worldZ++) {
-                const blockType = getBlockWorld(worldX, worldY, worldZ);
-                // Check if the block is solid
-                if (isSolid(blockType)) {
-                    // Create bounding box for the solid block
-                    const blockBox = new THREE.Box3(
-                        new THREE.Vector3(worldX, worldY, worldZ),
-                        new THREE.Vector3(worldX + 1, worldY + 1, worldZ + 1)
-                    );
-                    // Check for intersection
-                    if (playerBox.intersectsBox(blockBox)) {
-                        return true; // Collision detected
-                    }
-                }
-            }
-        }
+// The player's body is moved by the swept-AABB solver in physics.js (see animate), through these scratch
+// objects so the per-frame physics allocates nothing
+const playerBox = createBox();
+const playerMoveOptions = { stepHeight: 0, onGround: false, keepOnEdges: false };
+const playerMoveResult = createMoveResult();
+
+// Collision boxes of the world block at integer coordinates, for the solver. It asks about the same few
+// blocks many times a frame, so the last chunk found is kept (loaded chunks never leave worldChunks) and
+// only a move into another chunk builds a key string.
+let collisionChunk = null;
+function collisionBoxesAt(x, y, z) {
+    if (y < WORLD_MIN_Y || y >= WORLD_MAX_Y) return collisionBoxes(BLOCK_TYPE.AIR);
+    const chunkX = Math.floor(x / CHUNK_SIZE_X), chunkZ = Math.floor(z / CHUNK_SIZE_Z);
+    if (!collisionChunk || collisionChunk.x !== chunkX || collisionChunk.z !== chunkZ) {
+        collisionChunk = worldChunks.get(getChunkKey(chunkX, chunkZ)) ?? null;
+        if (!collisionChunk) return collisionBoxes(BLOCK_TYPE.AIR); // Unloaded
     }
-    return false; // No collision found
+    const localX = x - chunkX * CHUNK_SIZE_X, localZ = z - chunkZ * CHUNK_SIZE_Z;
+    const blockType = collisionChunk.get(localX, y, localZ);
+    return collisionBoxes(blockType, isSolid(blockType) ? collisionChunk.getMeta(localX, y, localZ) : 0);
 }
-// Helper to check if a block type is solid (collidable)
-function isSolid(blockType) {
-    // Define which block types player should collide with
-    return blockType !== BLOCK_TYPE.AIR && blockType !== BLOCK_TYPE.LEAVES; // Extend this if adding water, etc.
+// Does the player's body overlap a block when its eyes are at `position`?
+function checkCollision(position) {
+    return overlapsAny(position.x - player.radius, position.y - player.height, position.z - player.radius,
+        position.x + player.radius, position.y, position.z + player.radius, collisionBoxesAt);
 }
 // Handles mouse clicks for breaking/placing blocks
 function handleBlockInteraction(event) {
@@ -1166,8 +1786,63 @@ function handleBlockInteraction(event) {
     // Left click = 0, Middle = 1, Right click = 2
     raycastAndInteract(event.button);
 }
-// Perform voxel raycast and interact based on mouse button
+// Interact based on mouse button: left starts mining the targeted block (see updateMining), right places one
 function raycastAndInteract(button) {
+    if (button === 0) { // Left Click: Break block, while the button is held
+        mining.held = true;
+        return;
+    }
+    if (button !== 2) return;
+    const hitBlockCoords = raycastBlock();
+    if (!hitBlockCoords) return;
+    // Using a crafting table opens the 3x3 crafting grid (sneak to place against it instead)
+    if (getBlockWorld(hitBlockCoords.x, hitBlockCoords.y, hitBlockCoords.z) === BLOCK_TYPE.CRAFTING_TABLE && !moveDown) {
+        openInventory(CRAFTING_GRID_WIDTH);
+        return;
+    }
+    const blockToPlace = selectedBlock();
+    if (blockToPlace === null || isItem(blockToPlace)) return; // Empty hand, or nothing to place
+    const { origin, direction } = raycaster.ray;
+
+    // --- Right Click: Place block ---
+    // The new block goes next to the face that was hit, into air or water
+    const place = [hitBlockCoords.x, hitBlockCoords.y, hitBlockCoords.z];
+    place[rayHit.axis] += rayHit.sign;
+    const [placeX, placeY, placeZ] = place;
+    if (isSelectable(getBlockWorld(placeX, placeY, placeZ))) return;
+
+    // Slabs and stairs go into the upper half when placed against a ceiling or high up on a side;
+    // stairs climb away from the player
+    const hitY = origin.y + direction.y * rayHit.distance;
+    const upper = rayHit.axis === 1 ? rayHit.sign < 0 : hitY - placeY > 0.5;
+    const facing = Math.abs(direction.x) > Math.abs(direction.z) ? (direction.x > 0 ? 0 : 1) : (direction.z > 0 ? 2 : 3); // STAIRS_FACINGS order
+    const meta = shapeMeta(blockToPlace, facing, upper);
+
+    // --- Placement Collision Check ---
+    // Prevent placing a block whose collision boxes would overlap the player
+    const playerEyePos = player.position; // Camera position is eye level
+    const playerFeetY = playerEyePos.y - player.height;
+    const playerHeadY = playerEyePos.y;
+    const playerMinX = playerEyePos.x - player.radius;
+    const playerMaxX = playerEyePos.x + player.radius;
+    const playerMinZ = playerEyePos.z - player.radius;
+    const playerMaxZ = playerEyePos.z + player.radius;
+    const intersectsPlayer = collisionBoxes(blockToPlace, meta).some(box =>
+        playerMaxX > placeX + box[0] && playerMinX < placeX + box[3] &&
+        playerHeadY > placeY + box[1] && playerFeetY < placeY + box[4] &&
+        playerMaxZ > placeZ + box[2] && playerMinZ < placeZ + box[5]);
+
+    // Torches and plants can only stand on top of solid blocks
+    const unsupported = needsSupport(blockToPlace) && !isSolid(getBlockWorld(placeX, placeY - 1, placeZ));
+
+    if (!unsupported && !intersectsPlayer) {
+        setBlockWorld(placeX, placeY, placeZ, blockToPlace, meta);
+        if (isSurvival()) inventory.take(selectedSlot, 1); // Creative has endless blocks
+    }
+}
+// Casts a ray from the crosshair through the voxels in reach. Returns the coordinates of the first block
+// whose shape it hits, with the face it hit in rayHit, or null.
+function raycastBlock() {
     // Ray starts at camera position, direction is where camera is looking
     raycaster.setFromCamera({ x: 0, y: 0 }, camera); // Use center of screen
     const direction = raycaster.ray.direction;
@@ -1197,23 +1872,27 @@ function raycastAndInteract(button) {
     const tDeltaY = (direction.y === 0) ? Infinity : Math.abs(1 / direction.y);
     const tDeltaZ = (direction.z === 0) ? Infinity : Math.abs(1 / direction.z);
 
-    let hitBlockCoords = null; // Coordinates of the block hit
-    let prevBlockCoords = null; // Coordinates of the block *before* the hit (for placing)
+    let hitBlockCoords = null; // Coordinates of the block hit (the face hit is in rayHit)
     let dist = 0; // Distance traveled along the ray
 
+    // Skip the traversal when the ray's whole reach lies in empty sections
+    const endX = Math.floor(origin.x + direction.x * MAX_RAYCAST_DISTANCE);
+    const endY = Math.floor(origin.y + direction.y * MAX_RAYCAST_DISTANCE);
+    const endZ = Math.floor(origin.z + direction.z * MAX_RAYCAST_DISTANCE);
+    if (isRegionEmpty(Math.min(currentX, endX), Math.min(currentY, endY), Math.min(currentZ, endZ),
+        Math.max(currentX, endX), Math.max(currentY, endY), Math.max(currentZ, endZ))) return null;
+
     // Step through voxels along the ray
     for (let i = 0; i < MAX_RAYCAST_DISTANCE * 2 ; i++) { // Limit steps to avoid infinite loops
         const blockType = getBlockWorld(currentX, currentY, currentZ);
 
-        // Check if the current voxel is solid
-        if (isSolid(blockType)) {
-            hitBlockCoords = { x: currentX, y: currentY, z: currentZ };
-            break; // Found a solid block, stop traversal
+        // Check if the current voxel can be hit, and the ray meets its shape (it may pass over a slab)
+        if (isSelectable(blockType) && intersectBlockBoxes(origin, direction, currentX, currentY, currentZ,
+            blockBoxes(blockType, getBlockMetaWorld(currentX, currentY, currentZ)))) {
+            if (rayHit.distance <= MAX_RAYCAST_DISTANCE) hitBlockCoords = { x: currentX, y: currentY, z: currentZ };
+            break; // Found a solid block (or a torch), stop traversal
         }
 
-        // Store the last air block coordinates before potentially hitting a solid one
-        prevBlockCoords = { x: currentX, y: currentY, z: currentZ };
-
         // Determine which direction to step next (the one with the smallest tMax)
         let tStep;
         if (tMaxX < tMaxY) {
@@ -1242,39 +1921,457 @@ function raycastAndInteract(button) {
         // Stop if ray goes beyond max distance
         if (dist > MAX_RAYCAST_DISTANCE) break;
     }
+    return hitBlockCoords;
+}
+// Where the interaction ray last entered a block's boxes: distance along the ray, and the face it entered
+// through as the axis (0-2) and sign of that face's normal
+const rayHit = { distance: 0, axis: 0, sign: 0 };
+// Intersects a ray with a block's boxes (block-local, see blockBoxes()) and records the nearest hit in rayHit.
+// A ray starting inside a box hits it at distance 0.
+function intersectBlockBoxes(origin, direction, blockX, blockY, blockZ, boxes) {
+    const cell = [blockX, blockY, blockZ];
+    let nearest = Infinity;
+    for (const box of boxes) {
+        let entry = -Infinity, exit = Infinity, entryAxis = 0;
+        for (let axis = 0; axis < 3; axis++) { // Slab test, one axis at a time
+            const start = origin.getComponent(axis), step = direction.getComponent(axis);
+            const min = cell[axis] + box[axis], max = cell[axis] + box[axis + 3];
+            if (step === 0) {
+                if (start < min || start > max) exit = -Infinity; // Parallel to this slab and outside it
+                continue;
+            }
+            const t1 = (min - start) / step, t2 = (max - start) / step;
+            if (Math.min(t1, t2) > entry) { entry = Math.min(t1, t2); entryAxis = axis; }
+            exit = Math.min(exit, Math.max(t1, t2));
+        }
+        if (entry > exit || exit < 0) continue; // Missed, or the box lies behind the ray
+        const distance = Math.max(0, entry);
+        if (distance < nearest) {
+            nearest = distance;
+            rayHit.distance = distance;
+            rayHit.axis = entryAxis;
+            rayHit.sign = direction.getComponent(entryAxis) > 0 ? -1 : 1;
+        }
+    }
+    return nearest < Infinity;
+}
 
-    // --- Perform Action based on button and raycast result ---
-    if (button === 0 && hitBlockCoords) { // Left Click: Break block
-        setBlockWorld(hitBlockCoords.x, hitBlockCoords.y, hitBlockCoords.z, BLOCK_TYPE.AIR);
-    } else if (button === 2 && hitBlockCoords && prevBlockCoords) { // Right Click: Place block
-        // --- Placement Collision Check ---
-        // Prevent placing block inside the player
-        const playerEyePos = player.position; // Camera position is eye level
-        const playerFeetY = playerEyePos.y - player.height;
-        const playerHeadY = playerEyePos.y;
-        const playerMinX = playerEyePos.x - player.radius;
-        const playerMaxX = playerEyePos.x + player.radius;
-        const playerMinZ = playerEyePos.z - player.radius;
-        const playerMaxZ = playerEyePos.z + player.radius;
-
-        const placeX = prevBlockCoords.x;
-        const placeY = prevBlockCoords.y;
-        const placeZ = prevBlockCoords.z;
-
-        // Check if player's bounding box overlaps with the placement coordinates
-        const intersectsX = playerMaxX > placeX && playerMinX < placeX + 1;
-        const intersectsZ = playerMaxZ > placeZ && playerMinZ < placeZ + 1;
-        const intersectsY = playerHeadY > placeY && playerFeetY < placeY + 1; // Check full height
-
-        if (!(intersectsX && intersectsY && intersectsZ)) {
-            // Place the block if no collision with player
-            setBlockWorld(prevBlockCoords.x, prevBlockCoords.y, prevBlockCoords.z, blockToPlace);
-        } else {
-            // console.log("Cannot place block inside player."); // Optional feedback
+// --- Block Breaking ---
+// Holding the left button mines the block under the crosshair. It breaks after its hardness in seconds
+// (instantly at 0, never at Infinity) while a crack overlay on its boxes shows the progress. Looking at
+// another block or letting go of the button starts over.
+const CRACK_STAGES = 10;
+const BREAK_COOLDOWN = 0.2; // Seconds after a block breaks before the next one starts, so a held click doesn't mow
+const mining = { held: false, x: 0, y: 0, z: 0, type: null, progress: 0, cooldown: 0 };
+let crackOverlay = null; // Group with one box per shape box of the targeted block
+let crackMaterial = null;
+const crackTextures = []; // One per stage, more cracked each time
+
+function createCrackOverlay() {
+    // Crack lines wander out from the middle; each stage draws a longer prefix of the same lines
+    const T = TEXTURE_SIZE, P = T / 16;
+    const segments = [];
+    for (let crack = 0; crack < 6; crack++) {
+        let x = T / 2 + (Math.random() - 0.5) * P * 2, y = T / 2 + (Math.random() - 0.5) * P * 2;
+        let angle = (crack / 6) * Math.PI * 2 + Math.random() * 0.6;
+        for (let i = 0; i < 8; i++) {
+            const length = P * (1 + Math.random() * 1.5);
+            const nextX = x + Math.cos(angle) * length, nextY = y + Math.sin(angle) * length;
+            segments.push({ x, y, nextX, nextY, order: i + Math.random() }); // Roughly inside-out
+            x = nextX; y = nextY;
+            angle += (Math.random() - 0.5) * 1.2;
+        }
+    }
+    segments.sort((a, b) => a.order - b.order);
+    for (let stage = 0; stage < CRACK_STAGES; stage++) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = T;
+        const ctx = canvas.getContext('2d');
+        ctx.strokeStyle = 'rgba(0,0,0,0.75)';
+        ctx.lineWidth = Math.max(1, P * 0.6);
+        ctx.lineCap = 'square';
+        ctx.beginPath();
+        for (const segment of segments.slice(0, Math.ceil(segments.length * (stage + 1) / CRACK_STAGES))) {
+            ctx.moveTo(Math.floor(segment.x), Math.floor(segment.y));
+            ctx.lineTo(Math.floor(segment.nextX), Math.floor(segment.nextY));
         }
+        ctx.stroke();
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.magFilter = THREE.NearestFilter; // Pixelated, like the blocks
+        texture.minFilter = THREE.NearestFilter;
+        texture.colorSpace = THREE.SRGBColorSpace;
+        crackTextures.push(texture);
     }
+    crackMaterial = new THREE.MeshBasicMaterial({
+        map: crackTextures[0],
+        transparent: true,
+        depthWrite: false,
+        polygonOffset: true, // Drawn just in front of the block's faces instead of fighting them
+        polygonOffsetFactor: -1,
+        polygonOffsetUnits: -1
+    });
+    crackOverlay = new THREE.Group();
+    crackOverlay.name = "CrackOverlay";
+    crackOverlay.visible = false;
+    scene.add(crackOverlay);
+}
+// Stops mining and forgets the progress
+function resetMining() {
+    mining.type = null;
+    mining.progress = 0;
+    if (crackOverlay) crackOverlay.visible = false;
+}
+// Advances mining of the targeted block while the button is held; called every frame
+function updateMining(delta) {
+    mining.cooldown = Math.max(0, mining.cooldown - delta);
+    if (!mining.held || !controls.isLocked) {
+        if (mining.type !== null) resetMining();
+        return;
+    }
+    const hit = raycastBlock();
+    const type = hit ? getBlockWorld(hit.x, hit.y, hit.z) : null;
+    if (!hit || hit.x !== mining.x || hit.y !== mining.y || hit.z !== mining.z || type !== mining.type) {
+        resetMining(); // New target (or none): start over
+        if (!hit) return;
+        mining.x = hit.x; mining.y = hit.y; mining.z = hit.z;
+        mining.type = type;
+    }
+    if (mining.cooldown > 0) return;
+
+    const hardness = blockHardness(type);
+    mining.progress += hardness > 0 ? delta / hardness : 1;
+    if (mining.progress >= 1) {
+        breakBlock(hit.x, hit.y, hit.z);
+        resetMining();
+        mining.cooldown = BREAK_COOLDOWN;
+        return;
+    }
+    showCrackOverlay(hit.x, hit.y, hit.z, type, Math.floor(mining.progress * CRACK_STAGES));
+}
+// Covers the boxes of the block being mined with the crack texture of a stage
+function showCrackOverlay(worldX, worldY, worldZ, blockType, stage) {
+    const boxes = blockBoxes(blockType, getBlockMetaWorld(worldX, worldY, worldZ));
+    while (crackOverlay.children.length < boxes.length) {
+        crackOverlay.add(new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), crackMaterial));
+    }
+    crackOverlay.children.forEach((mesh, i) => {
+        mesh.visible = i < boxes.length;
+        if (!mesh.visible) return;
+        const box = boxes[i];
+        const grow = 0.002; // Slightly larger than the block, so the cracks sit on its surface
+        mesh.scale.set(box[3] - box[0] + grow, box[4] - box[1] + grow, box[5] - box[2] + grow);
+        mesh.position.set((box[0] + box[3]) / 2, (box[1] + box[4]) / 2, (box[2] + box[5]) / 2);
+    });
+    crackOverlay.position.set(worldX, worldY, worldZ);
+    crackMaterial.map = crackTextures[Math.min(stage, CRACK_STAGES - 1)];
+    crackOverlay.visible = true;
 }
 
+// --- Inventory & Hotbar ---
+// The player's stacks live in an Inventory (inventory.js). The HUD shows its first HOTBAR_SIZE slots with
+// the selected one highlighted (mouse wheel or 1-9 to change it), and E opens the whole inventory, where
+// stacks can be dragged between slots. Broken blocks go into it, and placing uses up the selected stack.
+const inventory = new Inventory();
+let selectedSlot = 0; // Hotbar slot blocks are placed from
+let inventoryOpen = false;
+const hotbarSlotElements = []; // HUD slot elements, by slot index
+const inventorySlotElements = []; // Inventory screen slot elements, by slot index
+
+// --- Crafting ---
+// The inventory screen has a 2x2 crafting grid; using a crafting table opens it with a 3x3 one. The grid is
+// an Inventory of its own, so stacks drag in and out of it like between inventory slots, and the recipe
+// engine (crafting.js) says what it makes. Recipes come from RECIPE_FILE.
+const RECIPE_FILE = 'recipes.json';
+const CRAFTING_GRID_WIDTH = 3; // The 2x2 grid uses the top-left corner
+const craftingGrid = new Inventory(CRAFTING_GRID_WIDTH * CRAFTING_GRID_WIDTH);
+let craftingSize = 2; // Grid width in use: 2 from the inventory, 3 at a crafting table
+let recipes = []; // Compiled recipes (see compileRecipes), empty until the recipe file has loaded
+const craftingSlotElements = []; // Crafting grid slot elements, by grid slot
+let craftingResultElement = null;
+const slotContainers = { inventory, crafting: craftingGrid }; // Drag-and-drop sources and targets by name
+
+async function loadRecipes() {
+    try {
+        const response = await fetch(RECIPE_FILE);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        recipes = compileRecipes(await response.json(), name => BLOCK_TYPE[name]);
+        console.log(`Loaded ${recipes.length} recipes.`);
+    } catch (error) {
+        console.warn(`Could not load ${RECIPE_FILE}, crafting is unavailable:`, error);
+    }
+}
+// Block types in the grid area in use, row by row, for matchRecipe()
+function craftingGridTypes() {
+    const types = [];
+    for (let y = 0; y < craftingSize; y++) {
+        for (let x = 0; x < craftingSize; x++) types.push(craftingGrid.get(y * CRAFTING_GRID_WIDTH + x)?.type ?? null);
+    }
+    return types;
+}
+function craftingRecipe() {
+    return matchRecipe(recipes, craftingGridTypes(), craftingSize);
+}
+// Crafts the grid's recipe once: takes one of each ingredient and adds the result to the inventory,
+// unless it doesn't fit
+function craft() {
+    const recipe = craftingRecipe();
+    if (!recipe || inventory.spaceFor(recipe.result.type) < recipe.result.count) return;
+    for (let y = 0; y < craftingSize; y++) {
+        for (let x = 0; x < craftingSize; x++) craftingGrid.take(y * CRAFTING_GRID_WIDTH + x, 1);
+    }
+    inventory.add(recipe.result.type, recipe.result.count);
+}
+// Puts what's left in the crafting grid back into the inventory (anything that doesn't fit stays in the grid)
+function returnCraftingGrid() {
+    for (let i = 0; i < craftingGrid.slots.length; i++) {
+        const stack = craftingGrid.get(i);
+        if (stack) craftingGrid.set(i, stack.type, inventory.add(stack.type, stack.count));
+    }
+}
+
+// Block type in the selected hotbar slot, or null if it's empty
+function selectedBlock() {
+    return inventory.get(selectedSlot)?.type ?? null;
+}
+function setupInventory() {
+    const hotbar = document.getElementById('hotbar');
+    const grid = document.getElementById('inventoryGrid');
+    const hotbarRow = document.getElementById('inventoryHotbar');
+    const craftingGridElement = document.getElementById('craftingGrid');
+    craftingResultElement = document.getElementById('craftingResult');
+    if (!hotbar || !grid || !hotbarRow || !craftingGridElement || !craftingResultElement) return;
+    for (let i = 0; i < HOTBAR_SIZE; i++) hotbarSlotElements.push(hotbar.appendChild(createSlotElement('inventory', i)));
+    // On the inventory screen the hotbar is the bottom row, below the main inventory
+    for (let i = 0; i < INVENTORY_SIZE; i++) {
+        inventorySlotElements.push((i < HOTBAR_SIZE ? hotbarRow : grid).appendChild(createSlotElement('inventory', i, true)));
+    }
+    for (let i = 0; i < craftingGrid.slots.length; i++) {
+        craftingSlotElements.push(craftingGridElement.appendChild(createSlotElement('crafting', i, true)));
+    }
+    craftingResultElement.appendChild(document.createElement('canvas')).width = TEXTURE_SIZE;
+    craftingResultElement.firstChild.height = TEXTURE_SIZE;
+    craftingResultElement.appendChild(document.createElement('span')).className = 'slot-count';
+    craftingResultElement.addEventListener('click', craft);
+    inventory.onChange(renderInventory);
+    craftingGrid.onChange(renderInventory); // A new player starts empty-handed, in survival
+}
+// Switching to creative hands out a stack of every block with a hotbarKey the inventory has none of, in that
+// hotbar slot if it's free. Survival players only get what they mine and craft.
+function giveCreativeKit() {
+    const held = new Set();
+    for (let i = 0; i < INVENTORY_SIZE; i++) held.add(inventory.get(i)?.type);
+    const rest = [];
+    for (const block of getBlockDefinitions()) {
+        if (!block.hotbarKey || held.has(block.id)) continue;
+        const slot = Number(block.hotbarKey) - 1;
+        if (slot >= 0 && slot < HOTBAR_SIZE && !inventory.get(slot)) inventory.set(slot, block.id, MAX_STACK_SIZE);
+        else rest.push(block.id);
+    }
+    for (const type of rest) inventory.add(type, MAX_STACK_SIZE);
+}
+// A slot of one of the slotContainers: block icon and stack count. Inventory screen slots can be dragged
+// onto each other, also between the inventory and the crafting grid.
+function createSlotElement(container, index, draggable = false) {
+    const element = document.createElement('div');
+    element.className = 'slot';
+    const icon = element.appendChild(document.createElement('canvas'));
+    icon.width = icon.height = TEXTURE_SIZE;
+    element.appendChild(document.createElement('span')).className = 'slot-count';
+    if (draggable) {
+        element.addEventListener('dragstart', (event) => {
+            event.dataTransfer.setData('text/plain', `${container}:${index}`);
+            event.dataTransfer.effectAllowed = 'move';
+        });
+        element.addEventListener('dragover', (event) => {
+            event.preventDefault(); // Allow the drop
+            event.dataTransfer.dropEffect = 'move';
+        });
+        element.addEventListener('drop', (event) => {
+            event.preventDefault();
+            const [source, from] = event.dataTransfer.getData('text/plain').split(':');
+            if (slotContainers[source] && Number.isInteger(Number(from))) {
+                slotContainers[source].move(Number(from), index, slotContainers[container]);
+            }
+        });
+    }
+    return element;
+}
+// Draws a stack (or nothing) into a slot element
+function drawSlot(element, stack) {
+    const icon = element.firstChild, ctx = icon.getContext('2d');
+    ctx.clearRect(0, 0, icon.width, icon.height);
+    if (stack) {
+        // The block's front face, from the resource pack if it has one
+        const image = blockTexture(stack.type, blockFaceSlot(stack.type, BLOCK_FACES.indexOf('pz'))).image;
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(image, 0, 0, icon.width, icon.height);
+    }
+    element.lastChild.textContent = stack && stack.count > 1 ? stack.count : '';
+    element.title = stack ? BLOCK_NAMES[stack.type] : '';
+    element.draggable = !!stack;
+}
+// Redraws every slot, the hotbar selection and the selected block's name
+function renderInventory() {
+    hotbarSlotElements.forEach((element, i) => {
+        drawSlot(element, inventory.get(i));
+        element.classList.toggle('selected', i === selectedSlot);
+    });
+    if (inventoryOpen) {
+        inventorySlotElements.forEach((element, i) => drawSlot(element, inventory.get(i)));
+        craftingSlotElements.forEach((element, i) => {
+            element.hidden = i % CRAFTING_GRID_WIDTH >= craftingSize || Math.floor(i / CRAFTING_GRID_WIDTH) >= craftingSize;
+            drawSlot(element, craftingGrid.get(i));
+        });
+        document.getElementById('craftingGrid').style.gridTemplateColumns = `repeat(${craftingSize}, 44px)`;
+        const recipe = craftingRecipe();
+        drawSlot(craftingResultElement, recipe && { type: recipe.result.type, count: recipe.result.count });
+        craftingResultElement.draggable = false; // Click it to craft
+    }
+    const label = document.getElementById('hotbarLabel');
+    if (label) label.textContent = BLOCK_NAMES[selectedBlock()] ?? '';
+}
+function selectHotbarSlot(slot) {
+    selectedSlot = THREE.MathUtils.euclideanModulo(slot, HOTBAR_SIZE);
+    renderInventory();
+}
+// Adds what breaking a block yields to the inventory (lost if it's full)
+function collectBlockDrop(blockType) {
+    const drop = blockDrop(blockType);
+    if (drop !== null) inventory.add(drop, 1);
+}
+// The inventory screen replaces the pause screen while the pointer is released for it (see setupControls).
+// `gridSize` is the crafting grid's width: 3 when opened at a crafting table.
+function openInventory(gridSize = 2) {
+    if (!controls.isLocked) return;
+    inventoryOpen = true;
+    craftingSize = gridSize;
+    renderInventory();
+    controls.unlock();
+}
+function closeInventory(resume = true) {
+    inventoryOpen = false;
+    returnCraftingGrid();
+    document.getElementById('inventoryScreen').hidden = true;
+    if (resume) controls.lock(); // The pause screen shows instead if the browser refuses
+    else document.getElementById('blocker').style.display = 'flex';
+}
+
+// --- Game Modes & Health ---
+// Creative: free flight (F), blocks are never used up and nothing hurts. Survival: no flying, and the player
+// has MAX_HEALTH points (two per heart) that falls and being stuck inside blocks take away and that slowly
+// come back; at zero they die and respawn at the world spawn point. Picked on the pause screen, saved with
+// the player.
+const GAME_MODES = ['survival', 'creative'];
+const MAX_HEALTH = 20; // Half hearts
+const SAFE_FALL_DISTANCE = 3; // Blocks a fall can cover unhurt; each block further costs a half heart
+const SUFFOCATION_INTERVAL = 0.5; // Seconds per half heart lost with the head inside a block
+const REGENERATION_INTERVAL = 4; // Seconds per half heart healed
+let gameMode = 'survival';
+const spawnPoint = new THREE.Vector3(); // Where the player (eye position) starts and respawns, set in init()
+let suffocationTimer = 0;
+let regenerationTimer = 0;
+
+function isSurvival() {
+    return gameMode === 'survival';
+}
+function setGameMode(mode) {
+    if (!GAME_MODES.includes(mode)) return;
+    const changed = mode !== gameMode;
+    gameMode = mode;
+    if (changed && mode === 'creative') giveCreativeKit(); // A saved inventory loaded after this replaces it
+    if (isSurvival()) player.flyMode = false; // Fall from wherever the player was flying
+    const select = document.getElementById('gameModeSelect');
+    if (select) select.value = mode;
+    renderHealth();
+}
+// Takes health in survival; `cause` ends up on the death screen
+function damagePlayer(amount, cause) {
+    if (!isSurvival() || player.dead || amount <= 0) return;
+    player.health = Math.max(0, player.health - amount);
+    regenerationTimer = 0; // Healing restarts after every hit
+    const overlay = document.getElementById('damageOverlay');
+    if (overlay) { // Restart the red flash
+        overlay.classList.remove('flash');
+        void overlay.offsetWidth;
+        overlay.classList.add('flash');
+    }
+    if (player.health === 0) killPlayer(cause);
+    renderHealth();
+}
+// Fall damage from the speed the player hits the ground with: v² / 2g is the height it takes to reach it
+function applyFallDamage(impactSpeed, position) {
+    // Water breaks the fall (the player may only reach it in the frame they land)
+    if (getBlockWorld(position.x, position.y - player.height + 0.4, position.z) === BLOCK_TYPE.WATER) return;
+    const fallDistance = impactSpeed * impactSpeed / (2 * gravity);
+    damagePlayer(Math.floor(fallDistance - SAFE_FALL_DISTANCE), 'fell from a high place');
+}
+// Suffocation and regeneration, while playing
+function updateHealth(delta) {
+    if (!isSurvival() || player.dead) return;
+    const eye = player.position;
+    const headBlock = getBlockWorld(eye.x, eye.y, eye.z);
+    if (isSolid(headBlock) && isOpaqueCube(headBlock)) {
+        suffocationTimer += delta;
+        while (suffocationTimer >= SUFFOCATION_INTERVAL && !player.dead) {
+            suffocationTimer -= SUFFOCATION_INTERVAL;
+            damagePlayer(1, 'suffocated in a wall');
+        }
+    } else {
+        suffocationTimer = 0;
+    }
+    if (player.health < MAX_HEALTH && !player.dead) {
+        regenerationTimer += delta;
+        if (regenerationTimer >= REGENERATION_INTERVAL) {
+            regenerationTimer = 0;
+            player.health++;
+            renderHealth();
+        }
+    }
+}
+// Releases the pointer; the unlock handler shows the death screen instead of the pause screen
+function killPlayer(cause) {
+    player.dead = true;
+    player.velocity.set(0, 0, 0);
+    const message = document.getElementById('deathMessage');
+    if (message) message.textContent = `You ${cause}.`;
+    console.log(`Player ${cause}.`);
+    controls.unlock();
+}
+function respawnPlayer() {
+    player.dead = false;
+    player.health = MAX_HEALTH;
+    suffocationTimer = regenerationTimer = 0;
+    player.velocity.set(0, 0, 0);
+    player.stepOffset = 0;
+    // The spawn point may have been built over since: rise to the first free spot
+    player.position.copy(spawnPoint);
+    for (let i = 0; i < WORLD_HEIGHT && checkCollision(player.position); i++) player.position.y += 1;
+    controls.getObject().position.copy(player.position);
+    document.getElementById('deathScreen').hidden = true;
+    renderHealth();
+    controls.lock(); // The pause screen shows instead if the browser refuses
+}
+function setupHealth() {
+    const hearts = document.getElementById('health');
+    if (hearts) {
+        for (let i = 0; i < MAX_HEALTH / 2; i++) hearts.appendChild(document.createElement('span')).className = 'heart';
+    }
+    const respawnButton = document.getElementById('respawnButton');
+    if (respawnButton) respawnButton.addEventListener('click', respawnPlayer);
+    const select = document.getElementById('gameModeSelect');
+    if (select) select.addEventListener('change', () => setGameMode(select.value));
+    setGameMode(gameMode);
+}
+// Hearts HUD, survival only: each heart is two points of health
+function renderHealth() {
+    const hearts = document.getElementById('health');
+    if (!hearts) return;
+    hearts.hidden = !isSurvival();
+    [...hearts.children].forEach((heart, i) => {
+        const points = player.health - i * 2;
+        heart.className = `heart ${points >= 2 ? 'full' : points === 1 ? 'half' : 'empty'}`;
+    });
+}
 
 // --- Event Handlers ---
 function onWindowResize() {
@@ -1286,30 +2383,38 @@ function onWindowResize() {
 function onKeyDown(event) {
     switch (event.code) {
         // Movement
-        case 'KeyW': moveForward = true; break;
+        case 'KeyW':
+            if (!event.repeat) { // A second press in quick succession sprints
+                if (event.timeStamp - lastForwardPress < SPRINT_DOUBLE_TAP_MS) player.sprinting = true;
+                lastForwardPress = event.timeStamp;
+            }
+            moveForward = true;
+            break;
         case 'KeyA': moveLeft = true; break;
         case 'KeyS': moveBackward = true; break;
         case 'KeyD': moveRight = true; break;
-        // Vertical / Jump / Crouch
+        // Vertical / Jump / Sneak
         case 'Space': moveUp = true; break;
         case 'ShiftLeft': case 'ShiftRight': moveDown = true; break;
+        case 'ControlLeft': case 'ControlRight': moveSprint = true; break;
         // Toggles
         case 'KeyF':
+            if (isSurvival()) break; // Flying is a creative privilege
             player.flyMode = !player.flyMode;
             player.velocity.y = 0; // Prevent residual jump/fall velocity when toggling
             console.log("Fly mode:", player.flyMode);
             break;
-        // Block Selection
-        case 'Digit1': blockToPlace = BLOCK_TYPE.STONE; break;
-        case 'Digit2': blockToPlace = BLOCK_TYPE.DIRT; break;
-        case 'Digit3': blockToPlace = BLOCK_TYPE.GRASS; break;
-        case 'Digit4': blockToPlace = BLOCK_TYPE.WOOD; break;
-        case 'Digit5': blockToPlace = BLOCK_TYPE.LEAVES; break;
-    }
-    // Update block info display if a digit key was pressed
-    if (event.code.startsWith('Digit') && blockInfoDiv) {
-        blockInfoDiv.textContent = `Placing: ${BLOCK_NAMES[blockToPlace]}`;
+        case 'KeyE':
+            if (inventoryOpen) closeInventory();
+            else openInventory();
+            break;
+        case 'Escape': // Leaving the pointer lock already pauses; this leaves the inventory screen
+            if (inventoryOpen) closeInventory(false);
+            break;
     }
+    // Hotbar Selection: digit keys 1-9 pick a slot
+    const digit = event.code.startsWith('Digit') ? Number(event.code.slice(5)) : 0;
+    if (digit >= 1 && digit <= HOTBAR_SIZE) selectHotbarSlot(digit - 1);
 }
 function onKeyUp(event) {
     switch (event.code) {
@@ -1319,12 +2424,20 @@ function onKeyUp(event) {
         case 'KeyD': moveRight = false; break;
         case 'Space': moveUp = false; break;
         case 'ShiftLeft': case 'ShiftRight': moveDown = false; break;
+        case 'ControlLeft': case 'ControlRight': moveSprint = false; break;
     }
 }
 function onMouseDown(event) {
     // Forward click event to interaction handler
     handleBlockInteraction(event);
 }
+function onMouseUp(event) {
+    if (event.button === 0) mining.held = false; // Stop breaking
+}
+function onWheel(event) {
+    if (!controls || !controls.isLocked || event.deltaY === 0) return;
+    selectHotbarSlot(selectedSlot + Math.sign(event.deltaY)); // Scroll through the hotbar
+}
 
 // --- Light Target Update ---
 // Centers the directional light target on the player's current chunk area
@@ -1446,6 +2559,16 @@ function updateAtmosphere(delta) {
         starsDiv.style.opacity = starsOpacity;
     }
 }
+// Overrides fog and background with a short blue haze while the camera is underwater
+function updateUnderwaterEffects() {
+    if (!scene || !scene.fog || !player.headInWater) return;
+    // Darken the tint at night along with everything else
+    const brightness = hemisphereLight ? THREE.MathUtils.clamp(hemisphereLight.intensity, 0.25, 1.0) : 1.0;
+    scene.fog.color.copy(underwaterColor).multiplyScalar(brightness);
+    scene.fog.near = 0.5;
+    scene.fog.far = 14;
+    scene.background = scene.fog.color;
+}
 // Helper to format game time (0.0-1.0) into HH:MM string
 function formatTime(time) {
     const hours = Math.floor(time * 24);
@@ -1454,6 +2577,16 @@ function formatTime(time) {
 }
 
 
+// --- Sprint Field of View ---
+// Widens the view while sprinting, easing in and out
+function updateSprintFov(delta) {
+    if (!camera) return;
+    const targetFov = BASE_FOV * (player.sprinting ? SPRINT_FOV_SCALE : 1);
+    if (Math.abs(targetFov - camera.fov) < 0.01) return;
+    camera.fov += (targetFov - camera.fov) * Math.min(1, 10 * delta);
+    camera.updateProjectionMatrix();
+}
+
 // --- Update Torch Animation ---
 // Applies bobbing, flickering light, and flame animation
 function updateTorchAnimation(delta, time) {
@@ -1471,12 +2604,15 @@ function updateTorchAnimation(delta, time) {
     const isMovingY = Math.abs(player.velocity.y) > 0.1;
     // Apply bobbing if walking on ground OR flying and moving
     const applyBob = (isMovingXZ && player.onGround) || (player.flyMode && (isMovingXZ || isMovingY));
+    // Sprinting bobs faster and wider, sneaking slower and smaller
+    const bobSpeed = torchBobbingSpeed * (player.sprinting ? 1.4 : player.sneaking ? 0.6 : 1);
+    const bobAmount = torchBobbingAmount * (player.sprinting ? 1.8 : player.sneaking ? 0.5 : 1);
 
     if (applyBob) {
-        torchBobbingAngle += torchBobbingSpeed * delta;
+        torchBobbingAngle += bobSpeed * delta;
         // Apply sinusoidal motion for bobbing
-        torchMesh.position.y += Math.sin(torchBobbingAngle) * torchBobbingAmount; // Vertical bob
-        torchMesh.position.x -= Math.cos(torchBobbingAngle * 0.5) * torchBobbingAmount * 0.5; // Slight horizontal sway
+        torchMesh.position.y += Math.sin(torchBobbingAngle) * bobAmount; // Vertical bob
+        torchMesh.position.x -= Math.cos(torchBobbingAngle * 0.5) * bobAmount * 0.5; // Slight horizontal sway
     } else {
         torchBobbingAngle = 0; // Reset angle when not moving
     }
@@ -1540,6 +2676,199 @@ function updateTorchParticles(delta) {
 }
 
 
+// --- Placed Torches ---
+// TORCH blocks aren't cubes, so the chunk mesher skips them and they are drawn here as instanced models:
+// one InstancedMesh for the sticks and one for the flames, covering the torches of every shown chunk.
+// Their glow reaches the terrain in two ways. The block-light channel bakes a warm light into the chunk
+// vertex colours around every torch, and the TORCH_LIGHT_COUNT torches nearest the camera also get a real
+// flickering PointLight and flame particles. The number of lights never changes (spare ones are just
+// switched off), so materials don't recompile as torches come and go, however many are placed.
+const TORCH_LIGHT_COUNT = 4;
+const TORCH_LIGHT_INTENSITY = 4.0;
+const TORCH_LIGHT_DISTANCE = 10;
+const TORCH_STICK_HEIGHT = 0.625; // Blocks
+const TORCH_STICK_WIDTH = 0.125;
+const TORCH_FLAME_RADIUS = 0.07;
+const TORCH_PARTICLES_PER_LIGHT = 16;
+const TORCH_NEAREST_INTERVAL = 0.25; // Seconds between picking the torches nearest the camera
+const placedTorches = new Map(); // Shown chunks only { `${x},${z}`: Map of block key -> { x, y, z } }
+let torchStickInstances = null, torchFlameInstances = null; // Rebuilt (and grown) when torches change
+let torchStickGeometry, torchFlameGeometry, torchStickMaterial, torchFlameMaterial;
+let torchInstancesDirty = false;
+const torchLights = []; // { light, torch, phase }; torch is null while the light is off
+let nearestTorchTimer = 0;
+let torchParticleSystem, torchParticleData; // { positions, velocities, lifetimes } for TORCH_LIGHT_COUNT flames
+
+function createPlacedTorchRenderer() {
+    torchStickGeometry = new THREE.BoxGeometry(TORCH_STICK_WIDTH, TORCH_STICK_HEIGHT, TORCH_STICK_WIDTH);
+    torchStickGeometry.translate(0, TORCH_STICK_HEIGHT / 2, 0); // Origin at the foot of the stick
+    torchFlameGeometry = new THREE.SphereGeometry(TORCH_FLAME_RADIUS, 8, 6);
+    const wood = loadedMaterials[BLOCK_TYPE.WOOD];
+    torchStickMaterial = Array.isArray(wood) ? wood[0] : new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.8 });
+    torchFlameMaterial = new THREE.MeshBasicMaterial({ // Same glowing look as the viewmodel flame
+        color: 0xFFA500,
+        blending: THREE.AdditiveBlending,
+        transparent: true,
+        opacity: 0.85,
+        depthWrite: false
+    });
+
+    for (let i = 0; i < TORCH_LIGHT_COUNT; i++) {
+        const light = new THREE.PointLight(0xffaa33, 0, TORCH_LIGHT_DISTANCE, 2);
+        light.castShadow = false;
+        scene.add(light);
+        torchLights.push({ light, torch: null, phase: i * 1.7 }); // Phases keep neighbouring flames out of step
+    }
+
+    const particleTotal = TORCH_LIGHT_COUNT * TORCH_PARTICLES_PER_LIGHT;
+    torchParticleData = {
+        positions: new Float32Array(particleTotal * 3),
+        velocities: new Float32Array(particleTotal * 3),
+        lifetimes: new Float32Array(particleTotal) // All expired, so they spawn at a flame on the first update
+    };
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(torchParticleData.positions, 3));
+    geometry.setDrawRange(0, 0);
+    torchParticleSystem = new THREE.Points(geometry, new THREE.PointsMaterial({
+        color: 0xffcc66,
+        size: 0.04,
+        blending: THREE.AdditiveBlending,
+        transparent: true,
+        depthWrite: false,
+        sizeAttenuation: true
+    }));
+    torchParticleSystem.name = "PlacedTorchParticles";
+    torchParticleSystem.frustumCulled = false; // Positions move every frame; the bounds would go stale
+    scene.add(torchParticleSystem);
+}
+// Registers the torches of a chunk that has just been shown
+function showChunkTorches(chunkX, chunkZ) {
+    const key = getChunkKey(chunkX, chunkZ);
+    const chunk = worldChunks.get(key);
+    const torches = new Map();
+    if (chunk) {
+        for (const [lx, y, lz] of findBlocks(chunk, BLOCK_TYPE.TORCH)) {
+            const x = chunkX * CHUNK_SIZE_X + lx, z = chunkZ * CHUNK_SIZE_Z + lz;
+            torches.set(getBlockKey(x, y, z), { x, y, z });
+        }
+    }
+    placedTorches.set(key, torches);
+    if (torches.size > 0) torchInstancesDirty = true;
+}
+function hideChunkTorches(key) {
+    const torches = placedTorches.get(key);
+    if (!torches) return;
+    placedTorches.delete(key);
+    if (torches.size > 0) torchInstancesDirty = true;
+}
+// Adds or removes one torch after a block edit (chunks that aren't shown pick theirs up when meshed)
+function updatePlacedTorch(chunkKey, worldX, worldY, worldZ, present) {
+    const torches = placedTorches.get(chunkKey);
+    if (!torches) return;
+    const blockKey = getBlockKey(worldX, worldY, worldZ);
+    if (present) torches.set(blockKey, { x: worldX, y: worldY, z: worldZ });
+    else torches.delete(blockKey);
+    torchInstancesDirty = true;
+    nearestTorchTimer = 0; // A new or removed torch may change which ones get real lights
+}
+// Writes every shown torch into the instanced meshes, replacing them with larger ones when full
+function rebuildTorchInstances() {
+    torchInstancesDirty = false;
+    let count = 0;
+    for (const torches of placedTorches.values()) count += torches.size;
+
+    if (!torchStickInstances || torchStickInstances.instanceMatrix.count < count) {
+        const capacity = Math.max(64, 2 ** Math.ceil(Math.log2(count)));
+        for (const instances of [torchStickInstances, torchFlameInstances]) {
+            if (!instances) continue;
+            scene.remove(instances);
+            instances.dispose();
+        }
+        torchStickInstances = new THREE.InstancedMesh(torchStickGeometry, torchStickMaterial, capacity);
+        torchFlameInstances = new THREE.InstancedMesh(torchFlameGeometry, torchFlameMaterial, capacity);
+        for (const instances of [torchStickInstances, torchFlameInstances]) {
+            instances.frustumCulled = false; // Instances are spread over every shown chunk
+            scene.add(instances);
+        }
+        torchStickInstances.name = "PlacedTorchSticks";
+        torchFlameInstances.name = "PlacedTorchFlames";
+    }
+
+    const matrix = new THREE.Matrix4();
+    let i = 0;
+    for (const torches of placedTorches.values()) {
+        for (const { x, y, z } of torches.values()) {
+            torchStickInstances.setMatrixAt(i, matrix.makeTranslation(x + 0.5, y, z + 0.5));
+            torchFlameInstances.setMatrixAt(i, matrix.makeTranslation(x + 0.5, y + TORCH_STICK_HEIGHT + TORCH_FLAME_RADIUS * 0.5, z + 0.5));
+            i++;
+        }
+    }
+    torchStickInstances.count = torchFlameInstances.count = count;
+    torchStickInstances.instanceMatrix.needsUpdate = true;
+    torchFlameInstances.instanceMatrix.needsUpdate = true;
+}
+// Hands the real lights to the torches nearest the camera (the others keep only their baked light)
+function assignTorchLights() {
+    const camPos = controls.getObject().position;
+    const nearest = []; // Up to TORCH_LIGHT_COUNT { torch, distSq }, nearest first
+    for (const torches of placedTorches.values()) {
+        for (const torch of torches.values()) {
+            const dx = torch.x + 0.5 - camPos.x, dy = torch.y + TORCH_STICK_HEIGHT - camPos.y, dz = torch.z + 0.5 - camPos.z;
+            const distSq = dx * dx + dy * dy + dz * dz;
+            if (nearest.length === TORCH_LIGHT_COUNT && distSq >= nearest[nearest.length - 1].distSq) continue;
+            let at = nearest.length;
+            while (at > 0 && nearest[at - 1].distSq > distSq) at--;
+            nearest.splice(at, 0, { torch, distSq });
+            if (nearest.length > TORCH_LIGHT_COUNT) nearest.pop();
+        }
+    }
+    torchLights.forEach((slot, i) => {
+        slot.torch = nearest[i]?.torch ?? null;
+        if (slot.torch) slot.light.position.set(slot.torch.x + 0.5, slot.torch.y + TORCH_STICK_HEIGHT + TORCH_FLAME_RADIUS, slot.torch.z + 0.5);
+    });
+    torchParticleSystem.geometry.setDrawRange(0, nearest.length * TORCH_PARTICLES_PER_LIGHT); // Lit slots come first
+}
+// Per-frame update: instance changes, light assignment, flicker and the flame particles of the lit torches
+function updatePlacedTorches(delta, time) {
+    if (torchLights.length === 0) return; // Renderer not created (init failed)
+    if (torchInstancesDirty) rebuildTorchInstances();
+    nearestTorchTimer -= delta;
+    if (nearestTorchTimer <= 0) {
+        nearestTorchTimer = TORCH_NEAREST_INTERVAL;
+        assignTorchLights();
+    }
+
+    for (const { light, torch, phase } of torchLights) {
+        // Same flicker as the viewmodel torch, offset per light
+        light.intensity = torch ? TORCH_LIGHT_INTENSITY + Math.sin(time * torchFlickerSpeed + phase) * torchFlickerAmount : 0;
+    }
+
+    // Sparks rising from each lit flame (the viewmodel particles, in world space)
+    const { positions, velocities, lifetimes } = torchParticleData;
+    for (let i = 0; i < lifetimes.length; i++) {
+        const torch = torchLights[Math.floor(i / TORCH_PARTICLES_PER_LIGHT)].torch;
+        if (!torch) continue;
+        const i3 = i * 3;
+        lifetimes[i] -= delta;
+        if (lifetimes[i] <= 0) {
+            positions[i3] = torch.x + 0.5 + (Math.random() - 0.5) * particleSpawnRadius * 2;
+            positions[i3 + 1] = torch.y + TORCH_STICK_HEIGHT + Math.random() * 0.05;
+            positions[i3 + 2] = torch.z + 0.5 + (Math.random() - 0.5) * particleSpawnRadius * 2;
+            velocities[i3] = (Math.random() - 0.5) * particleVelocityVariance * 0.5;
+            velocities[i3 + 1] = particleBaseVelocityY + Math.random() * particleVelocityVariance;
+            velocities[i3 + 2] = (Math.random() - 0.5) * particleVelocityVariance * 0.5;
+            lifetimes[i] = particleBaseLifetime + (Math.random() - 0.5) * particleLifetimeVariance * 2;
+        } else {
+            positions[i3] += velocities[i3] * delta;
+            positions[i3 + 1] += velocities[i3 + 1] * delta;
+            positions[i3 + 2] += velocities[i3 + 2] * delta;
+            velocities[i3 + 1] -= particleGravity * delta;
+        }
+    }
+    torchParticleSystem.geometry.attributes.position.needsUpdate = true;
+}
+
+
 // --- Game Loop ---
 function animate() {
     requestAnimationFrame(animate); // Schedule next frame
@@ -1553,8 +2882,8 @@ function animate() {
     // Update day/night cycle and related visuals
     updateAtmosphere(delta);
 
-    // Update player movement and collision only if controls are locked
-    if (controls && controls.isLocked === true) {
+    // Update player movement and collision only if controls are locked, and once the ground under the player exists
+    if (controls && controls.isLocked === true && isPlayerChunkLoaded()) {
 
         // --- Calculate Movement Direction ---
         // Get input direction (forward/backward, left/right)
@@ -1568,8 +2897,21 @@ function animate() {
         const forward = new THREE.Vector3(cameraDirection.x, 0, cameraDirection.z).normalize();
         const right = new THREE.Vector3().crossVectors(camera.up, forward).normalize(); // Right is up X forward (adjust if camera rolls)
 
+        // Check water at the body (just above the feet) and at the eyes
+        const camPos = controls.getObject().position;
+        player.inWater = getBlockWorld(camPos.x, camPos.y - player.height + 0.4, camPos.z) === BLOCK_TYPE.WATER;
+        player.headInWater = getBlockWorld(camPos.x, camPos.y, camPos.z) === BLOCK_TYPE.WATER;
+        const swimming = player.inWater && !player.flyMode;
+
+        // Sneaking (Shift on foot) and sprinting (forward only; sneaking or swimming ends it)
+        player.sneaking = moveDown && !player.flyMode && !swimming;
+        if (moveSprint && moveForward) player.sprinting = true;
+        if (!moveForward || player.sneaking || swimming) player.sprinting = false;
+
         // Calculate target velocity based on input and camera direction
-        const currentSpeed = player.flyMode ? player.flySpeed : player.speed;
+        let currentSpeed = player.flyMode ? player.flySpeed : swimming ? player.swimSpeed : player.speed;
+        if (player.sprinting) currentSpeed *= player.sprintMultiplier;
+        else if (player.sneaking) currentSpeed *= player.sneakMultiplier;
         const targetVelocityXZ = new THREE.Vector3();
         targetVelocityXZ.addScaledVector(forward, player.direction.z); // Move along forward vector
         targetVelocityXZ.addScaledVector(right, player.direction.x); // Move along right vector
@@ -1590,6 +2932,13 @@ function animate() {
             else if (moveDown) player.velocity.y = -verticalSpeed;
             else player.velocity.y = 0; // Stop vertical movement if no input
             player.onGround = false; // Cannot be on ground while flying
+        } else if (swimming) {
+            // Buoyancy: reduced gravity plus drag, so the player sinks slowly
+            player.velocity.y -= gravity * player.waterGravityScale * delta;
+            player.velocity.y -= player.velocity.y * Math.min(1, player.waterDrag * delta);
+            if (moveUp) player.velocity.y = player.swimUpSpeed; // Swim up (also hops out at the shore)
+            else if (moveDown) player.velocity.y = -player.swimUpSpeed; // Dive
+            player.velocity.y = Math.max(player.velocity.y, -player.maxSinkSpeed);
         } else {
             // Apply gravity
             player.velocity.y -= gravity * delta;
@@ -1598,62 +2947,39 @@ function animate() {
                 player.velocity.y = player.jumpVelocity; // Set initial jump velocity
                 player.onGround = false; // No longer on ground after jumping
             }
-            // Note: moveDown (Shift) currently does nothing when not flying
+            // moveDown (Shift) sneaks when not flying (see the edge guard below)
         }
 
-        // --- Collision Resolution (Simplified Axis Separation) ---
-        const oldPosition = controls.getObject().position.clone();
-        let newPosition = oldPosition.clone();
-
-        // Move and check X axis
-        newPosition.x += player.velocity.x * delta;
-        if (checkCollision(newPosition)) {
-            newPosition.x = oldPosition.x; // Revert X movement
-            player.velocity.x = 0; // Stop X velocity
-        }
-        oldPosition.x = newPosition.x; // Update position for next axis check
-
-        // Move and check Z axis
-        newPosition.z += player.velocity.z * delta;
-        if (checkCollision(newPosition)) {
-            newPosition.z = oldPosition.z; // Revert Z movement
-            player.velocity.z = 0; // Stop Z velocity
-        }
-        oldPosition.z = newPosition.z; // Update position
-
-        // Move and check Y axis
-        newPosition.y += player.velocity.y * delta;
-        const verticalCollision = checkCollision(newPosition);
-        player.onGround = false; // Assume not on ground unless collision below proves otherwise
-
-        if (verticalCollision) {
-            if (player.velocity.y <= 0) { // Colliding while moving down or stationary vertically
-                // Snap to ground: find the block surface player landed on
-                const intendedFeetY = newPosition.y - player.height;
-                const snappedFeetY = Math.floor(intendedFeetY) + 1; // Top surface of block below feet
-                newPosition.y = snappedFeetY + player.height + 0.001; // Place feet slightly above surface
-                player.onGround = true; // Landed on ground
-                player.velocity.y = 0; // Stop falling
-            } else { // Colliding while moving up (hit ceiling)
-                // Snap to ceiling: find the block surface player hit
-                const intendedHeadY = newPosition.y;
-                const snappedHeadY = Math.floor(intendedHeadY); // Bottom surface of block above head
-                newPosition.y = snappedHeadY - 0.001; // Place head slightly below surface
-                player.velocity.y = 0; // Stop rising
-            }
-        } else {
-             // If not colliding vertically, but moving down & not flying, check if there's ground just below
-            if (!player.flyMode && player.velocity.y <= 0) {
-                if(checkCollision(newPosition, true)) { // Check slightly below feet
-                     // This logic might need refinement if checkCollision(true) snaps position
-                     // For now, we only set onGround if a downward collision actually happened above.
-                }
-            }
+        // --- Collision Resolution (Swept AABB, see physics.js) ---
+        // The body box runs from the feet up to the eyes (the camera may still be easing up a step). It stops
+        // exactly where it hits something, slides along it, climbs ledges up to stepHeight on foot, and
+        // while sneaking on the ground stops at edges instead of walking off them.
+        const body = player.position;
+        setBox(playerBox, body.x - player.radius, body.y - player.height, body.z - player.radius, body.x + player.radius, body.y, body.z + player.radius);
+        playerMoveOptions.stepHeight = player.flyMode ? 0 : player.stepHeight;
+        playerMoveOptions.onGround = player.onGround;
+        playerMoveOptions.keepOnEdges = player.sneaking;
+        moveBox(playerBox, player.velocity.x * delta, player.velocity.y * delta, player.velocity.z * delta, collisionBoxesAt, playerMoveOptions, playerMoveResult);
+        const landingSpeed = -player.velocity.y;
+        if (playerMoveResult.hitX) player.velocity.x = 0;
+        if (playerMoveResult.hitZ) player.velocity.z = 0;
+        if (playerMoveResult.onGround || playerMoveResult.hitCeiling) player.velocity.y = 0; // Landed, or bumped a ceiling
+        const wasOnGround = player.onGround;
+        player.onGround = playerMoveResult.onGround;
+        if (playerMoveResult.stepRise > 0) {
+            player.stepOffset = Math.min(player.stepHeight, player.stepOffset + playerMoveResult.stepRise); // The camera eases up after the body
         }
-
-        // Apply the final, collision-resolved position
+        const newPosition = body.set((playerBox[0] + playerBox[3]) / 2, playerBox[4], (playerBox[2] + playerBox[5]) / 2);
+        if (player.onGround && !wasOnGround && !player.flyMode) applyFallDamage(landingSpeed, newPosition); // Hurts from high enough
+
+        // Apply the final, collision-resolved position; after a step up the camera trails the body briefly,
+        // and sneaking lowers it
+        player.stepOffset = Math.max(0, player.stepOffset - player.stepEaseSpeed * delta);
+        const sneakTarget = player.sneaking ? player.sneakEyeDrop : 0;
+        player.sneakOffset += THREE.MathUtils.clamp(sneakTarget - player.sneakOffset, -player.sneakEaseSpeed * delta, player.sneakEaseSpeed * delta);
         controls.getObject().position.copy(newPosition);
-        player.position.copy(newPosition); // Keep player state synced
+        controls.getObject().position.y -= player.stepOffset + player.sneakOffset;
+        updateHealth(delta); // Suffocation and regeneration
 
     } else if (player && player.velocity) { // If pointer not locked, gradually stop player movement
         player.velocity.x *= 0.9; // Apply damping
@@ -1661,6 +2987,9 @@ function animate() {
         // Don't damp Y velocity if not locked, allow falling to continue naturally
     }
 
+    if (controls) updateMining(delta); // Break the targeted block while the button is held
+    updateSprintFov(delta);
+
     // Update torch animations (bobbing, flickering)
     // Check if torchMesh exists (might not if init failed)
     if (torchMesh) {
@@ -1671,6 +3000,17 @@ function animate() {
     if (particleSystem) {
         updateTorchParticles(delta);
     }
+    updatePlacedTorches(delta, time); // Torch blocks: models, nearest lights, flames
+
+    // Step the water simulation
+    updateFluids(delta);
+    flushDirtySections(); // Rebuild the mesh sections edited this frame, once each
+    pumpChunkJobs(); // Hand out chunk work
+    runMainThreadChunkJobs(); // Without workers, do some of it here
+    processChunkUploads();
+
+    // Tint the view when the camera is underwater (after updateAtmosphere set the normal sky/fog)
+    updateUnderwaterEffects();
 
     // Load/unload chunks based on player position
     updateVisibleChunks(); // This should be safe even if controls/player aren't fully ready
@@ -1678,7 +3018,7 @@ function animate() {
     // Update Debug Info Display
     if (player && player.position && player.currentChunk && infoDiv) {
         const pos = player.position;
-        infoDiv.textContent = `Pos: (${pos.x.toFixed(1)}, ${pos.y.toFixed(1)}, ${pos.z.toFixed(1)}) Chunk: ${player.currentChunk.x ?? 'N/A'},${player.currentChunk.z ?? 'N/A'} Fly: ${player.flyMode} Ground: ${player.onGround} Time: ${formatTime(gameTime)}`;
+        infoDiv.textContent = `Pos: (${pos.x.toFixed(1)}, ${pos.y.toFixed(1)}, ${pos.z.toFixed(1)}) Chunk: ${player.currentChunk.x ?? 'N/A'},${player.currentChunk.z ?? 'N/A'} Fly: ${player.flyMode} Ground: ${player.onGround} Swim: ${player.inWater} Time: ${formatTime(gameTime)} Biome: ${sampleColumn(Math.floor(pos.x), Math.floor(pos.z)).biome.name} Seed: ${worldSeed.label} Light: ${cameraLight(pos, LIGHT_CHANNEL.SKY)}/${cameraLight(pos, LIGHT_CHANNEL.BLOCK)} Tris: ${meshStats.greedyTriangles} (was ${meshStats.instancedTriangles})`;
     }
 
     // Render the scene
@@ -1689,22 +3029,31 @@ function animate() {
 }
 
 
-// --- Start ---
-// Wrap initialization in a try...catch to handle potential errors gracefully
-try {
-    init();
-} catch(err) {
-    console.error("Initialization failed:", err);
-    // Display error message to the user
+// Replaces the pause screen with an error the game can't continue past (clicking it no longer resumes)
+function showErrorScreen(message, details) {
     const blocker = document.getElementById('blocker');
     const instructions = document.getElementById('instructions');
-    if (blocker && instructions) {
-        blocker.classList.add('error'); // Add error class for styling
-        instructions.innerHTML = `<h2>Error</h2> Initialization failed. Check console (F12) for details.<br><pre>${err.message}\n${err.stack?.substring(0, 300)}...</pre>`; // Show error info
-        blocker.style.display = 'flex'; // Ensure blocker is visible
-    }
+    if (!blocker || !instructions) return;
+    blocker.classList.add('error'); // Add error class for styling
+    if (controls?.isLocked) controls.unlock();
+    // Built from text nodes: the message and details carry error text from workers and storage
+    const heading = document.createElement('h2');
+    heading.textContent = 'Error';
+    const pre = document.createElement('pre');
+    pre.textContent = details;
+    instructions.replaceChildren(heading, ` ${message} Check console (F12) for details.`, document.createElement('br'), pre);
+    instructions.style.display = '';
+    blocker.style.display = 'flex'; // Ensure blocker is visible
+}
+
+
+// --- Start ---
+// Catch initialization errors (sync or async) to handle them gracefully
+init().catch((err) => {
+    console.error("Initialization failed:", err);
+    showErrorScreen("Initialization failed.", `${err.message}\n${err.stack?.substring(0, 300)}...`);
     // Clean up renderer canvas if it was created before error
     if (renderer && renderer.domElement && renderer.domElement.parentNode) {
         renderer.domElement.parentNode.removeChild(renderer.domElement);
     }
-}
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { compileRecipes, matchRecipe } from '../crafting.js';
+import { BLOCK_TYPE } from '../blocks.js';
+
+const TYPES = { STONE: 1, PLANKS: 2, STICK: 3, COAL: 4, WOOD: 5, STAIRS: 6, TORCH: 7 };
+const blockTypeOf = (name) => TYPES[name];
+const { STONE: S, STICK: K, COAL: C, WOOD: W } = TYPES;
+const _ = null;
+
+const compile = (...recipes) => compileRecipes({ recipes }, blockTypeOf);
+const resultOf = (recipes, grid, width) => matchRecipe(recipes, grid, width)?.result ?? null;
+
+const stairs = { type: 'shaped', pattern: ['#  ', '## ', '###'], key: { '#': 'STONE' }, result: { name: 'STAIRS', count: 4 } };
+const torch = { type: 'shaped', pattern: ['C', '#'], key: { C: 'COAL', '#': 'STICK' }, result: { name: 'TORCH', count: 4 } };
+const planks = { type: 'shapeless', ingredients: ['WOOD'], result: { name: 'PLANKS', count: 4 } };
+
+test('shaped recipes match their pattern', () => {
+    const recipes = compile(stairs, torch);
+    assert.deepEqual(resultOf(recipes, [S, _, _, S, S, _, S, S, S], 3), { type: TYPES.STAIRS, count: 4 });
+    assert.deepEqual(resultOf(recipes, [C, _, K, _], 2), { type: TYPES.TORCH, count: 4 });
+});
+
+test('shaped recipes match anywhere in the grid', () => {
+    const recipes = compile(torch);
+    assert.deepEqual(resultOf(recipes, [_, _, _, _, _, C, _, _, K], 3), { type: TYPES.TORCH, count: 4 });
+    assert.deepEqual(resultOf(recipes, [_, C, _, _, K, _, _, _, _], 3), { type: TYPES.TORCH, count: 4 });
+    assert.deepEqual(resultOf(recipes, [_, C, _, K], 2), { type: TYPES.TORCH, count: 4 });
+});
+
+test('shaped recipes match mirrored unless they opt out', () => {
+    const mirroredStairs = [_, _, S, _, S, S, S, S, S];
+    assert.deepEqual(resultOf(compile(stairs), mirroredStairs, 3), { type: TYPES.STAIRS, count: 4 });
+    assert.equal(resultOf(compile({ ...stairs, mirrored: false }), mirroredStairs, 3), null);
+    assert.equal(resultOf(compile(stairs), [S, S, S, S, S, _, S, _, _], 3), null); // Upside down is never allowed
+});
+
+test('blank border rows and columns of a pattern are ignored', () => {
+    const recipes = compile({ type: 'shaped', pattern: ['   ', ' C ', ' # '], key: { C: 'COAL', '#': 'STICK' }, result: { name: 'TORCH' } });
+    assert.deepEqual(recipes[0].cells, [C, K]);
+    assert.deepEqual([recipes[0].width, recipes[0].height], [1, 2]);
+    // It fits a 2x2 grid and any column of a 3x3 one
+    assert.deepEqual(resultOf(recipes, [C, _, K, _], 2), { type: TYPES.TORCH, count: 1 });
+    assert.deepEqual(resultOf(recipes, [C, _, _, K, _, _, _, _, _], 3), { type: TYPES.TORCH, count: 1 });
+});
+
+test('shapeless recipes match their ingredients in any cells', () => {
+    const recipes = compile(planks, { type: 'shapeless', ingredients: ['STICK', 'COAL', 'STICK'], result: { name: 'TORCH' } });
+    assert.deepEqual(resultOf(recipes, [_, _, _, _, W, _, _, _, _], 3), { type: TYPES.PLANKS, count: 4 });
+    assert.deepEqual(resultOf(recipes, [K, _, _, _, _, C, _, K, _], 3), { type: TYPES.TORCH, count: 1 });
+    assert.equal(resultOf(recipes, [W, W, _, _], 2), null); // Exactly the ingredients, not more
+    assert.equal(resultOf(recipes, [K, C, _, _], 2), null); // Nor fewer
+});
+
+test('grids that make nothing match no recipe', () => {
+    const recipes = compile(stairs, torch, planks);
+    assert.equal(matchRecipe(recipes, [_, _, _, _], 2), null);
+    assert.equal(matchRecipe(recipes, [K, _, _, C], 2), null); // Torch ingredients upside down
+    assert.equal(matchRecipe(recipes, [C, _, _, K], 2), null); // And diagonal
+    assert.equal(matchRecipe(recipes, [S, _, S, S], 2), null); // Stairs need the 3x3 grid
+});
+
+test('invalid recipes are skipped with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const recipes = compile(
+        torch,
+        { type: 'smelting' },
+        { type: 'shaped', pattern: ['Q'], key: {}, result: { name: 'TORCH' } },
+        { type: 'shaped', pattern: ['  ', '  '], key: {}, result: { name: 'TORCH' } },
+        { type: 'shapeless', ingredients: ['NOPE'], result: { name: 'TORCH' } },
+        { type: 'shapeless', ingredients: ['WOOD'], result: { name: 'PLANKS', count: 0 } }
+    );
+    assert.equal(recipes.length, 1);
+    assert.equal(warn.mock.callCount(), 5);
+    assert.throws(() => compileRecipes({}, blockTypeOf), /no "recipes" array/);
+});
+
+test('the built-in recipe file compiles against the block registry', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const data = JSON.parse(readFileSync(new URL('../recipes.json', import.meta.url), 'utf8'));
+    const recipes = compileRecipes(data, (name) => BLOCK_TYPE[name]);
+    assert.equal(warn.mock.callCount(), 0);
+    assert.equal(recipes.length, data.recipes.length);
+    const { WOOD, PLANKS } = BLOCK_TYPE;
+    assert.deepEqual(resultOf(recipes, [_, WOOD, _, _], 2), { type: PLANKS, count: 4 });
+});
@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { greedyMesh } from '../mesher.js';
+
+const AIR = 0, STONE = 1, DIRT = 2;
+
+// A volume of the given size holding `cells` ([x, y, z, type]), with air all around it
+function makeVolume(sizeX, sizeY, sizeZ, cells) {
+    const blocks = new Uint8Array(sizeX * sizeY * sizeZ);
+    for (const [x, y, z, type] of cells) blocks[((y * sizeZ) + z) * sizeX + x] = type;
+    return { sizeX, sizeY, sizeZ, blocks, blockAt: () => AIR };
+}
+// Faces show against air, every block type is its own material, and everything goes to one layer
+const rules = {
+    isFaceVisible: (type, neighbour) => neighbour === AIR,
+    materialIndex: (type) => type,
+    layerOf: () => 0
+};
+const aoRules = { ...rules, occludes: (type) => type !== AIR };
+
+// The quads of a layer as { vertices: [[x, y, z]], normal, brightness: [per vertex], triangles: [[i, j, k]] }
+function quadsOf(layer) {
+    const quads = [];
+    for (let q = 0; q < layer.indices.length / 6; q++) {
+        const vertices = [], brightness = [];
+        for (let c = 0; c < 4; c++) {
+            const v = q * 4 + c;
+            vertices.push([...layer.positions.slice(v * 3, v * 3 + 3)]);
+            if (layer.colors) brightness.push(layer.colors[v * 3]);
+        }
+        const normal = [...layer.normals.slice(q * 12, q * 12 + 3)];
+        const triangles = [0, 3].map(t => [...layer.indices.slice(q * 6 + t, q * 6 + t + 3)].map(i => i - q * 4));
+        quads.push({ vertices, normal, brightness, triangles });
+    }
+    return quads;
+}
+const topQuadAt = (quads, y) => quads.find(q => q.normal[1] === 1 && q.vertices.every(v => v[1] === y));
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+test('a flat slab of one material merges into one quad per side', () => {
+    const cells = [];
+    for (let x = 0; x < 3; x++) for (let z = 0; z < 3; z++) cells.push([x, 0, z, STONE]);
+    const { layers, stats } = greedyMesh(makeVolume(3, 1, 3, cells), rules);
+    assert.equal(layers[0].indices.length / 6, 6);
+    assert.equal(stats.greedyTriangles, 12);
+    assert.equal(stats.culledTriangles, (9 + 9 + 3 * 4) * 2); // Top, bottom and the twelve side faces
+    const top = topQuadAt(quadsOf(layers[0]), 1);
+    assert.deepEqual(top.vertices.map(v => [v[0], v[2]]).sort(), [[0, 0], [0, 3], [3, 0], [3, 3]]);
+});
+
+test('faces of different materials do not merge', () => {
+    const { layers } = greedyMesh(makeVolume(2, 1, 1, [[0, 0, 0, STONE], [1, 0, 0, DIRT]]), rules);
+    // Top, bottom, front and back split in two; the two ends are one face each
+    assert.equal(layers[0].indices.length / 6, 10);
+    assert.deepEqual(layers[0].groups.map(g => [g.materialIndex, g.count / 6]), [[STONE, 5], [DIRT, 5]]);
+});
+
+test('hidden faces between blocks are culled', () => {
+    const { layers, stats } = greedyMesh(makeVolume(1, 2, 1, [[0, 0, 0, STONE], [0, 1, 0, STONE]]), rules);
+    assert.equal(layers[0].indices.length / 6, 6); // The column's sides merge vertically too
+    assert.equal(stats.culledTriangles, 10 * 2);
+    assert.equal(topQuadAt(quadsOf(layers[0]), 1), undefined);
+});
+
+test('ambient occlusion darkens the corners next to a block', () => {
+    // Two floor blocks, with a block standing on the second: the first one's top face has it on its +x edge
+    const volume = makeVolume(2, 2, 1, [[0, 0, 0, STONE], [1, 0, 0, STONE], [1, 1, 0, STONE]]);
+    const top = topQuadAt(quadsOf(greedyMesh(volume, aoRules).layers[0]), 1);
+    top.vertices.forEach((v, i) => assert.ok(near(top.brightness[i], v[0] === 1 ? 0.78 : 1), `corner ${v}`));
+
+    const { layers } = greedyMesh(volume, rules);
+    assert.equal(layers[0].colors, null); // No occlusion without occludes()
+});
+
+test('two occluding edges darken a corner fully, hiding the diagonal', () => {
+    // The centre block's top face, with blocks above its -x and -z edges
+    const volume = makeVolume(3, 2, 3, [[1, 0, 1, STONE], [0, 1, 1, STONE], [1, 1, 0, STONE]]);
+    const top = topQuadAt(quadsOf(greedyMesh(volume, aoRules).layers[0]), 1);
+    const brightnessAt = (x, z) => top.brightness[top.vertices.findIndex(v => v[0] === x && v[2] === z)];
+    assert.ok(near(brightnessAt(1, 1), 0.48));
+    assert.ok(near(brightnessAt(2, 1), 0.78));
+    assert.ok(near(brightnessAt(1, 2), 0.78));
+    assert.ok(near(brightnessAt(2, 2), 1));
+});
+
+test('faces with different corner occlusion do not merge', () => {
+    const floor = [[0, 0, 0, STONE], [1, 0, 0, STONE], [2, 0, 0, STONE]];
+    const open = quadsOf(greedyMesh(makeVolume(3, 2, 1, floor), aoRules).layers[0]);
+    assert.equal(open.filter(q => q.normal[1] === 1).length, 1); // Nothing occludes: the tops merge
+    // A block standing on the last one darkens the middle top's +x corners, so it no longer merges with the first
+    const quads = quadsOf(greedyMesh(makeVolume(3, 2, 1, [...floor, [2, 1, 0, STONE]]), aoRules).layers[0]);
+    const floorTops = quads.filter(q => q.normal[1] === 1 && q.vertices.every(v => v[1] === 1));
+    assert.deepEqual(floorTops.map(q => Math.min(...q.vertices.map(v => v[0]))).sort(), [0, 1]);
+});
+
+test('quads are split along the diagonal away from a darkened corner', () => {
+    // A lone block diagonally above each corner of the centre block's top face in turn
+    for (const [x, z] of [[0, 0], [2, 0], [2, 2], [0, 2]]) {
+        const volume = makeVolume(3, 2, 3, [[1, 0, 1, STONE], [x, 1, z, STONE]]);
+        const top = topQuadAt(quadsOf(greedyMesh(volume, aoRules).layers[0]), 1);
+        const dark = top.brightness.findIndex(b => b < 1);
+        assert.ok(near(top.brightness[dark], 0.78), `only one corner is darkened (${x}, ${z})`);
+        assert.equal(top.brightness.filter(b => b < 1).length, 1);
+        // The shared edge of the two triangles must not touch the dark corner
+        const [first, second] = top.triangles;
+        const diagonal = first.filter(i => second.includes(i));
+        assert.equal(diagonal.length, 2);
+        assert.ok(!diagonal.includes(dark), `diagonal avoids the dark corner (${x}, ${z})`);
+    }
+});
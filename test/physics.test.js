@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createBox, setBox, createMoveResult, moveBox } from '../physics.js';
+
+const FULL = [[0, 0, 0, 1, 1, 1]];
+const NONE = [];
+const RADIUS = 0.3, HEIGHT = 1.8, GRAVITY = 22;
+
+// A world of full blocks at the given [x, y, z] cells
+function blockWorld(cells) {
+    const solid = new Set(cells.map(cell => cell.join()));
+    return (x, y, z) => solid.has(`${x},${y},${z}`) ? FULL : NONE;
+}
+// Full blocks at `cells`, plus a floor of full blocks under y = 0
+const withFloor = (cells) => {
+    const blocks = blockWorld(cells);
+    return (x, y, z) => y < 0 ? FULL : blocks(x, y, z);
+};
+// A floor, plus one block of the given box at (2, 0, 0)
+const ledgeWorld = (ledge) => (x, y, z) => y < 0 ? FULL : (x === 2 && y === 0 && z === 0) ? [ledge] : NONE;
+// The player's body box with its feet centred at (x, y, z)
+const bodyAt = (box, x, y, z) => setBox(box, x - RADIUS, y, z - RADIUS, x + RADIUS, y + HEIGHT, z + RADIUS);
+
+// Walks a body on foot for `frames` frames like the game loop does: gravity, one moveBox() per frame, and the
+// box rebuilt from its feet position every frame. Returns the final feet position.
+function walk(boxesAt, start, { dirX = 0, dirZ = 0, speed = 1.5, fps = 60, frames = 120, sneaking = false, stepHeight = 0.5 }) {
+    const box = createBox(), result = createMoveResult();
+    const feet = { ...start };
+    const delta = 1 / fps;
+    let velocityY = 0, onGround = true;
+    for (let frame = 0; frame < frames; frame++) {
+        velocityY -= GRAVITY * delta;
+        bodyAt(box, feet.x, feet.y, feet.z);
+        moveBox(box, dirX * speed * delta, velocityY * delta, dirZ * speed * delta, boxesAt, { stepHeight, onGround, keepOnEdges: sneaking }, result);
+        if (result.onGround) velocityY = 0;
+        onGround = result.onGround;
+        feet.x = (box[0] + box[3]) / 2; feet.y = box[1]; feet.z = (box[2] + box[5]) / 2;
+    }
+    return feet;
+}
+
+const near = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 1e-3, `${label}: ${actual} is not ${expected}`);
+
+test('a fast fall lands on the floor instead of tunnelling through it', () => {
+    const box = bodyAt(createBox(), 0.5, 5, 0.5), result = createMoveResult();
+    moveBox(box, 0, -100, 0, withFloor([]), {}, result);
+    near(box[1], 0, 'feet');
+    assert.ok(box[1] >= 0, 'not inside the floor');
+    assert.ok(result.onGround && result.hitY && !result.hitX && !result.hitZ);
+});
+
+test('a move into a wall stops at it and slides along it', () => {
+    const wall = withFloor([[2, 0, 0], [2, 0, 1], [2, 1, 0], [2, 1, 1]]);
+    const box = bodyAt(createBox(), 1.5, 0, 0.5), result = createMoveResult();
+    moveBox(box, 1, -0.01, 0.4, wall, { onGround: true, stepHeight: 0.5 }, result);
+    near(box[3], 2, 'against the wall');
+    assert.ok(box[3] <= 2, 'not inside the wall');
+    near((box[2] + box[5]) / 2, 0.9, 'slid the whole way along it');
+    assert.ok(result.hitX && !result.hitZ && result.onGround);
+    assert.equal(result.stepRise, 0);
+});
+
+test('a move into a corner stops on both walls', () => {
+    const corner = withFloor([[2, 0, 0], [2, 0, 1], [0, 0, 2], [1, 0, 2], [2, 0, 2]]);
+    const box = bodyAt(createBox(), 1.5, 0, 1.5), result = createMoveResult();
+    moveBox(box, 1, 0, 1, corner, { onGround: true }, result);
+    assert.ok(box[3] <= 2 && box[5] <= 2);
+    near(box[3], 2, 'x');
+    near(box[5], 2, 'z');
+    assert.ok(result.hitX && result.hitZ);
+});
+
+test('moving up stops at a ceiling', () => {
+    const box = bodyAt(createBox(), 0.5, 0, 0.5), result = createMoveResult();
+    moveBox(box, 0, 5, 0, withFloor([[0, 3, 0]]), {}, result);
+    near(box[4], 3, 'head');
+    assert.ok(result.hitCeiling && !result.onGround);
+});
+
+test('walking into a half-block ledge steps up onto it', () => {
+    const box = bodyAt(createBox(), 1.5, 0, 0.5), result = createMoveResult();
+    moveBox(box, 0.5, -0.01, 0, ledgeWorld([0, 0, 0, 1, 0.5, 1]), { onGround: true, stepHeight: 0.5 }, result);
+    near(box[1], 0.5, 'feet on the ledge');
+    near((box[0] + box[3]) / 2, 2, 'kept moving');
+    near(result.stepRise, 0.5, 'stepRise');
+    assert.ok(result.onGround);
+});
+
+test('a ledge higher than the step height blocks the move', () => {
+    const box = bodyAt(createBox(), 1.5, 0, 0.5), result = createMoveResult();
+    moveBox(box, 0.5, -0.01, 0, ledgeWorld([0, 0, 0, 1, 0.6, 1]), { onGround: true, stepHeight: 0.5 }, result);
+    near(box[1], 0, 'feet stay on the floor');
+    near(box[3], 2, 'stopped at the ledge');
+    assert.ok(result.hitX && result.onGround);
+    assert.equal(result.stepRise, 0);
+});
+
+test('stepping needs the ground and a downward or level move', () => {
+    const ledge = ledgeWorld([0, 0, 0, 1, 0.5, 1]);
+    const box = bodyAt(createBox(), 1.5, 0, 0.5), result = createMoveResult();
+    moveBox(box, 0.5, 0, 0, ledge, { onGround: false, stepHeight: 0.5 }, result);
+    assert.equal(result.stepRise, 0); // In the air
+    bodyAt(box, 1.5, 0, 0.5);
+    moveBox(box, 0.5, -0.01, 0, ledge, { onGround: true, stepHeight: 0 }, result);
+    assert.equal(result.stepRise, 0); // Flying
+    assert.ok(result.hitX);
+});
+
+test('sneaking stops at the edge from any sub-voxel starting offset', () => {
+    // A 3x3 platform with a drop all around it
+    const cells = [];
+    for (let x = 0; x < 3; x++) for (let z = 0; z < 3; z++) cells.push([x, -1, z]);
+    const platform = blockWorld(cells);
+    const directions = [[1, 0], [-1, 0], [0, 1], [0, -1], [Math.SQRT1_2, Math.SQRT1_2], [0.8, -0.6]];
+    for (let i = 0; i < 40; i++) {
+        const start = { x: 1.2 + (i * 0.618034) % 0.6, y: 0, z: 1.2 + (i * 0.414214) % 0.6 };
+        for (const [dirX, dirZ] of directions) {
+            for (const fps of [30, 60, 144]) {
+                const feet = walk(platform, start, { dirX, dirZ, fps, frames: 2 * fps, sneaking: true });
+                const label = `from (${start.x}, ${start.z}) towards (${dirX}, ${dirZ}) at ${fps} fps`;
+                assert.ok(feet.y > -1e-3, `fell off ${label}`);
+                // Still over the platform: it overlaps the body by more than the collision skin on both axes
+                assert.ok(feet.x + RADIUS > 1e-4 && feet.x - RADIUS < 3 - 1e-4, `past the x edge ${label}`);
+                assert.ok(feet.z + RADIUS > 1e-4 && feet.z - RADIUS < 3 - 1e-4, `past the z edge ${label}`);
+            }
+        }
+    }
+    // Without sneaking the same walk goes over the edge
+    assert.ok(walk(platform, { x: 1.5, y: 0, z: 1.5 }, { dirX: 1, frames: 120 }).y < -1);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { setWorldSeed, generateChunkData, Chunk, WORLD_MIN_Y, WORLD_MAX_Y } from '../world.js';
+import { BLOCK_TYPE } from '../blocks.js';
+
+const { AIR, STONE, TORCH } = BLOCK_TYPE;
+const FLAT_HEIGHT = 128, FLAT_VOLUME = 16 * FLAT_HEIGHT * 16;
+const flatIndex = (x, y, z) => (y * 16 + z) * 16 + x;
+
+// A version 1 save of a flat 16x128x16 column: one byte per block (the block type is its own palette
+// index), run-length encoded, with metadata
+function flatSave(blocks, meta) {
+    const rle = (bytes) => {
+        const out = [];
+        for (let i = 0; i < bytes.length;) {
+            let run = 1;
+            while (run < 255 && i + run < bytes.length && bytes[i + run] === bytes[i]) run++;
+            out.push(run, bytes[i]);
+            i += run;
+        }
+        return out;
+    };
+    const uint32 = (value) => [value & 255, (value >> 8) & 255, (value >> 16) & 255, value >>> 24];
+    const palette = Array.from({ length: 256 }, (_, i) => i);
+    const packed = rle(blocks), packedMeta = rle(meta);
+    return Uint8Array.from([1, 8, 255, 1, ...palette, ...uint32(packed.length), ...packed, ...uint32(packedMeta.length), ...packedMeta]);
+}
+
+test('version 1 saves load into sections over generated terrain', () => {
+    setWorldSeed(1234);
+    const blocks = new Uint8Array(FLAT_VOLUME), meta = new Uint8Array(FLAT_VOLUME);
+    for (let x = 0; x < 16; x++) for (let z = 0; z < 16; z++) blocks[flatIndex(x, 0, z)] = STONE;
+    blocks[flatIndex(3, 1, 4)] = TORCH;
+    meta[flatIndex(3, 1, 4)] = 2;
+
+    const chunk = Chunk.deserialize(2, -1, flatSave(blocks, meta));
+    const generated = generateChunkData(2, -1);
+    assert.ok(chunk.dirty, 'rewritten in the current format on the next save');
+    assert.equal(chunk.get(0, 0, 0), STONE);
+    assert.equal(chunk.get(3, 1, 4), TORCH);
+    assert.equal(chunk.getMeta(3, 1, 4), 2);
+    assert.equal(chunk.get(5, 60, 5), AIR); // The saved column replaces y = 0-127 entirely
+    for (const y of [WORLD_MIN_Y, -1, FLAT_HEIGHT, WORLD_MAX_Y - 1]) {
+        assert.equal(chunk.get(7, y, 7), generated.get(7, y, 7), `y = ${y} comes from the seed`);
+    }
+
+    // And it round-trips through the current format
+    const reloaded = Chunk.deserialize(2, -1, chunk.serialize());
+    assert.equal(reloaded.get(3, 1, 4), TORCH);
+    assert.equal(reloaded.getMeta(3, 1, 4), 2);
+    assert.equal(reloaded.get(7, -1, 7), generated.get(7, -1, 7));
+});
@@ -0,0 +1,1227 @@
+// --- World Generation & Chunk Data ---
+// Everything needed to generate and mesh chunks, free of the DOM and Three.js so the same code runs on
+// the main thread and inside the chunk workers (chunkWorker.js). Output depends only on the seed.
+import { greedyMesh } from './mesher.js';
+import { MAX_LIGHT, LIGHT_CHANNEL, propagateLight } from './light.js';
+import { BLOCK_TYPE, MAX_BLOCK_TYPES, isOpaqueCube, lightOpacity, lightEmission, blockShape, blockBoxes, blockRenderClass } from './blocks.js';
+
+// --- Config ---
+export const CHUNK_SIZE_X = 16;
+export const CHUNK_SIZE_Z = 16;
+export const SECTION_SIZE = 16; // Chunks are stacks of 16x16x16 sections
+export const WORLD_MIN_Y = -64; // Lowest block layer; together with WORLD_HEIGHT a multiple of SECTION_SIZE
+export const WORLD_HEIGHT = 320; // Build height in blocks, counted from WORLD_MIN_Y
+export const WORLD_MAX_Y = WORLD_MIN_Y + WORLD_HEIGHT; // First layer above the world (exclusive)
+export const SECTIONS_PER_CHUNK = WORLD_HEIGHT / SECTION_SIZE;
+const SECTION_SHIFT = Math.log2(SECTION_SIZE);
+const SECTION_MASK = SECTION_SIZE - 1;
+if (WORLD_MIN_Y % SECTION_SIZE !== 0 || WORLD_HEIGHT % SECTION_SIZE !== 0) {
+    throw new Error(`WORLD_MIN_Y and WORLD_HEIGHT must be multiples of ${SECTION_SIZE}`);
+}
+const TERRAIN_HEIGHT = 128; // Reference height for biome terrain (independent of the build height)
+export const SEA_LEVEL = Math.floor(TERRAIN_HEIGHT * 0.3); // Open air below this height is filled with water
+export const WATER_MAX_FLOW = 7; // Flowing water spreads this many blocks sideways from a source
+// Water levels stored as block metadata (see the water simulation in script.js)
+export const WATER_SOURCE = 0;
+export const WATER_FALLING = WATER_MAX_FLOW + 1;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// --- Seeded Random (Mulberry32 keyed on seed + coordinates) ---
+// Salts keep the independent random streams of one chunk from repeating each other
+let worldSeedValue = 0; // uint32 world seed, set through setWorldSeed()
+const RNG_SALT = { NOISE: 1, TERRAIN: 2, FEATURES: 3, ORES: 4, GROUND_COVER: 5 };
+const hashCoords = (seed, a = 0, b = 0, c = 0) => { // Mixes integers into a well-distributed uint32
+    let h = seed >>> 0;
+    for (const v of [a, b, c]) {
+        h = Math.imul(h ^ (v | 0), 0x9E3779B1);
+        h ^= h >>> 15;
+        h = Math.imul(h, 0x85EBCA77);
+        h ^= h >>> 13;
+    }
+    return h >>> 0;
+};
+const mulberry32 = (state) => () => { // Returns floats in [0, 1), like Math.random()
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+// Deterministic random stream for one chunk: same seed + chunk + salt always gives the same sequence
+const createChunkRandom = (chunkX, chunkZ, salt) => mulberry32(hashCoords(worldSeedValue, chunkX, chunkZ, salt));
+
+// Selects the world every generator in this module produces; call before generating anything
+export function setWorldSeed(seedValue) {
+    worldSeedValue = seedValue >>> 0;
+    noiseInit(worldSeedValue);
+    featurePlanCache.clear(); // Plans belong to the previous seed
+}
+
+// --- Noise Functions (Simple Value Noise + Octaves) ---
+const noisePerm = new Uint8Array(512);
+const noiseInit = (seed) => {
+    const random = mulberry32(hashCoords(seed, RNG_SALT.NOISE));
+    const p = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) p[i] = i;
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [p[i], p[j]] = [p[j], p[i]]; // Shuffle
+    }
+    for (let i = 0; i < 256; i++) {
+        noisePerm[i] = noisePerm[i + 256] = p[i]; // Double the array for wrapping
+    }
+};
+const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10); // Smoothstep function
+const lerp = (t, a, b) => a + t * (b - a); // Linear interpolation
+const valueNoise2D = (x, y, scale = 0.1) => {
+    x *= scale; y *= scale;
+    const X = Math.floor(x) & 255; // Integer part, wrapped to 0-255
+    const Y = Math.floor(y) & 255;
+    x -= Math.floor(x); // Fractional part
+    y -= Math.floor(y);
+    const u = fade(x); // Smoothed fractional part
+    const v = fade(y);
+    const p = noisePerm;
+    // Hash coordinates of the 4 square corners
+    const A = p[X] + Y;
+    const B = p[X + 1] + Y;
+    // Get pseudo-random values (gradients not needed for value noise)
+    const h1 = p[p[A]]; const h2 = p[p[B]];
+    const h3 = p[p[A + 1]]; const h4 = p[p[B + 1]];
+    // Interpolate along x
+    const n1 = lerp(u, h1 / 255, h2 / 255);
+    const n2 = lerp(u, h3 / 255, h4 / 255);
+    // Interpolate along y and scale to [-1, 1]
+    return (lerp(v, n1, n2) * 2) - 1;
+};
+export const octaveNoise = (x, y, octaves = 4, persistence = 0.5, lacunarity = 2.0, scale = 0.02) => {
+    let total = 0;
+    let frequency = 1.0;
+    let amplitude = 1.0;
+    let maxValue = 0; // Used for normalizing result to [-1, 1]
+    for (let i = 0; i < octaves; i++) {
+        total += valueNoise2D(x * frequency, y * frequency, scale) * amplitude;
+        maxValue += amplitude;
+        amplitude *= persistence; // Amplitude decreases with each octave
+        frequency *= lacunarity; // Frequency increases with each octave
+    }
+    return total / maxValue; // Normalize
+};
+const valueNoise3D = (x, y, z, scale = 0.1) => {
+    x *= scale; y *= scale; z *= scale;
+    const X = Math.floor(x) & 255; // Integer part, wrapped to 0-255
+    const Y = Math.floor(y) & 255;
+    const Z = Math.floor(z) & 255;
+    x -= Math.floor(x); // Fractional part
+    y -= Math.floor(y);
+    z -= Math.floor(z);
+    const u = fade(x);
+    const v = fade(y);
+    const w = fade(z);
+    const p = noisePerm;
+    // Hash coordinates of the 8 cube corners
+    const A = p[X] + Y, AA = p[A] + Z, AB = p[A + 1] + Z;
+    const B = p[X + 1] + Y, BA = p[B] + Z, BB = p[B + 1] + Z;
+    // Interpolate along x, then y, then z
+    const n00 = lerp(u, p[AA] / 255, p[BA] / 255);
+    const n10 = lerp(u, p[AB] / 255, p[BB] / 255);
+    const n01 = lerp(u, p[AA + 1] / 255, p[BA + 1] / 255);
+    const n11 = lerp(u, p[AB + 1] / 255, p[BB + 1] / 255);
+    return (lerp(w, lerp(v, n00, n10), lerp(v, n01, n11)) * 2) - 1; // Scale to [-1, 1]
+};
+const octaveNoise3D = (x, y, z, octaves = 3, persistence = 0.5, lacunarity = 2.0, scale = 0.05) => {
+    let total = 0;
+    let frequency = 1.0;
+    let amplitude = 1.0;
+    let maxValue = 0;
+    for (let i = 0; i < octaves; i++) {
+        total += valueNoise3D(x * frequency, y * frequency, z * frequency, scale) * amplitude;
+        maxValue += amplitude;
+        amplitude *= persistence;
+        frequency *= lacunarity;
+    }
+    return total / maxValue;
+};
+
+// --- Chunk Storage ---
+// A chunk is a column of SECTION_SIZE³ sections stacked from WORLD_MIN_Y to WORLD_MAX_Y. Sections that
+// hold nothing but air are not allocated (null), so the sky above the terrain costs no memory and
+// lookups there return AIR straight away. Each section keeps its blocks in one flat typed array indexed
+// y-major: ((y * S) + z) * S + x. Sections outside the render distance can be `pack()`ed into a small
+// palette of block types with 1/2/4 bits per block; any write unpacks them again. Per-block metadata
+// (e.g. water levels) lives in a second array that is only allocated once something stores a non-zero value.
+// Light is kept per chunk section too, one byte per block (skylight << 4 | block light); sections whose
+// light was never stored (null) are in full skylight. Light isn't saved, it is recomputed on load.
+export const SECTION_VOLUME = SECTION_SIZE * SECTION_SIZE * SECTION_SIZE;
+const CHUNK_FORMAT_VERSION = 2;
+const FLAT_CHUNK_FORMAT_VERSION = 1; // Saves from before sections: one flat 16x128x16 array from y = 0, still read
+const FLAT_CHUNK_HEIGHT = 128;
+const FULL_SKYLIGHT = MAX_LIGHT << 4; // Packed light of open sky: full skylight, no block light
+
+export class ChunkSection {
+    constructor(blocks = new Uint8Array(SECTION_VOLUME), meta = null) {
+        this.blocks = blocks; // Uint8Array of block types, or null while packed
+        this.meta = meta; // Uint8Array of per-block metadata, allocated on first use
+        this.palette = null; // Packed mode: block types referenced by the packed indices
+        this.packed = null; // Packed mode: bit-packed palette indices
+        this.bitsPerBlock = 8;
+        this.nonAirCount = 0; // The section is dropped from its chunk when this reaches 0
+        for (let i = 0; i < blocks.length; i++) if (blocks[i] !== BLOCK_TYPE.AIR) this.nonAirCount++;
+    }
+
+    static index(x, y, z) {
+        return (y * SECTION_SIZE + z) * SECTION_SIZE + x;
+    }
+
+    // Section-local coordinates, no bounds checks
+    get(x, y, z) {
+        const i = (y * SECTION_SIZE + z) * SECTION_SIZE + x;
+        if (this.blocks) return this.blocks[i];
+        const bits = this.bitsPerBlock;
+        const bitIndex = i * bits;
+        return this.palette[(this.packed[bitIndex >> 3] >> (bitIndex & 7)) & ((1 << bits) - 1)];
+    }
+    set(x, y, z, blockType) {
+        if (!this.blocks) this.unpack();
+        const i = (y * SECTION_SIZE + z) * SECTION_SIZE + x;
+        this.nonAirCount += (blockType !== BLOCK_TYPE.AIR) - (this.blocks[i] !== BLOCK_TYPE.AIR);
+        this.blocks[i] = blockType;
+    }
+    getMeta(x, y, z) {
+        return this.meta ? this.meta[(y * SECTION_SIZE + z) * SECTION_SIZE + x] : 0;
+    }
+    setMeta(x, y, z, value) {
+        if (!this.meta) {
+            if (value === 0) return;
+            this.meta = new Uint8Array(SECTION_VOLUME);
+        }
+        this.meta[(y * SECTION_SIZE + z) * SECTION_SIZE + x] = value;
+    }
+
+    // Switches to palette encoding if the section uses at most 16 block types. Returns true if packed.
+    pack() {
+        if (!this.blocks) return true;
+        const encoded = encodePalette(this.blocks, 4);
+        if (!encoded) return false;
+        Object.assign(this, encoded);
+        this.blocks = null;
+        return true;
+    }
+    unpack() {
+        if (this.blocks) return;
+        this.blocks = decodePalette(this.palette, this.packed, this.bitsPerBlock);
+        this.palette = this.packed = null;
+        this.bitsPerBlock = 8;
+    }
+}
+
+export class Chunk {
+    constructor(chunkX, chunkZ) {
+        this.x = chunkX;
+        this.z = chunkZ;
+        this.sections = new Array(SECTIONS_PER_CHUNK).fill(null); // Bottom to top; null = all air
+        this.light = new Array(SECTIONS_PER_CHUNK).fill(null); // Packed light per section; null = full skylight
+        this.dirty = false; // Edited since it was last saved
+    }
+
+    // Rebuilds a chunk from plain { blocks, meta } section data (as passed to and from the chunk workers)
+    // and, if given, its per-section light arrays
+    static fromSectionData(chunkX, chunkZ, sectionData, light = null) {
+        const chunk = new Chunk(chunkX, chunkZ);
+        sectionData.forEach((data, i) => {
+            if (data) chunk.sections[i] = new ChunkSection(data.blocks, data.meta);
+        });
+        if (light) chunk.light = light;
+        return chunk;
+    }
+    // Plain { blocks, meta } per section (null for empty ones). `copy` leaves this chunk's arrays untouched.
+    toSectionData(copy) {
+        return this.sections.map(section => {
+            if (!section) return null;
+            const blocks = section.blocks ?? decodePalette(section.palette, section.packed, section.bitsPerBlock);
+            return {
+                blocks: copy && section.blocks ? blocks.slice() : blocks,
+                meta: section.meta && copy ? section.meta.slice() : section.meta
+            };
+        });
+    }
+
+    // Local x/z, world y; positions above or below the world read as AIR
+    get(x, y, z) {
+        const section = this.sections[(y - WORLD_MIN_Y) >> SECTION_SHIFT];
+        return section ? section.get(x, (y - WORLD_MIN_Y) & SECTION_MASK, z) : BLOCK_TYPE.AIR;
+    }
+    set(x, y, z, blockType) {
+        const index = (y - WORLD_MIN_Y) >> SECTION_SHIFT;
+        let section = this.sections[index];
+        if (!section) {
+            if (blockType === BLOCK_TYPE.AIR) return; // Already air
+            section = this.sections[index] = new ChunkSection();
+        }
+        section.set(x, (y - WORLD_MIN_Y) & SECTION_MASK, z, blockType);
+        if (section.nonAirCount === 0) this.sections[index] = null; // Emptied: free it (metadata only matters on blocks)
+    }
+    getMeta(x, y, z) {
+        const section = this.sections[(y - WORLD_MIN_Y) >> SECTION_SHIFT];
+        return section ? section.getMeta(x, (y - WORLD_MIN_Y) & SECTION_MASK, z) : 0;
+    }
+    setMeta(x, y, z, value) {
+        const section = this.sections[(y - WORLD_MIN_Y) >> SECTION_SHIFT];
+        if (section) section.setMeta(x, (y - WORLD_MIN_Y) & SECTION_MASK, z, value);
+    }
+
+    // Light level of one channel (LIGHT_CHANNEL.SKY or .BLOCK); above the world is open sky, below it is dark
+    getLight(x, y, z, channel) {
+        const packed = readPackedLight(this.light, x, y, z);
+        return channel === LIGHT_CHANNEL.SKY ? packed >> 4 : packed & 0xF;
+    }
+    // Both channels in one byte: skylight << 4 | block light
+    getPackedLight(x, y, z) {
+        return readPackedLight(this.light, x, y, z);
+    }
+    setLight(x, y, z, channel, level) {
+        const index = (y - WORLD_MIN_Y) >> SECTION_SHIFT;
+        let light = this.light[index];
+        if (!light) {
+            if (channel === LIGHT_CHANNEL.SKY ? level === MAX_LIGHT : level === 0) return; // Unchanged open sky
+            light = this.light[index] = new Uint8Array(SECTION_VOLUME).fill(FULL_SKYLIGHT);
+        }
+        const i = ChunkSection.index(x, (y - WORLD_MIN_Y) & SECTION_MASK, z);
+        light[i] = channel === LIGHT_CHANNEL.SKY ? (level << 4) | (light[i] & 0xF) : (light[i] & 0xF0) | level;
+    }
+    // Copies of the light arrays, for meshing in a worker
+    copyLight() {
+        return this.light.map(light => light && light.slice());
+    }
+
+    get isPacked() {
+        return this.sections.some(section => section && !section.blocks);
+    }
+    // Packs every section that fits a 16-entry palette (sections with more block types stay flat)
+    pack() {
+        for (const section of this.sections) section?.pack();
+    }
+    unpack() {
+        for (const section of this.sections) section?.unpack();
+    }
+
+    // Compact binary form: header, then per section a flags byte and (if present) its palette,
+    // RLE'd bit-packed indices and optional RLE'd metadata
+    serialize() {
+        const parts = [Uint8Array.of(CHUNK_FORMAT_VERSION, SECTIONS_PER_CHUNK, WORLD_MIN_Y & 0xFF, (WORLD_MIN_Y >> 8) & 0xFF)];
+        for (const section of this.sections) {
+            if (!section) {
+                parts.push(Uint8Array.of(0)); // Flags: not present
+                continue;
+            }
+            const blocks = section.blocks ?? decodePalette(section.palette, section.packed, section.bitsPerBlock);
+            const { palette, packed, bitsPerBlock } = encodePalette(blocks, 8);
+            const blockBytes = rleEncode(packed);
+            const metaBytes = section.meta ? rleEncode(section.meta) : null;
+            // Flags: bit 0 = present, bit 1 = metadata present
+            parts.push(Uint8Array.of(metaBytes ? 3 : 1, bitsPerBlock, palette.length - 1), palette, uint32Bytes(blockBytes.length), blockBytes);
+            if (metaBytes) parts.push(uint32Bytes(metaBytes.length), metaBytes);
+        }
+
+        const out = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            out.set(part, offset);
+            offset += part.length;
+        }
+        return out;
+    }
+    static deserialize(chunkX, chunkZ, bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 0;
+        const version = bytes[offset++];
+        if (version === FLAT_CHUNK_FORMAT_VERSION) return deserializeFlatChunk(chunkX, chunkZ, bytes);
+        if (version !== CHUNK_FORMAT_VERSION) {
+            throw new Error(`Unsupported chunk format version ${version}`);
+        }
+        const sectionCount = bytes[offset++];
+        const minY = view.getInt16(offset, true); offset += 2;
+        if (sectionCount !== SECTIONS_PER_CHUNK || minY !== WORLD_MIN_Y) {
+            throw new Error(`Chunk was saved for a different world height (${sectionCount} sections from y=${minY})`);
+        }
+
+        const chunk = new Chunk(chunkX, chunkZ);
+        for (let i = 0; i < sectionCount; i++) {
+            const flags = bytes[offset++];
+            if ((flags & 1) === 0) continue;
+            const bitsPerBlock = bytes[offset++];
+            const paletteLength = bytes[offset++] + 1;
+            const palette = bytes.slice(offset, offset + paletteLength); offset += paletteLength;
+            const blockLength = view.getUint32(offset, true); offset += 4;
+            const packed = rleDecode(bytes.subarray(offset, offset + blockLength), (SECTION_VOLUME * bitsPerBlock) >> 3); offset += blockLength;
+            let meta = null;
+            if (flags & 2) {
+                const metaLength = view.getUint32(offset, true); offset += 4;
+                meta = rleDecode(bytes.subarray(offset, offset + metaLength), SECTION_VOLUME); offset += metaLength;
+            }
+            chunk.sections[i] = new ChunkSection(decodePalette(palette, packed, bitsPerBlock), meta);
+        }
+        return chunk;
+    }
+}
+
+// Reads a version 1 (flat) save: header [version, bitsPerBlock, palette length - 1, flags (bit 0 = metadata)],
+// palette, then the RLE'd bit-packed indices and optional RLE'd metadata, each after a uint32 length. The saved
+// blocks replace y = 0-127 of the generated chunk, so the layers added below (and above) come from the seed.
+// Marked dirty, so the next save rewrites it in the current format.
+function deserializeFlatChunk(chunkX, chunkZ, bytes) {
+    const volume = CHUNK_SIZE_X * FLAT_CHUNK_HEIGHT * CHUNK_SIZE_Z;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 1;
+    const bitsPerBlock = bytes[offset++];
+    const paletteLength = bytes[offset++] + 1;
+    const hasMeta = (bytes[offset++] & 1) !== 0;
+    const palette = bytes.slice(offset, offset + paletteLength); offset += paletteLength;
+    const blockLength = view.getUint32(offset, true); offset += 4;
+    const packed = rleDecode(bytes.subarray(offset, offset + blockLength), (volume * bitsPerBlock) >> 3); offset += blockLength;
+    const blocks = decodePalette(palette, packed, bitsPerBlock, volume);
+    let meta = null;
+    if (hasMeta) {
+        const metaLength = view.getUint32(offset, true); offset += 4;
+        meta = rleDecode(bytes.subarray(offset, offset + metaLength), volume);
+    }
+
+    const chunk = generateChunkData(chunkX, chunkZ);
+    for (let y = 0, i = 0; y < FLAT_CHUNK_HEIGHT; y++) { // Same y-major order as the flat array
+        for (let z = 0; z < CHUNK_SIZE_Z; z++) {
+            for (let x = 0; x < CHUNK_SIZE_X; x++, i++) {
+                chunk.set(x, y, z, blocks[i]);
+                chunk.setMeta(x, y, z, meta ? meta[i] : 0);
+            }
+        }
+    }
+    chunk.dirty = true;
+    return chunk;
+}
+
+const uint32Bytes = (value) => { // Little-endian
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value, true);
+    return bytes;
+};
+
+// Builds a palette + bit-packed index array (1, 2, 4 or 8 bits per block), or null if the
+// blocks need more bits than `maxBits`
+function encodePalette(blocks, maxBits) {
+    const lookup = new Int16Array(256).fill(-1);
+    const paletteList = [];
+    for (let i = 0; i < blocks.length; i++) {
+        const type = blocks[i];
+        if (lookup[type] === -1) {
+            lookup[type] = paletteList.length;
+            paletteList.push(type);
+        }
+    }
+    let bitsPerBlock = 1;
+    while ((1 << bitsPerBlock) < paletteList.length) bitsPerBlock *= 2; // 1, 2, 4, 8 keep entries byte-aligned
+    if (bitsPerBlock > maxBits) return null;
+
+    const packed = new Uint8Array((blocks.length * bitsPerBlock) >> 3);
+    for (let i = 0; i < blocks.length; i++) {
+        const bitIndex = i * bitsPerBlock;
+        packed[bitIndex >> 3] |= lookup[blocks[i]] << (bitIndex & 7);
+    }
+    return { palette: Uint8Array.from(paletteList), packed, bitsPerBlock };
+}
+function decodePalette(palette, packed, bitsPerBlock, length = SECTION_VOLUME) {
+    const blocks = new Uint8Array(length);
+    const mask = (1 << bitsPerBlock) - 1;
+    for (let i = 0; i < length; i++) {
+        const bitIndex = i * bitsPerBlock;
+        blocks[i] = palette[(packed[bitIndex >> 3] >> (bitIndex & 7)) & mask];
+    }
+    return blocks;
+}
+// Run-length encoding as [count (1-255), value] byte pairs; sections are mostly long runs of air/stone
+function rleEncode(bytes) {
+    const out = [];
+    for (let i = 0; i < bytes.length;) {
+        const value = bytes[i];
+        let run = 1;
+        while (run < 255 && i + run < bytes.length && bytes[i + run] === value) run++;
+        out.push(run, value);
+        i += run;
+    }
+    return Uint8Array.from(out);
+}
+function rleDecode(bytes, length) {
+    const out = new Uint8Array(length);
+    let offset = 0;
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        out.fill(bytes[i + 1], offset, offset + bytes[i]);
+        offset += bytes[i];
+    }
+    return out;
+}
+
+// --- Chunk Keys & Water Levels ---
+// Get a unique string key for a chunk
+export function getChunkKey(chunkX, chunkZ) {
+    return `${chunkX},${chunkZ}`;
+}
+// Surface height of a water block within its cell (0-1), used for rendering
+export function getWaterSurfaceHeight(level) {
+    return level === WATER_FALLING ? 1.0 : (8 - level) / 9;
+}
+
+// --- Biomes ---
+// Each biome sits at a point in (temperature, moisture) space. Columns blend the heights of nearby
+// biomes by climate distance (smooth borders); surface blocks and features come from the dominant one.
+// Heights are fractions of TERRAIN_HEIGHT. `altitudeSurfaces` (highest first) override the surface above minY.
+// `overhang` (0-1, default 0) switches the terrain near the surface to 3D density so cliffs can overhang.
+// Feature `size` ranges mean trunk/cactus height for plants and radius for boulders.
+// `groundCover` lists the plants growing on the biome's grass, with their chance per column.
+export const BIOMES = {
+    PLAINS: {
+        name: 'Plains', temperature: 0.6, moisture: 0.45,
+        baseHeight: 0.3, heightVariation: 0.08, ridged: false,
+        surface: BLOCK_TYPE.GRASS, subsurface: BLOCK_TYPE.DIRT,
+        features: [
+            { kind: 'oak', chance: 0.003, minSize: 4, maxSize: 6 },
+            { kind: 'boulder', chance: 0.002, minSize: 1.2, maxSize: 2.2 }
+        ],
+        groundCover: [
+            { block: BLOCK_TYPE.TALL_GRASS, chance: 0.12 },
+            { block: BLOCK_TYPE.FLOWER, chance: 0.015 }
+        ]
+    },
+    FOREST: {
+        name: 'Forest', temperature: 0.5, moisture: 0.8,
+        baseHeight: 0.32, heightVariation: 0.14, ridged: false,
+        surface: BLOCK_TYPE.GRASS, subsurface: BLOCK_TYPE.DIRT,
+        features: [
+            { kind: 'oak', chance: 0.03, minSize: 5, maxSize: 8 }
+        ],
+        groundCover: [
+            { block: BLOCK_TYPE.TALL_GRASS, chance: 0.08 },
+            { block: BLOCK_TYPE.FLOWER, chance: 0.01 }
+        ]
+    },
+    DESERT: {
+        name: 'Desert', temperature: 0.85, moisture: 0.2,
+        baseHeight: 0.28, heightVariation: 0.06, ridged: false,
+        surface: BLOCK_TYPE.SAND, subsurface: BLOCK_TYPE.SAND,
+        features: [
+            { kind: 'cactus', chance: 0.006, minSize: 1, maxSize: 3 }
+        ]
+    },
+    TUNDRA: {
+        name: 'Snowy Tundra', temperature: 0.12, moisture: 0.55,
+        baseHeight: 0.31, heightVariation: 0.12, ridged: false,
+        surface: BLOCK_TYPE.SNOW, subsurface: BLOCK_TYPE.DIRT,
+        features: [
+            { kind: 'spruce', chance: 0.008, minSize: 6, maxSize: 9 },
+            { kind: 'boulder', chance: 0.001, minSize: 1.2, maxSize: 2.0 }
+        ]
+    },
+    MOUNTAINS: {
+        name: 'Mountains', temperature: 0.3, moisture: 0.2,
+        baseHeight: 0.36, heightVariation: 0.45, ridged: true, overhang: 1.0,
+        surface: BLOCK_TYPE.GRASS, subsurface: BLOCK_TYPE.DIRT,
+        altitudeSurfaces: [
+            { minY: Math.floor(TERRAIN_HEIGHT * 0.62), surface: BLOCK_TYPE.SNOW, subsurface: BLOCK_TYPE.STONE },
+            { minY: Math.floor(TERRAIN_HEIGHT * 0.5), surface: BLOCK_TYPE.STONE, subsurface: BLOCK_TYPE.STONE }
+        ],
+        features: [
+            { kind: 'spruce', chance: 0.004, minSize: 5, maxSize: 8 },
+            { kind: 'boulder', chance: 0.003, minSize: 1.2, maxSize: 2.2 }
+        ],
+        groundCover: [
+            { block: BLOCK_TYPE.TALL_GRASS, chance: 0.04 }
+        ]
+    }
+};
+const BIOME_LIST = Object.values(BIOMES);
+// Highest total feature chance of any biome; columns rolling above it can skip the biome lookup
+const MAX_FEATURE_CHANCE = Math.max(...BIOME_LIST.map(b => b.features.reduce((sum, f) => sum + f.chance, 0)));
+const CLIMATE_SCALE = 0.003; // Low frequency: biomes span a few hundred blocks
+const BIOME_BLEND_SHARPNESS = 3; // Higher = narrower blend zones between biomes
+
+// Climate at a world column, both values roughly in [0, 1]
+function sampleClimate(worldX, worldZ) {
+    // Large offsets decorrelate the two maps (and the height noise) while sharing one permutation table
+    const temperature = 0.5 + octaveNoise(worldX + 7919, worldZ - 4231, 3, 0.5, 2.0, CLIMATE_SCALE);
+    const moisture = 0.5 + octaveNoise(worldX - 15331, worldZ + 9151, 3, 0.5, 2.0, CLIMATE_SCALE);
+    return {
+        temperature: clamp(temperature, 0, 1),
+        moisture: clamp(moisture, 0, 1)
+    };
+}
+
+// Terrain description for one world column: { height, biome, surface, subsurface, overhang }
+// `height` is the first AIR block above the (heightmap) surface. Pure function of seed + coordinates.
+export function sampleColumn(worldX, worldZ) {
+    const { temperature, moisture } = sampleClimate(worldX, worldZ);
+    const smoothNoise = octaveNoise(worldX, worldZ, 5, 0.5, 2.0, 0.012); // Rolling hills in [-1, 1]
+    const ridgeNoise = 1 - Math.abs(octaveNoise(worldX + 2113, worldZ + 3797, 5, 0.5, 2.0, 0.008)) * 2; // Sharp crests in ~[0, 1]
+    const ridgeShape = Math.max(0, ridgeNoise) ** 2;
+
+    // Inverse-distance weights in climate space, normalised below
+    let totalWeight = 0, blendedHeight = 0, blendedOverhang = 0, biome = BIOME_LIST[0], bestWeight = -1;
+    for (const candidate of BIOME_LIST) {
+        const dt = temperature - candidate.temperature;
+        const dm = moisture - candidate.moisture;
+        const weight = 1 / ((dt * dt + dm * dm + 1e-4) ** BIOME_BLEND_SHARPNESS);
+        const shape = candidate.ridged ? ridgeShape : smoothNoise;
+        const height = (candidate.baseHeight + shape * candidate.heightVariation) * TERRAIN_HEIGHT;
+        blendedHeight += height * weight;
+        blendedOverhang += (candidate.overhang ?? 0) * weight;
+        totalWeight += weight;
+        if (weight > bestWeight) { bestWeight = weight; biome = candidate; }
+    }
+    const height = clamp(Math.floor(blendedHeight / totalWeight), WORLD_MIN_Y + 1, WORLD_MAX_Y - 1);
+
+    let surface = biome.surface, subsurface = biome.subsurface;
+    for (const band of biome.altitudeSurfaces ?? []) {
+        if (height - 1 >= band.minY) { surface = band.surface; subsurface = band.subsurface; break; }
+    }
+    // Shores and sea floors become sand instead of grass
+    if (height <= SEA_LEVEL + 1 && surface === BLOCK_TYPE.GRASS) {
+        surface = BLOCK_TYPE.SAND;
+        subsurface = BLOCK_TYPE.SAND;
+    }
+
+    const overhang = blendedOverhang / totalWeight;
+    return { height, biome, surface, subsurface, overhang: overhang > 0.02 ? overhang : 0 };
+}
+// --- Caves & Overhangs (3D noise) ---
+// Everything here is a pure function of world coordinates, so caves and cliffs line up across chunk borders.
+const OVERHANG_BAND = 12; // Blocks above/below the heightmap surface where density noise can reshape terrain
+const OVERHANG_SCALE = 0.045;
+const CAVE_FLOOR_Y = WORLD_MIN_Y; // This layer is never carved, so there is always a floor under the world
+const TUNNEL_SCALE = 0.028; // Frequency of the winding tunnel noise
+const TUNNEL_RADIUS = 0.095; // Tunnels follow where both tunnel noises are near zero; larger = wider tunnels
+const CAVERN_SCALE = 0.022;
+const CAVERN_THRESHOLD = 0.56; // Cavern noise above this opens a large chamber
+const CAVERN_MIN_DEPTH = 12; // Caverns stay at least this far below the surface (tunnels may break through)
+
+// Solid terrain before carving: a plain heightmap, or a density field in overhang biomes
+function isTerrainSolid(worldX, worldY, worldZ, column) {
+    if (column.overhang === 0) return worldY < column.height;
+    if (worldY < column.height - OVERHANG_BAND) return true;
+    if (worldY >= column.height + OVERHANG_BAND) return false;
+    // Density falls off with height above the surface; 3D noise pushes it in and out to form overhangs
+    const gradient = (column.height - worldY) / OVERHANG_BAND;
+    const noise = octaveNoise3D(worldX, worldY * 1.3, worldZ, 3, 0.5, 2.0, OVERHANG_SCALE); // Slightly squashed vertically
+    return gradient + noise * column.overhang * 1.6 > 0;
+}
+
+// Highest block that can be solid in this column (density terrain can rise above the heightmap)
+function columnTopY(column) {
+    const top = column.overhang === 0 ? column.height - 1 : column.height + OVERHANG_BAND - 1;
+    return Math.min(top, WORLD_MAX_Y - 1);
+}
+
+// Whether the cave pass removes this (otherwise solid) block
+function isCaveCarved(worldX, worldY, worldZ, column) {
+    if (worldY <= CAVE_FLOOR_Y) return false;
+    // Winding tunnels: the intersection of two noise "zero surfaces" forms long worm-like tubes
+    const a = valueNoise3D(worldX, worldY * 1.6, worldZ, TUNNEL_SCALE);
+    if (Math.abs(a) < TUNNEL_RADIUS) { // Only sample the second noise when the first is close enough
+        const b = valueNoise3D(worldX + 5171, worldY * 1.6 - 2791, worldZ + 1303, TUNNEL_SCALE);
+        if (a * a + b * b < TUNNEL_RADIUS * TUNNEL_RADIUS) return true;
+    }
+    // Large caverns deeper down, flattened so they have usable floors
+    if (worldY < column.height - CAVERN_MIN_DEPTH) {
+        const cavern = octaveNoise3D(worldX - 811, worldY * 2.0, worldZ + 3307, 2, 0.5, 2.0, CAVERN_SCALE);
+        if (cavern > CAVERN_THRESHOLD) return true;
+    }
+    return false;
+}
+
+// First AIR block above the topmost solid terrain block of a column (after carving), or null if there is none
+export function findSurfaceY(worldX, worldZ, column) {
+    for (let y = columnTopY(column); y > CAVE_FLOOR_Y; y--) {
+        if (!isTerrainSolid(worldX, y, worldZ, column)) continue;
+        return isCaveCarved(worldX, y, worldZ, column) ? null : y + 1; // Ground opened by a cave entrance
+    }
+    return null;
+}
+
+// Generate terrain data for a chunk using noise
+export function generateChunkData(chunkX, chunkZ) {
+    const chunk = new Chunk(chunkX, chunkZ); // Starts as all AIR
+
+    const terrainRandom = createChunkRandom(chunkX, chunkZ, RNG_SALT.TERRAIN);
+    const columnBiomes = new Array(CHUNK_SIZE_X * CHUNK_SIZE_Z); // For the ground cover, after decorating
+
+    for (let lx = 0; lx < CHUNK_SIZE_X; lx++) {
+        for (let lz = 0; lz < CHUNK_SIZE_Z; lz++) {
+            const worldX = chunkX * CHUNK_SIZE_X + lx;
+            const worldZ = chunkZ * CHUNK_SIZE_Z + lz;
+
+            // Biome-blended terrain height and surface layers
+            const column = sampleColumn(worldX, worldZ);
+            columnBiomes[lx * CHUNK_SIZE_Z + lz] = column.biome;
+            const soilDepth = 3 + Math.floor(terrainRandom() * 3); // 3-5 blocks of soil/surface on top of stone
+
+            // Fill from the top down: the first solid block under air gets the surface block, the next
+            // ones the subsurface, then stone. This also covers the tops of overhangs.
+            let depthBelowAir = 0;
+            for (let ly = columnTopY(column); ly >= WORLD_MIN_Y; ly--) {
+                if (!isTerrainSolid(worldX, ly, worldZ, column)) {
+                    depthBelowAir = 0;
+                    continue;
+                }
+                const blockType = depthBelowAir === 0 ? column.surface : depthBelowAir < soilDepth ? column.subsurface : BLOCK_TYPE.STONE;
+                depthBelowAir++;
+                // Carve caves after layering so cave floors stay stone instead of growing grass
+                if (isCaveCarved(worldX, ly, worldZ, column)) continue;
+                chunk.set(lx, ly, lz, blockType);
+            }
+
+            // Fill open air below sea level down to the first solid block (caves under the sea floor stay dry)
+            for (let ly = SEA_LEVEL - 1; ly > WORLD_MIN_Y && chunk.get(lx, ly, lz) === BLOCK_TYPE.AIR; ly--) {
+                chunk.set(lx, ly, lz, BLOCK_TYPE.WATER); // Generated water is all source blocks
+            }
+        }
+    }
+
+    decorateChunk(chunk); // Trees, boulders, ... (including ones rooted in neighbours)
+    growGroundCover(chunk, columnBiomes);
+    return chunk;
+}
+
+// Plants on the topmost grass of each column, after decorating so they never block a trunk. Each plant
+// fills a single block, so unlike features they can be placed chunk by chunk.
+function growGroundCover(chunk, columnBiomes) {
+    const random = createChunkRandom(chunk.x, chunk.z, RNG_SALT.GROUND_COVER);
+    let topSection = SECTIONS_PER_CHUNK - 1;
+    while (topSection >= 0 && !chunk.sections[topSection]) topSection--;
+    const topY = WORLD_MIN_Y + (topSection + 1) * SECTION_SIZE;
+    for (let lx = 0; lx < CHUNK_SIZE_X; lx++) {
+        for (let lz = 0; lz < CHUNK_SIZE_Z; lz++) {
+            const roll = random(); // Drawn for every column so the stream stays aligned
+            const cover = columnBiomes[lx * CHUNK_SIZE_Z + lz].groundCover;
+            if (!cover) continue;
+            let ly = topY - 1;
+            while (ly >= WORLD_MIN_Y && chunk.get(lx, ly, lz) === BLOCK_TYPE.AIR) ly--;
+            if (ly < WORLD_MIN_Y || ly + 1 >= WORLD_MAX_Y || chunk.get(lx, ly, lz) !== BLOCK_TYPE.GRASS) continue;
+
+            let threshold = 0;
+            for (const plant of cover) {
+                threshold += plant.chance;
+                if (roll < threshold) {
+                    chunk.set(lx, ly + 1, lz, plant.block);
+                    break;
+                }
+            }
+        }
+    }
+}
+
+// --- Ores ---
+// Distribution table: tune ores here without touching the generator. Veins only replace STONE.
+//   minY/maxY: height range for vein centres, veinSize: rough number of blocks per vein,
+//   veinsPerChunk: average vein attempts per chunk (fractions are rolled).
+const ORE_TABLE = [
+    { block: BLOCK_TYPE.COAL_ORE,    minY: 5,               maxY: 90, veinSize: 14, veinsPerChunk: 16 },
+    { block: BLOCK_TYPE.IRON_ORE,    minY: WORLD_MIN_Y + 3, maxY: 60, veinSize: 8,  veinsPerChunk: 20 },
+    { block: BLOCK_TYPE.GOLD_ORE,    minY: WORLD_MIN_Y + 2, maxY: 30, veinSize: 7,  veinsPerChunk: 8 },
+    { block: BLOCK_TYPE.DIAMOND_ORE, minY: WORLD_MIN_Y + 1, maxY: 16, veinSize: 5,  veinsPerChunk: 4 }
+];
+const MAX_VEIN_SIZE = 32; // Keeps veins well inside DECORATION_REACH
+
+// Plans the ore veins rooted in one chunk as underground features
+function planOreVeins(chunkX, chunkZ) {
+    const random = createChunkRandom(chunkX, chunkZ, RNG_SALT.ORES);
+    const veins = [];
+    for (const ore of ORE_TABLE) {
+        const attempts = Math.floor(ore.veinsPerChunk) + (random() < ore.veinsPerChunk % 1 ? 1 : 0);
+        for (let i = 0; i < attempts; i++) {
+            // Random centre and direction; the vein is a capsule of blobs along that direction
+            const x = chunkX * CHUNK_SIZE_X + random() * CHUNK_SIZE_X;
+            const y = ore.minY + random() * (ore.maxY - ore.minY);
+            const z = chunkZ * CHUNK_SIZE_Z + random() * CHUNK_SIZE_Z;
+            const yaw = random() * Math.PI * 2;
+            const pitch = (random() - 0.5) * Math.PI * 0.5;
+            veins.push({
+                kind: 'oreVein', block: ore.block, x, y, z,
+                size: Math.min(ore.veinSize * (0.6 + random() * 0.8), MAX_VEIN_SIZE),
+                dirX: Math.cos(yaw) * Math.cos(pitch), dirY: Math.sin(pitch), dirZ: Math.sin(yaw) * Math.cos(pitch)
+            });
+        }
+    }
+    return veins;
+}
+
+// --- Decorations (features that may straddle chunk borders) ---
+// Features are planned per *origin* chunk from that chunk's seeded random stream, so a plan never
+// depends on which chunks happen to be loaded. When a chunk is generated it replays the plans of
+// itself and every neighbour within DECORATION_REACH and keeps only the blocks that land inside it.
+// The same feature therefore writes identical blocks into every chunk it touches, whatever the load order.
+const DECORATION_REACH = 1; // In chunks; features must not extend further than this from their origin chunk
+const MAX_FEATURE_CACHE = 256; // Planned feature lists kept around for neighbours that ask again
+const featurePlanCache = new Map(); // { `${x},${z}`: { underground: [feature, ...], surface: [feature, ...] } }
+
+// Plans the features rooted in one chunk (pure function of seed + chunk coordinates).
+// Underground features (ore veins) are placed in a pass before surface ones (trees, boulders).
+function planChunkFeatures(chunkX, chunkZ) {
+    const key = getChunkKey(chunkX, chunkZ);
+    const cached = featurePlanCache.get(key);
+    if (cached) return cached;
+
+    const random = createChunkRandom(chunkX, chunkZ, RNG_SALT.FEATURES);
+    const features = [];
+    for (let lx = 0; lx < CHUNK_SIZE_X; lx++) {
+        for (let lz = 0; lz < CHUNK_SIZE_Z; lz++) {
+            const roll = random(); // Drawn for every column so the stream stays aligned
+            const sizeRoll = random();
+            if (roll >= MAX_FEATURE_CHANCE) continue; // No biome places anything on this roll
+
+            const worldX = chunkX * CHUNK_SIZE_X + lx;
+            const worldZ = chunkZ * CHUNK_SIZE_Z + lz;
+            const column = sampleColumn(worldX, worldZ);
+            const groundY = findSurfaceY(worldX, worldZ, column); // First air block above the ground (caves/overhangs included)
+            if (groundY === null || groundY < SEA_LEVEL || groundY >= WORLD_MAX_Y) continue; // Nothing grows under water
+            const biome = column.biome;
+
+            // Pick at most one feature per column from the biome's table
+            let threshold = 0;
+            for (const spec of biome.features) {
+                threshold += spec.chance;
+                if (roll < threshold) {
+                    const size = spec.minSize + sizeRoll * (spec.maxSize - spec.minSize);
+                    features.push({ kind: spec.kind, x: worldX, y: groundY, z: worldZ, size });
+                    break;
+                }
+            }
+        }
+    }
+
+    const plan = { underground: planOreVeins(chunkX, chunkZ), surface: features };
+    featurePlanCache.set(key, plan);
+    if (featurePlanCache.size > MAX_FEATURE_CACHE) {
+        featurePlanCache.delete(featurePlanCache.keys().next().value); // Drop the oldest plan
+    }
+    return plan;
+}
+
+// Writes every feature overlapping this chunk into its data
+function decorateChunk(chunk) {
+    const { x: chunkX, z: chunkZ } = chunk;
+    const originX = chunkX * CHUNK_SIZE_X;
+    const originZ = chunkZ * CHUNK_SIZE_Z;
+
+    // Clipped writer in world coordinates; `canReplace` decides which existing blocks may be overwritten
+    const writeBlock = (worldX, worldY, worldZ, blockType, canReplace) => {
+        const lx = worldX - originX;
+        const lz = worldZ - originZ;
+        if (lx < 0 || lx >= CHUNK_SIZE_X || lz < 0 || lz >= CHUNK_SIZE_Z || worldY < WORLD_MIN_Y || worldY >= WORLD_MAX_Y) return;
+        if (canReplace(chunk.get(lx, worldY, lz))) chunk.set(lx, worldY, lz, blockType);
+    };
+
+    // Iterate origin chunks in a fixed world order so overlapping features resolve the same way everywhere
+    for (const stage of ['underground', 'surface']) {
+        for (let dx = -DECORATION_REACH; dx <= DECORATION_REACH; dx++) {
+            for (let dz = -DECORATION_REACH; dz <= DECORATION_REACH; dz++) {
+                for (const feature of planChunkFeatures(chunkX + dx, chunkZ + dz)[stage]) {
+                    FEATURE_PLACERS[feature.kind](feature, writeBlock);
+                }
+            }
+        }
+    }
+}
+
+const replacesAir = (blockType) => blockType === BLOCK_TYPE.AIR;
+const replacesAirOrLeaves = (blockType) => blockType === BLOCK_TYPE.AIR || blockType === BLOCK_TYPE.LEAVES;
+const replacesStone = (blockType) => blockType === BLOCK_TYPE.STONE;
+
+// Feature placers: (feature, writeBlock) => void, all coordinates in world space
+const FEATURE_PLACERS = {
+    oreVein(feature, writeBlock) {
+        const { x, y, z, size, dirX, dirY, dirZ, block } = feature;
+        // Blobs along a short segment, fattest in the middle; volume roughly matches `size`
+        const length = Math.cbrt(size) * 1.6;
+        const maxRadius = 0.6 + Math.cbrt(size) * 0.4;
+        const steps = Math.max(2, Math.ceil(length * 2));
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const radius = maxRadius * (0.5 + 0.5 * Math.sin(t * Math.PI));
+            const cx = x + dirX * (t - 0.5) * length;
+            const cy = y + dirY * (t - 0.5) * length;
+            const cz = z + dirZ * (t - 0.5) * length;
+            const r = Math.ceil(radius);
+            for (let bx = Math.floor(cx) - r; bx <= Math.floor(cx) + r; bx++) {
+                for (let by = Math.floor(cy) - r; by <= Math.floor(cy) + r; by++) {
+                    for (let bz = Math.floor(cz) - r; bz <= Math.floor(cz) + r; bz++) {
+                        const ddx = bx + 0.5 - cx, ddy = by + 0.5 - cy, ddz = bz + 0.5 - cz;
+                        if (ddx * ddx + ddy * ddy + ddz * ddz > radius * radius) continue;
+                        writeBlock(bx, by, bz, block, replacesStone);
+                    }
+                }
+            }
+        }
+    },
+    oak(feature, writeBlock) {
+        const { x, y, z } = feature;
+        const height = Math.round(feature.size);
+        // Create trunk (may push through leaves of a neighbouring tree)
+        for (let h = 0; h < height; h++) {
+            writeBlock(x, y + h, z, BLOCK_TYPE.WOOD, replacesAirOrLeaves);
+        }
+
+        // Create leaves (simple sphere/cube shape)
+        const leafRadius = height > 6 ? 3 : 2.5; // Taller forest trees get fuller crowns
+        const leafRadiusInt = Math.ceil(leafRadius);
+        const leafCenterY = y + height - 1; // Center leaves around top of trunk
+        for (let dy = -leafRadiusInt; dy <= leafRadiusInt; dy++) {
+            for (let dx = -leafRadiusInt; dx <= leafRadiusInt; dx++) {
+                for (let dz = -leafRadiusInt; dz <= leafRadiusInt; dz++) {
+                    // Check distance for spherical shape
+                    if (dx*dx + dy*dy + dz*dz > leafRadius * leafRadius) continue;
+                    // Only place leaves into AIR (don't overwrite trunks or terrain)
+                    writeBlock(x + dx, leafCenterY + dy, z + dz, BLOCK_TYPE.LEAVES, replacesAir);
+                }
+            }
+        }
+    },
+    spruce(feature, writeBlock) {
+        const { x, y, z } = feature;
+        const height = Math.round(feature.size);
+        for (let h = 0; h < height; h++) {
+            writeBlock(x, y + h, z, BLOCK_TYPE.WOOD, replacesAirOrLeaves);
+        }
+        // Cone of leaves: widest near the bottom of the crown, a single tip above the trunk
+        const crownBase = y + 2;
+        const crownTop = y + height;
+        for (let ly = crownBase; ly <= crownTop; ly++) {
+            const t = (crownTop - ly) / (crownTop - crownBase); // 1 at the bottom, 0 at the tip
+            const radius = ly === crownTop ? 0 : 0.6 + t * 2.2 - ((ly - crownBase) % 2) * 0.6; // Alternate layer widths
+            const r = Math.ceil(radius);
+            for (let dx = -r; dx <= r; dx++) {
+                for (let dz = -r; dz <= r; dz++) {
+                    if (dx*dx + dz*dz > radius * radius + 0.5) continue;
+                    writeBlock(x + dx, ly, z + dz, BLOCK_TYPE.LEAVES, replacesAir);
+                }
+            }
+        }
+    },
+    cactus(feature, writeBlock) {
+        const { x, y, z } = feature;
+        const height = Math.round(feature.size);
+        for (let h = 0; h < height; h++) {
+            writeBlock(x, y + h, z, BLOCK_TYPE.CACTUS, replacesAir);
+        }
+    },
+    boulder(feature, writeBlock) {
+        const { x, y, z } = feature;
+        const radius = feature.size;
+        const r = Math.ceil(radius);
+        // Squashed sphere resting on the ground
+        for (let dy = -1; dy <= r; dy++) {
+            for (let dx = -r; dx <= r; dx++) {
+                for (let dz = -r; dz <= r; dz++) {
+                    const distSq = dx*dx + (dy * 1.4) * (dy * 1.4) + dz*dz;
+                    if (distSq > radius * radius) continue;
+                    writeBlock(x + dx, y + dy, z + dz, BLOCK_TYPE.STONE, replacesAirOrLeaves);
+                }
+            }
+        }
+    }
+};
+
+// --- Lighting ---
+// The initial lighting of a chunk (see light.js for the propagation itself, and the block registry for how
+// much light each block absorbs or gives off). A chunk is first lit on its own, where it is generated; the
+// main thread then lets light flow across its borders once neighbours are loaded, and relights around
+// every changed block.
+
+// Packed light (skylight << 4 | block light) from per-section light arrays; local x/z, world y
+function readPackedLight(light, x, y, z) {
+    if (y >= WORLD_MAX_Y) return FULL_SKYLIGHT;
+    if (y < WORLD_MIN_Y) return 0;
+    const section = light[(y - WORLD_MIN_Y) >> SECTION_SHIFT];
+    return section ? section[ChunkSection.index(x, (y - WORLD_MIN_Y) & SECTION_MASK, z)] : FULL_SKYLIGHT;
+}
+
+// Lights a chunk from scratch, without its neighbours (cells beyond its sides neither give nor take light)
+export function computeChunkLight(chunk) {
+    // Above the highest non-empty section everything is open sky, which unstored (null) light already means
+    let topSection = SECTIONS_PER_CHUNK - 1;
+    while (topSection >= 0 && !chunk.sections[topSection]) topSection--;
+    chunk.light = new Array(SECTIONS_PER_CHUNK).fill(null);
+    for (let i = 0; i <= topSection; i++) chunk.light[i] = new Uint8Array(SECTION_VOLUME); // Dark until lit
+    const skyTopY = WORLD_MIN_Y + (topSection + 1) * SECTION_SIZE;
+
+    // Sunlight falls straight down each column until something absorbs it
+    const skyBottom = new Int32Array(CHUNK_SIZE_X * CHUNK_SIZE_Z); // Lowest directly sunlit y per column
+    for (let x = 0; x < CHUNK_SIZE_X; x++) {
+        for (let z = 0; z < CHUNK_SIZE_Z; z++) {
+            let y = skyTopY - 1;
+            for (; y >= WORLD_MIN_Y && lightOpacity(chunk.get(x, y, z)) === 0; y--) chunk.setLight(x, y, z, LIGHT_CHANNEL.SKY, MAX_LIGHT);
+            skyBottom[x * CHUNK_SIZE_Z + z] = y + 1;
+        }
+    }
+    // Spread it sideways and into dimming blocks from the sunlit cells next to darker columns
+    const skyQueue = [];
+    for (let x = 0; x < CHUNK_SIZE_X; x++) {
+        for (let z = 0; z < CHUNK_SIZE_Z; z++) {
+            const bottom = skyBottom[x * CHUNK_SIZE_Z + z];
+            let shadedUpTo = bottom; // Exclusive: neighbouring columns are unlit below this height
+            for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const nx = x + dx, nz = z + dz;
+                if (nx < 0 || nx >= CHUNK_SIZE_X || nz < 0 || nz >= CHUNK_SIZE_Z) continue;
+                shadedUpTo = Math.max(shadedUpTo, skyBottom[nx * CHUNK_SIZE_Z + nz]);
+            }
+            for (let y = bottom; y <= Math.min(shadedUpTo, skyTopY - 1); y++) skyQueue.push(x, y, z);
+        }
+    }
+
+    // Glowing blocks light their surroundings
+    const blockQueue = [];
+    chunk.sections.forEach((section, sectionY) => {
+        if (!section) return;
+        for (let sy = 0; sy < SECTION_SIZE; sy++) {
+            for (let z = 0; z < CHUNK_SIZE_Z; z++) {
+                for (let x = 0; x < CHUNK_SIZE_X; x++) {
+                    const emission = lightEmission(section.get(x, sy, z));
+                    if (emission === 0) continue;
+                    const y = WORLD_MIN_Y + sectionY * SECTION_SIZE + sy;
+                    chunk.setLight(x, y, z, LIGHT_CHANNEL.BLOCK, emission);
+                    blockQueue.push(x, y, z);
+                }
+            }
+        }
+    });
+
+    const world = {
+        minY: WORLD_MIN_Y,
+        maxY: WORLD_MAX_Y,
+        getBlock: (x, y, z) => chunk.get(x, y, z),
+        getLight: (x, y, z, channel) => (x < 0 || x >= CHUNK_SIZE_X || z < 0 || z >= CHUNK_SIZE_Z) ? -1 : chunk.getLight(x, y, z, channel),
+        setLight: (x, y, z, channel, level) => chunk.setLight(x, y, z, channel, level),
+        opacity: lightOpacity,
+        emission: lightEmission
+    };
+    propagateLight(world, LIGHT_CHANNEL.SKY, skyQueue);
+    propagateLight(world, LIGHT_CHANNEL.BLOCK, blockQueue);
+}
+
+// Vertex colour per packed light value: skylight is white, block light warm; the brighter one wins
+const MIN_BRIGHTNESS = 0.04; // Unlit caves stay barely visible
+const BLOCK_LIGHT_TINT = [1.0, 0.85, 0.65];
+const lightBrightness = (level) => MIN_BRIGHTNESS + (1 - MIN_BRIGHTNESS) * Math.pow(0.8, MAX_LIGHT - level);
+const LIGHT_COLORS = Array.from({ length: 256 }, (_, packed) => {
+    const sky = lightBrightness(packed >> 4), block = lightBrightness(packed & 0xF);
+    return BLOCK_LIGHT_TINT.map(tint => Math.max(sky, block * tint));
+});
+
+// --- Chunk Meshing ---
+export const CHUNK_LAYER = { SOLID: 0, WATER: 1 }; // Chunk mesh layers (water gets its own mesh so it casts no shadow)
+
+// Fluid faces are only drawn against neighbours that don't hide them and aren't the same fluid
+const isExposedFluidNeighbor = (type, neighbour) => neighbour !== type && !isOpaqueCube(neighbour);
+
+// Chunk mesh material index of a block face. Only faces with the same index (the same texture) merge;
+// the render class goes first so the mesher's groups come out sorted by it, and adjacent groups of one
+// class can be drawn together.
+function chunkMaterialIndex(type, face) {
+    return (blockRenderClass(type) * MAX_BLOCK_TYPES + type) * 6 + face;
+}
+// Splits a chunk material index back into { renderClass, type, face }
+export function decodeChunkMaterial(materialIndex) {
+    return {
+        renderClass: Math.floor(materialIndex / (6 * MAX_BLOCK_TYPES)),
+        type: Math.floor(materialIndex / 6) % MAX_BLOCK_TYPES,
+        face: materialIndex % 6
+    };
+}
+
+// Face culling and merging rules handed to the greedy mesher
+const CHUNK_MESH_RULES = {
+    // Models (torches) are drawn by script.js; everything else is part of chunk meshes
+    isFaceVisible: (type, neighbour) => {
+        const shape = blockShape(type);
+        if (shape === 'fluid') return isExposedFluidNeighbor(type, neighbour);
+        return shape !== 'model' && shape !== 'none' && !isOpaqueCube(neighbour);
+    },
+    isCrossModel: (type) => blockShape(type) === 'cross',
+    materialIndex: (type, face) => chunkMaterialIndex(type, face),
+    layerOf: (type) => blockShape(type) === 'fluid' ? CHUNK_LAYER.WATER : CHUNK_LAYER.SOLID,
+    lightColor: (packedLight) => LIGHT_COLORS[packedLight]
+};
+
+const EMPTY_SECTION_MESH = { layers: [], stats: { instancedTriangles: 0, culledTriangles: 0, greedyTriangles: 0 } };
+
+// Greedy-meshes one storage section of a chunk; positions are relative to the section's bottom corner.
+// `chunk` is { sections, light } as in Chunk: { blocks, meta } per section (or null when empty) and the
+// packed light arrays. `outside.blockAt(lx, y, lz)` and `outside.lightAt(lx, y, lz)` (chunk-local x/z,
+// world y) answer for positions just outside the chunk; faces are coloured by the light in front of them
+// and, with `ambientOcclusion`, darkened at corners next to solid blocks.
+export function meshChunkSection(chunk, sectionY, outside, ambientOcclusion) {
+    const { sections, light } = chunk;
+    const { blockAt, lightAt } = outside;
+    const section = sections[sectionY];
+    if (!section) return EMPTY_SECTION_MESH; // All air: nothing to draw (neighbours draw their own faces)
+    const baseY = WORLD_MIN_Y + sectionY * SECTION_SIZE;
+    const blockInChunk = (lx, y, lz) => {
+        if (lx < 0 || lx >= CHUNK_SIZE_X || lz < 0 || lz >= CHUNK_SIZE_Z) return blockAt(lx, y, lz);
+        const other = sections[(y - WORLD_MIN_Y) >> SECTION_SHIFT]; // Undefined above/below the world
+        return other ? other.blocks[ChunkSection.index(lx, (y - WORLD_MIN_Y) & SECTION_MASK, lz)] : BLOCK_TYPE.AIR;
+    };
+    const lightInChunk = (lx, y, lz) => (lx < 0 || lx >= CHUNK_SIZE_X || lz < 0 || lz >= CHUNK_SIZE_Z)
+        ? lightAt(lx, y, lz)
+        : readPackedLight(light, lx, y, lz);
+
+    return greedyMesh(
+        {
+            sizeX: SECTION_SIZE, sizeY: SECTION_SIZE, sizeZ: SECTION_SIZE,
+            blocks: section.blocks,
+            blockAt: (lx, ly, lz) => blockInChunk(lx, baseY + ly, lz)
+        },
+        {
+            ...CHUNK_MESH_RULES,
+            faceLight: (lx, ly, lz) => lightInChunk(lx, baseY + ly, lz),
+            occludes: ambientOcclusion ? isOpaqueCube : null,
+            // Slabs and stairs are drawn as the boxes their metadata orients
+            modelBoxes: (lx, ly, lz, type) => {
+                const shape = blockShape(type);
+                if (shape !== 'slab' && shape !== 'stairs') return null;
+                return blockBoxes(type, section.meta ? section.meta[ChunkSection.index(lx, ly, lz)] : 0);
+            },
+            // Top fluid cells are drawn down at the surface height of their level (block metadata)
+            blockHeight: (lx, ly, lz, type) => {
+                if (blockShape(type) !== 'fluid' || blockInChunk(lx, baseY + ly + 1, lz) === type) return 1;
+                return getWaterSurfaceHeight(section.meta ? section.meta[ChunkSection.index(lx, ly, lz)] : WATER_SOURCE);
+            }
+        }
+    );
+}
+// Meshes every section of a chunk: [{ layers, stats }, ...] from the bottom up
+export function meshChunkSections(chunk, outside, ambientOcclusion) {
+    return chunk.sections.map((section, sectionY) => meshChunkSection(chunk, sectionY, outside, ambientOcclusion));
+}
+
+// Chunk-local positions ([x, y, z] with world y) of every block of one type, e.g. to place models for them
+export function findBlocks(chunk, blockType) {
+    const found = [];
+    chunk.sections.forEach((section, sectionY) => {
+        if (!section) return;
+        for (let sy = 0; sy < SECTION_SIZE; sy++) {
+            for (let z = 0; z < CHUNK_SIZE_Z; z++) {
+                for (let x = 0; x < CHUNK_SIZE_X; x++) {
+                    if (section.get(x, sy, z) === blockType) found.push([x, WORLD_MIN_Y + sectionY * SECTION_SIZE + sy, z]);
+                }
+            }
+        }
+    });
+    return found;
+}
+
+// Copies the block columns just outside a chunk's four sides and four corners (all the mesher needs from its
+// neighbours; the corner columns are only read for ambient occlusion), indexed (y - WORLD_MIN_Y) * width +
+// position along the side, with width 1 for the corners.
+// `getChunk(key)` returns a loaded Chunk or undefined; missing neighbours and empty sections read as AIR.
+// The light columns next to them come from copyChunkLightBorders(), in the same layout.
+export function copyChunkBorders(chunkX, chunkZ, getChunk) {
+    const borders = {};
+    for (const [side, dx, dz] of [...CHUNK_BORDER_SIDES, ...CHUNK_BORDER_CORNERS]) {
+        const neighbour = getChunk(getChunkKey(chunkX + dx, chunkZ + dz));
+        const width = dx !== 0 && dz !== 0 ? 1 : dx !== 0 ? CHUNK_SIZE_Z : CHUNK_SIZE_X;
+        const column = new Uint8Array(WORLD_HEIGHT * width);
+        for (let sectionY = 0; sectionY < SECTIONS_PER_CHUNK; sectionY++) {
+            const section = neighbour?.sections[sectionY];
+            if (!section) continue;
+            for (let sy = 0; sy < SECTION_SIZE; sy++) {
+                for (let i = 0; i < width; i++) {
+                    const lx = dx < 0 ? CHUNK_SIZE_X - 1 : dx > 0 ? 0 : i;
+                    const lz = dz < 0 ? CHUNK_SIZE_Z - 1 : dz > 0 ? 0 : i;
+                    column[(sectionY * SECTION_SIZE + sy) * width + i] = section.get(lx, sy, lz);
+                }
+            }
+        }
+        borders[side] = column;
+    }
+    return borders;
+}
+export function copyChunkLightBorders(chunkX, chunkZ, getChunk) {
+    const borders = {};
+    for (const [side, dx, dz] of CHUNK_BORDER_SIDES) {
+        const neighbour = getChunk(getChunkKey(chunkX + dx, chunkZ + dz));
+        const width = dx !== 0 ? CHUNK_SIZE_Z : CHUNK_SIZE_X;
+        const column = new Uint8Array(WORLD_HEIGHT * width).fill(FULL_SKYLIGHT); // Missing neighbours read as open sky
+        if (neighbour) {
+            for (let y = WORLD_MIN_Y; y < WORLD_MAX_Y; y++) {
+                for (let i = 0; i < width; i++) {
+                    const lx = dx < 0 ? CHUNK_SIZE_X - 1 : dx > 0 ? 0 : i;
+                    const lz = dz < 0 ? CHUNK_SIZE_Z - 1 : dz > 0 ? 0 : i;
+                    column[(y - WORLD_MIN_Y) * width + i] = readPackedLight(neighbour.light, lx, y, lz);
+                }
+            }
+        }
+        borders[side] = column;
+    }
+    return borders;
+}
+const CHUNK_BORDER_SIDES = [['nx', -1, 0], ['px', 1, 0], ['nz', 0, -1], ['pz', 0, 1]];
+const CHUNK_BORDER_CORNERS = [['nxnz', -1, -1], ['nxpz', -1, 1], ['pxnz', 1, -1], ['pxpz', 1, 1]];
+
+// --- Chunk Jobs ---
+// Work units for the chunk workers (or the main thread when workers are unavailable).
+//   { type: 'generate', id, key, x, z }   -> { sections: [{ blocks, meta } or null, ...], light: [Uint8Array or null, ...] }
+//   { type: 'mesh', id, key, x, z, sections, light, borders, lightBorders, ambientOcclusion, sectionYs }
+//                                          -> { sections: [{ layers, stats }, ...], ambientOcclusion, sectionYs }
+//                                             (only the listed sections, in that order, if `sectionYs` is given)
+// Returns { result, transfer } where `transfer` lists the buffers that can be moved instead of copied.
+export function runChunkJob(job) {
+    const { type, id, key, x, z } = job;
+    if (type === 'generate') {
+        const chunk = generateChunkData(x, z);
+        computeChunkLight(chunk);
+        const sections = chunk.toSectionData(false);
+        return { result: { type, id, key, x, z, sections, light: chunk.light }, transfer: [...sectionBuffers(sections), ...lightBuffers(chunk.light)] };
+    }
+    if (type === 'mesh') {
+        const { borders, lightBorders, ambientOcclusion } = job;
+        // Reads one of the copied border columns; above and below the world fall back to `outsideWorld`
+        const borderReader = (columns, outsideWorld) => (lx, y, lz) => {
+            if (y < WORLD_MIN_Y || y >= WORLD_MAX_Y) return outsideWorld(y);
+            const row = y - WORLD_MIN_Y;
+            if ((lx < 0 || lx >= CHUNK_SIZE_X) && (lz < 0 || lz >= CHUNK_SIZE_Z)) {
+                return columns[(lx < 0 ? 'nx' : 'px') + (lz < 0 ? 'nz' : 'pz')][row]; // Diagonal neighbour
+            }
+            if (lx < 0) return columns.nx[row * CHUNK_SIZE_Z + lz];
+            if (lx >= CHUNK_SIZE_X) return columns.px[row * CHUNK_SIZE_Z + lz];
+            if (lz < 0) return columns.nz[row * CHUNK_SIZE_X + lx];
+            return columns.pz[row * CHUNK_SIZE_X + lx];
+        };
+        const chunk = { sections: job.sections, light: job.light };
+        const outside = {
+            blockAt: borderReader(borders, () => BLOCK_TYPE.AIR),
+            lightAt: borderReader(lightBorders, (y) => y >= WORLD_MAX_Y ? FULL_SKYLIGHT : 0)
+        };
+        const { sectionYs = null } = job;
+        const sections = sectionYs
+            ? sectionYs.map(sectionY => meshChunkSection(chunk, sectionY, outside, ambientOcclusion))
+            : meshChunkSections(chunk, outside, ambientOcclusion);
+        const transfer = [];
+        for (const { layers } of sections) {
+            for (const layer of layers) {
+                transfer.push(layer.positions.buffer, layer.normals.buffer, layer.uvs.buffer, layer.indices.buffer);
+                if (layer.colors) transfer.push(layer.colors.buffer);
+            }
+        }
+        return { result: { type, id, key, x, z, sections, ambientOcclusion, sectionYs }, transfer };
+    }
+    throw new Error(`Unknown chunk job type: ${type}`);
+}
+// Buffers of plain section data, for transferring it between threads
+export function sectionBuffers(sectionData) {
+    const buffers = [];
+    for (const data of sectionData) {
+        if (!data) continue;
+        buffers.push(data.blocks.buffer);
+        if (data.meta) buffers.push(data.meta.buffer);
+    }
+    return buffers;
+}
+// Buffers of per-section light arrays, for transferring them between threads
+export function lightBuffers(light) {
+    return light.filter(Boolean).map(section => section.buffer);
+}